@@ -3,26 +3,69 @@
 const { handleUploadCommand } = require('./lib/commands/upload');
 const { handleLinkCommand } = require('./lib/commands/link');
 const { handleNoteCommand } = require('./lib/commands/note');
+const { handleListCommand } = require('./lib/commands/list');
+const { handleInfoCommand } = require('./lib/commands/info');
+const { handleUpdateCommand } = require('./lib/commands/update');
+const { handleDeleteCommand } = require('./lib/commands/delete');
+const { handleBoardCommand } = require('./lib/commands/board');
+const { handleStatsCommand } = require('./lib/commands/stats');
+const { handleHistoryCommand } = require('./lib/commands/history');
 const { handleAuthCommand } = require('./lib/commands/auth');
+const { handleProfileCommand } = require('./lib/commands/profile');
+const { handleWhoamiCommand } = require('./lib/commands/whoami');
 const { handleCompletionsCommand } = require('./lib/commands/completions');
-const { executeCommand } = require('./lib/command-utils');
+const { executeCommand, handleCommandError } = require('./lib/command-utils');
+const { UploadError, EXIT_CODES } = require('./lib/errors');
+const { initConfig } = require('./lib/config');
+const { resolveFormat } = require('./lib/format');
 const logger = require('./lib/logger');
 
+// Commands that don't create drops, so have nothing for --format to render
+const UNFORMATTED_COMMANDS = [
+  'list', 'info', 'update', 'delete', 'stats', 'history', 'board',
+  'completions', 'profile', 'whoami', 'auth', 'config'
+];
+
 function showHelp() {
   // Help should go to stderr in porcelain mode since it's not the main output
   const helpOutput = `
 drplr - Droplr CLI tool for uploading files and creating links
 
 Usage:
-  drplr <file>                           Upload a file
+  drplr <file|dir>...                    Upload files and directories
+  drplr - [--name <filename>]            Upload data piped to stdin
   drplr link <url>                       Create a short link
   drplr note <text>                      Create a text note
   drplr note --file <file>               Create note from file
   drplr note --code <code> --lang <lang> Create code snippet
   drplr note --code --file <file>        Create code snippet from file
+  <cmd> | drplr note [options]           Create note from piped stdin
+  drplr note --edit [options]            Write note in $EDITOR
+  drplr list                             List your drops
+  drplr info <code|url>                  Show drop details
+  drplr update <code|url>... [options]   Change privacy, password or title
+  drplr delete <code|url>...             Delete drops ("-" reads codes from stdin)
+  drplr delete --older-than <age>        Bulk delete drops matching filters
+  drplr stats <code|url>                 Show views, downloads, last access and referrers
+  drplr stats --summary                  Show totals across all drops
+  drplr board list                       List your boards
+  drplr board create <name>              Create a board
+  drplr board show <id|name>             Show a board and its drops
+  drplr board rename <id|name> <name>    Rename a board
+  drplr board delete <id|name>           Delete a board
+  drplr history [query]                  Search drops created from this machine (offline)
+  drplr history open|copy <n|code>       Open a past drop or copy its link
+  drplr history prune [options]          Remove old history entries
   drplr auth token <jwt_token>           Set JWT token from browser
   drplr auth login <username> <password> Set username/password
   drplr auth 1password <item>            Use 1Password CLI for credentials
+  drplr auth migrate                     Move old hostname-encrypted credentials to a secret store
+  drplr auth status                      Show and verify the active credentials
+  drplr auth logout                      Remove stored credentials from the active profile
+  drplr whoami                           Show the signed-in account (email, plan, team)
+  drplr profile list                     List authentication profiles
+  drplr profile create|use|remove <name> Manage authentication profiles
+  drplr profile rename <old> <new>       Rename a profile
   drplr completions [shell]              Generate shell completions
   drplr help                             Show this help
 
@@ -30,17 +73,82 @@ Options:
   --private, -p                          Make upload/link private (default: public)
   --password <password>                  Set password protection
   --title <title>                        Set custom title (links only)
+  --board <id|name>                      Add the upload/link/note to a board
   --help, -h                             Show help
 
+Upload Options:
+  --include <glob>                       Only upload files matching a glob (repeatable)
+  --exclude <glob>                       Skip files matching a glob (repeatable)
+  --hidden                               Include hidden files from directories and globs
+  --concurrency <n>                      Parallel uploads (default: 1)
+  --rate-limit <n>                       Max uploads started per second (default: 5)
+  --fail-fast                            Stop starting uploads after the first failure
+  --progress, --no-progress              Force progress on stderr (even with --porcelain) or hide it
+  --name <filename>                      Filename for stdin uploads (type is sniffed if omitted)
+  --mime <type>                          Override the detected MIME type
+  --force-new                            Upload even if the same file was uploaded before
+                                         (otherwise its existing drop is reused)
+
+List Options:
+  --type <file|link|note>                Only show drops of this type
+  --private, --public                    Only show private or public drops
+  --limit <n>                            Drops per page (default: 20)
+  --page <n>                             Page to show (default: 1)
+  --all                                  Fetch every page
+  --sort <created|views>                 Sort order field (default: created)
+  --asc, --desc                          Sort direction (default: --desc)
+
+Update Options:
+  --private, --public                    Change privacy
+  --password <password>                  Set password protection
+  --remove-password                      Remove password protection
+  --title <title>                        Set a new title
+
+Delete Options:
+  --older-than <age>                     Only drops older than this (e.g. 30d, 12h, 2w)
+  --type <file|link|note>                Only drops of this type
+  --title-match <regex>                  Only drops whose title matches
+  --yes, -y                              Skip the bulk delete confirmation
+
+Stats Options:
+  --summary                              Aggregate across drops: totals by type, storage, top drops
+  --since <age>                          Also count views in this window (e.g. 7d); with
+                                         --summary, for every drop, ranking them by it
+  --type <file|link|note>                With --summary, only drops of this type
+  --top <n>                              With --summary, most viewed drops to list (default: 10)
+  --csv                                  Print CSV (one row per drop) instead of text
+
+History Options:
+  --type <file|link|note>                Only drops of this type
+  --since <age>                          Only drops created in this window (e.g. 7d)
+  --limit <n>                            Entries to show (default: 20)
+  --all                                  Show every matching entry
+  --older-than <age>                     With prune, remove entries older than this
+  --keep <n>                             With prune, keep only the newest n entries
+
 Global Flags:
   --porcelain                            Minimal output, only the URL (errors to stderr)
   --debug                                Debug mode with full API responses
+  --json                                 Print results as JSON (errors as JSON on stderr)
+  --jsonl                                Print results as JSON Lines, one record per line
+  --format <preset|name|template>        Print created drops as markdown, html, slack, bbcode,
+                                         a template saved under "formats" in config.json,
+                                         or a template like '{{shortlink}} ({{title}})'
+                                         (uploads, links and notes only)
+  --profile <name>                       Use a named profile (default: $DRPLR_PROFILE)
+  --retries <n>                          Retries for dropped connections, 5xx and 429 responses
+                                         (default: $DRPLR_RETRIES, "retries" in config.json, or 3)
 
 Examples:
   # File uploads
   drplr image.png
   drplr document.pdf --private
   drplr secret.txt --private --password mypass123
+  drplr *.png                              # Upload several files
+  drplr screenshots/ --exclude "*.tmp"     # Upload a directory recursively
+  drplr screenshots/ --concurrency 4       # Upload 4 files at a time
+  pg_dump db | gzip | drplr - --name dump.sql.gz
+  drplr build.zip --force-new              # Upload again even if unchanged
 
   # Link shortening
   drplr link https://example.com/very/long/url
@@ -52,32 +160,104 @@ Examples:
   drplr note --file notes.txt --private
   drplr note --code "console.log('hello')" --lang javascript --title "Code Snippet"
   drplr note --code --file script.js --private
+  git diff | drplr note --code --lang diff
+  drplr note --edit --title "Meeting notes"
+
+  # Browsing drops
+  drplr list
+  drplr list --type link --limit 5
+  drplr list --private --all --sort views
+
+  # Inspecting drops
+  drplr info AbCd12
+  drplr info https://d.pr/i/AbCd12 --porcelain
+
+  # Updating drops
+  drplr update AbCd12 --private --password secret
+  drplr update AbCd12 XyZ789 --public --remove-password
+  drplr update https://d.pr/i/AbCd12 --title "Renamed"
+
+  # Deleting drops
+  drplr delete AbCd12 https://d.pr/i/XyZ789
+  drplr list --type link --porcelain | drplr delete -
+  drplr delete --older-than 90d --type file --yes
+
+  # Statistics
+  drplr stats AbCd12 --since 7d
+  drplr stats --summary --type link --since 7d --csv > links.csv
+
+  # History
+  drplr history invoice --type file
+  drplr history open 1                     # Open the latest drop
+  drplr history copy AbCd12
+  drplr history prune --older-than 180d
+
+  # Boards
+  drplr board create "Acme deliverables"
+  drplr report.pdf --board "Acme deliverables"
+  drplr link https://example.com --board 12345
+  drplr board show "Acme deliverables"
 
   # Using global flags
   drplr image.png --porcelain              # Only output the URL
   drplr image.png --debug                  # Show API response details
   drplr link https://example.com --porcelain --debug  # Minimal output + debug info
+  drplr image.png --json                   # Drop details as JSON
+  drplr screenshots/ --jsonl               # One JSON record per uploaded file
+  drplr image.png --format markdown        # ![image.png](https://d.pr/i/AbCd12+)
+  drplr link https://example.com --format '{{shortlink}} ({{title}})'
 
 Authentication:
   # Method 1: 1Password CLI (recommended)
   # Requires 1Password CLI: https://developer.1password.com/docs/cli
   drplr auth 1password "Droplr"          # Use item name or ID
+  drplr auth 1password op://Private/Droplr
+  drplr auth token op://Private/Droplr/jwt   # Any secret can be an op:// reference
+  DRPLR_OP_CACHE=10m drplr list          # Reuse 1Password lookups for 10 minutes
+  # In CI, use a service account: OP_SERVICE_ACCOUNT_TOKEN or DRPLR_OP_SERVICE_ACCOUNT_TOKEN_FILE
 
   # Method 2: Extract JWT from browser
   # 1. Log into https://d.pr in your browser
   # 2. Open Chrome DevTools > Application > Cookies > d.pr
   # 3. Copy the JWT token value
   drplr auth token eyJhbGciOiJIUzI1NiIs...
+  # A 1Password item or login set before the token is kept as a fallback for
+  # when the token is rejected. Expiry warnings start 3 days ahead; change with
+  # DRPLR_TOKEN_WARNING=<12h|1w|off> or "tokenWarning" in config.json.
 
   # Method 3: Use username/password
   drplr auth login your_username your_password
 
+  # Token and login credentials go to a secret store: the desktop keyring
+  # (secret-tool) or pass when available, otherwise a passphrase-protected file.
+  # Choose one with --store <secret-tool|pass|env|file> or DRPLR_SECRET_STORE.
+  drplr auth token eyJhbGciOiJIUzI1NiIs... --store pass
+  DRPLR_PASSPHRASE=... drplr list         # Unlock the file store non-interactively
+
+  # Method 4: Environment variables (CI, containers) - nothing is written to disk
+  DRPLR_TOKEN=eyJhbGciOiJIUzI1NiIs... drplr build.zip
+  DRPLR_TOKEN_FILE=/run/secrets/droplr_token drplr build.zip
+  DRPLR_USERNAME=ci-bot DRPLR_PASSWORD_FILE=/run/secrets/droplr_pw drplr build.zip
+
+Profiles:
+  # Keep separate credentials for several Droplr accounts
+  drplr profile create work
+  drplr --profile work auth 1password "Droplr Work"
+  drplr --profile work screenshot.png    # Use a profile for one command
+  drplr profile use work                 # Make it the default
+  DRPLR_PROFILE=personal drplr list      # Or select one per shell
+
 Shell Completions:
   drplr completions --install            # Auto-install for your shell
   eval "$(drplr completions zsh)"        # Or manually load for zsh
   eval "$(drplr completions bash)"       # Or manually load for bash
   drplr completions fish | source        # Or manually load for fish
 
+Exit Codes:
+  0 success, 1 other failure, 2 invalid input, 3 missing or rejected credentials,
+  4 drop not found, 5 rate limited, 6 network or server unavailable, 7 local file error,
+  8 private drop couldn't be confirmed private (deleted, or named in the error if not)
+
 Get help at: https://github.com/Droplr/droplr-js
 `;
 
@@ -87,13 +267,23 @@ Get help at: https://github.com/Droplr/droplr-js
 // Global-only flags (not in common options from arg-parser)
 const globalFlagsMeta = [
   { long: '--porcelain', description: 'Minimal output, only the URL' },
-  { long: '--debug', description: 'Debug mode with full API responses' }
+  { long: '--debug', description: 'Debug mode with full API responses' },
+  { long: '--json', description: 'Print results as JSON' },
+  { long: '--jsonl', description: 'Print results as JSON Lines, one record per line' },
+  { long: '--format', description: 'Print results with a template or preset', takesValue: true },
+  { long: '--retries', description: 'Retries for transient API failures', takesValue: true },
+  { long: '--profile', description: 'Use a named authentication profile', takesValue: true }
 ];
 
 function parseGlobalArgs(args) {
   const globalOptions = {
     porcelain: false,
-    debug: false
+    debug: false,
+    json: false,
+    jsonl: false,
+    format: null,
+    retries: null,
+    profile: null
   };
 
   const filteredArgs = [];
@@ -106,6 +296,16 @@ function parseGlobalArgs(args) {
       globalOptions.porcelain = true;
     } else if (arg === '--debug') {
       globalOptions.debug = true;
+    } else if (arg === '--json') {
+      globalOptions.json = true;
+    } else if (arg === '--jsonl') {
+      globalOptions.jsonl = true;
+    } else if (arg === '--format') {
+      globalOptions.format = args[++i] || '';
+    } else if (arg === '--retries') {
+      globalOptions.retries = args[++i] ?? '';
+    } else if (arg === '--profile') {
+      globalOptions.profile = args[++i] || '';
     } else if (arg === '--help' || arg === '-h') {
       showHelp = true;
     } else {
@@ -123,11 +323,44 @@ async function main() {
   // Initialize logger with global options
   logger.initLogger(globalOptions);
 
+  if (globalOptions.profile === '') {
+    logger.error('Error: --profile requires a profile name');
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  if (globalOptions.retries !== null) {
+    const retries = Number(globalOptions.retries);
+    if (globalOptions.retries === '' || !Number.isInteger(retries) || retries < 0) {
+      logger.error('Error: --retries must be a whole number (0 to disable retrying)');
+      process.exit(EXIT_CODES.INVALID_INPUT);
+    }
+    globalOptions.retries = retries;
+  }
+  initConfig(globalOptions);
+
+  if (globalOptions.format !== null) {
+    if (globalOptions.json || globalOptions.jsonl) {
+      logger.error('Error: --format cannot be combined with --json or --jsonl');
+      process.exit(EXIT_CODES.INVALID_INPUT);
+    }
+    try {
+      resolveFormat(globalOptions.format);
+    } catch (error) {
+      logger.error(`Error: ${globalOptions.format ? error.message : '--format requires a template or preset name'}`);
+      process.exit(EXIT_CODES.INVALID_INPUT);
+    }
+  }
+
   if (wantHelp || filteredArgs.length === 0 || filteredArgs[0] === 'help') {
     showHelp();
     return;
   }
 
+  if (globalOptions.format !== null && UNFORMATTED_COMMANDS.includes(filteredArgs[0])) {
+    logger.error(`Error: --format only applies to uploads, links and notes, not "${filteredArgs[0]}"`);
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
   if (filteredArgs[0] === 'link') {
     const linkCommand = handleLinkCommand(filteredArgs.slice(1), globalOptions);
     await executeCommand(linkCommand, 'Link creation');
@@ -140,19 +373,72 @@ async function main() {
     return;
   }
 
+  if (filteredArgs[0] === 'list') {
+    const listCommand = handleListCommand(filteredArgs.slice(1), globalOptions);
+    await executeCommand(listCommand, 'Drop listing');
+    return;
+  }
+
+  if (filteredArgs[0] === 'info') {
+    const infoCommand = handleInfoCommand(filteredArgs.slice(1), globalOptions);
+    await executeCommand(infoCommand, 'Drop lookup');
+    return;
+  }
+
+  if (filteredArgs[0] === 'update') {
+    const updateCommand = handleUpdateCommand(filteredArgs.slice(1), globalOptions);
+    await executeCommand(updateCommand, 'Drop update');
+    return;
+  }
+
+  if (filteredArgs[0] === 'delete') {
+    const deleteCommand = handleDeleteCommand(filteredArgs.slice(1), globalOptions);
+    await executeCommand(deleteCommand, 'Drop deletion');
+    return;
+  }
+
+  if (filteredArgs[0] === 'stats') {
+    const statsCommand = handleStatsCommand(filteredArgs.slice(1), globalOptions);
+    await executeCommand(statsCommand, 'Stats lookup');
+    return;
+  }
+
+  if (filteredArgs[0] === 'history') {
+    const historyCommand = handleHistoryCommand(filteredArgs.slice(1), globalOptions);
+    await executeCommand(historyCommand, 'History lookup');
+    return;
+  }
+
+  if (filteredArgs[0] === 'board') {
+    const boardCommand = handleBoardCommand(filteredArgs.slice(1), globalOptions);
+    await executeCommand(boardCommand, 'Board operation');
+    return;
+  }
+
   if (filteredArgs[0] === 'completions') {
     handleCompletionsCommand(filteredArgs.slice(1));
     return;
   }
 
+  if (filteredArgs[0] === 'profile') {
+    await handleProfileCommand(filteredArgs.slice(1), globalOptions);
+    return;
+  }
+
+  if (filteredArgs[0] === 'whoami') {
+    const whoamiCommand = handleWhoamiCommand(filteredArgs.slice(1), globalOptions);
+    await executeCommand(whoamiCommand, 'Account lookup');
+    return;
+  }
+
   if (filteredArgs[0] === 'auth') {
-    await handleAuthCommand(filteredArgs.slice(1));
+    await handleAuthCommand(filteredArgs.slice(1), globalOptions);
     return;
   }
 
   // Keep 'config' as alias for backwards compatibility
   if (filteredArgs[0] === 'config') {
-    await handleAuthCommand(filteredArgs.slice(1));
+    await handleAuthCommand(filteredArgs.slice(1), globalOptions);
     return;
   }
 
@@ -165,6 +451,10 @@ module.exports = { globalFlagsMeta };
 
 if (require.main === module) {
   main().catch(error => {
+    // Commands run outside executeCommand (auth, profile) still exit by error type
+    if (error instanceof UploadError) {
+      handleCommandError(error);
+    }
     logger.error('Unexpected error:', error.message);
     process.exit(1);
   });
@@ -1,18 +1,44 @@
-const { UploadError } = require('./errors');
+const {
+  UploadError,
+  AuthError,
+  ValidationError,
+  NotFoundError,
+  RateLimitError,
+  NetworkError,
+  PrivacyError
+} = require('./errors');
+const { NETWORK_ERROR_CODES, getRetryAfter, withRetry } = require('./retry');
+const { getRetries } = require('./config');
+const { createAnonymousClient } = require('./client');
 const logger = require('./logger');
 
 /**
- * Parses API errors into user-friendly messages
+ * Picks the error class for an API failure from its HTTP status and body
  * @param {Error} error - API error object
- * @param {string} operation - Operation name for context (e.g., "Upload", "Link creation")
- * @returns {UploadError} Formatted error
+ * @param {number|undefined} status - HTTP status, if a response arrived
+ * @returns {Function} Error class
  */
-function parseApiError(error, operation = 'Operation') {
-  // Don't wrap our own UploadErrors
-  if (error instanceof UploadError) {
-    return error;
-  }
+function getApiErrorType(error, status) {
+  const data = error.response?.data;
+  const body = typeof data === 'string' ? data : data?.message;
+
+  // The API answers bad basic-auth usernames with a bare "No such user"
+  if (status === 401 || status === 403 || /^no such user/i.test(body || '')) return AuthError;
+  if (status === 404) return NotFoundError;
+  if (status === 429) return RateLimitError;
+  if (status === 400 || status === 422 || data?.errors) return ValidationError;
+  if (status >= 502 && status <= 504) return NetworkError;
+  if (!status && NETWORK_ERROR_CODES.includes(error.httpError?.code || error.code)) return NetworkError;
+  return UploadError;
+}
 
+/**
+ * Builds the user-facing message for an API failure
+ * @param {Error} error - API error object
+ * @param {string} operation - Operation name for context
+ * @returns {string}
+ */
+function describeApiError(error, operation) {
   // Handle detailed validation errors
   if (error.response?.data?.errors) {
     const errors = error.response.data.errors;
@@ -26,7 +52,7 @@ function parseApiError(error, operation = 'Operation') {
           "\n    * " + `${field}: ${msg.replace(/^".*?"\s*/, '')}`
         );
       }).flat();
-      return new UploadError(`${operation} failed:${messages.join('')}`);
+      return `${operation} failed:${messages.join('')}`;
     }
     
     // Handle object format (like link errors)
@@ -34,28 +60,154 @@ function parseApiError(error, operation = 'Operation') {
       const errorMessages = Object.entries(errors)
         .map(([field, messages]) => `${field}: ${Array.isArray(messages) ? messages.join(', ') : messages}`)
         .join('\n');
-      return new UploadError(`${operation} failed:\n${errorMessages}`);
+      return `${operation} failed:\n${errorMessages}`;
     }
   }
 
   // Handle single message errors
   if (error.response?.data?.message) {
-    return new UploadError(`${operation} failed: ${error.response.data.message}`);
+    return `${operation} failed: ${error.response.data.message}`;
   }
 
   // Handle response body as string (e.g. "No such user")
   if (typeof error.response?.data === 'string' && error.response.data) {
-    return new UploadError(`${operation} failed: ${error.response.data}`);
+    return `${operation} failed: ${error.response.data}`;
   }
 
   // Handle HTTP status errors
   if (error.response?.status) {
-    return new UploadError(`${operation} failed: ${error.response.status} ${error.response.statusText}`);
+    return `${operation} failed: ${error.response.status} ${error.response.statusText}`;
+  }
+
+  // The SDK's ClientError leaves its own message empty when no response arrived
+  const networkCode = error.httpError?.code || error.code;
+  if (NETWORK_ERROR_CODES.includes(networkCode)) {
+    return `${operation} failed: could not reach the Droplr API (${networkCode})`;
   }
 
   // Generic fallback (avoid "undefined")
-  const msg = error.message || (error.response?.data && typeof error.response.data === 'object' ? JSON.stringify(error.response.data) : null) || 'Unknown error';
-  return new UploadError(`${operation} failed: ${msg}`);
+  const msg = error.message || error.httpError?.message || (error.response?.data && typeof error.response.data === 'object' ? JSON.stringify(error.response.data) : null) || 'Unknown error';
+  return `${operation} failed: ${msg}`;
+}
+
+/**
+ * Parses API errors into user-friendly messages, typed by what went wrong so
+ * callers and scripts (via the exit code) can tell them apart
+ * @param {Error} error - API error object
+ * @param {string} operation - Operation name for context (e.g., "Upload", "Link creation")
+ * @returns {UploadError} AuthError, ValidationError, NotFoundError, RateLimitError,
+ *   NetworkError, or a plain UploadError for anything else
+ */
+function parseApiError(error, operation = 'Operation') {
+  // Don't wrap our own UploadErrors
+  if (error instanceof UploadError) {
+    return error;
+  }
+
+  const status = error.response?.status;
+  const Type = getApiErrorType(error, status);
+  const message = describeApiError(error, operation);
+
+  if (Type === RateLimitError) {
+    return new RateLimitError(message, status, getRetryAfter(error.response.headers));
+  }
+  return new Type(message, status || null);
+}
+
+// Allowance for the API's clock being behind ours when matching recent drops
+const CLOCK_SKEW = 30 * 1000;
+
+// How many of the newest drops are checked for one a failed attempt created
+const RECENT_DROPS = 10;
+
+async function listRecentDrops(client) {
+  // createDrop's own retries cover this lookup, so the client mustn't retry it too
+  const page = await client.drops.list({ sortBy: 'creation', order: 'desc', amount: RECENT_DROPS }, { retry: false });
+  return page.results || [];
+}
+
+/**
+ * Codes of the newest drops before anything is created, so a retry can tell a
+ * drop its own failed attempt made from an identical one made earlier
+ * @param {Droplr.Client} client - Authenticated client
+ * @returns {Promise<Set<string>|null>} Codes, or null if they couldn't be listed
+ */
+async function snapshotRecentDrops(client) {
+  try {
+    return new Set((await listRecentDrops(client)).map(drop => drop.code));
+  } catch (error) {
+    logger.debug('Could not list recent drops before creating one:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Looks for a drop a failed attempt created: one of the most recent drops,
+ * created since the first attempt started and not among those that existed before
+ * @param {Droplr.Client} client - Authenticated client
+ * @param {Function} isSameDrop - Recognises the drop being looked for
+ * @param {number} since - When the first attempt started (milliseconds since epoch)
+ * @param {Set<string>|null} existing - Codes from snapshotRecentDrops; null matches nothing,
+ *   since an identical older drop could not be ruled out
+ * @returns {Promise<Object|null>} The drop, or null
+ */
+async function findRecentDrop(client, isSameDrop, since, existing) {
+  if (!existing) {
+    return null;
+  }
+
+  return (await listRecentDrops(client)).find(drop =>
+    !existing.has(drop.code) &&
+    (!drop.createdAt || drop.createdAt >= since - CLOCK_SKEW) &&
+    isSameDrop(drop)) || null;
+}
+
+/**
+ * Request options that make a drop private as part of creating it, so it is
+ * never public, not even briefly. The SDK's drops.create only forwards a few
+ * of the drop's fields, so privacy is passed as a query parameter directly.
+ * Passwords aren't sent this way (they would end up in URLs and server logs);
+ * handlePrivateDropCreation sets them while the drop is already private.
+ * @param {Object} options - Creation options
+ * @param {string} [options.privacy] - 'PRIVATE' for a private drop
+ * @returns {Object} Options for client.drops.create
+ */
+function getCreateOptions(options) {
+  return options.privacy === 'PRIVATE' ? { params: { privacy: 'PRIVATE' } } : {};
+}
+
+/**
+ * Creates a drop, retrying transient failures. An attempt can fail after the
+ * API created the drop (e.g. the connection drops before the response
+ * arrives), so before each retry the most recent drops are checked for one
+ * this creation made, and that drop is returned instead of a duplicate. Drops
+ * that were already there before the first attempt never count.
+ * @param {Droplr.Client} client - Authenticated client
+ * @param {Function} buildDrop - Returns the data for client.drops.create; called
+ *   once per attempt, so file content can be re-streamed from the start
+ * @param {Function} isSameDrop - Recognises the drop this creation makes
+ * @param {Object} [options] - Creation options
+ * @param {number} [options.retries] - Retries (default: getRetries(); 0 for content that can't be re-read)
+ * @param {string} [options.operation] - Operation name for messages
+ * @param {string} [options.privacy] - 'PRIVATE' to create the drop private (see getCreateOptions)
+ * @returns {Promise<Object>} The created drop
+ */
+async function createDrop(client, buildDrop, isSameDrop, options = {}) {
+  const retries = options.retries ?? getRetries();
+  const startedAt = Date.now();
+  const before = retries > 0 ? await snapshotRecentDrops(client) : null;
+
+  return withRetry(async attempt => {
+    if (attempt > 0) {
+      const created = await findRecentDrop(client, isSameDrop, startedAt, before);
+      if (created) {
+        logger.debug(`Found ${created.code} from an earlier attempt; not creating it again`);
+        return created;
+      }
+    }
+
+    return client.drops.create(buildDrop(attempt), getCreateOptions(options));
+  }, { retries, label: options.operation || 'Drop creation' });
 }
 
 /**
@@ -65,6 +217,8 @@ function parseApiError(error, operation = 'Operation') {
  * @param {Object} options - Update options
  * @param {string} options.privacy - 'PRIVATE' or 'PUBLIC'
  * @param {string} [options.password] - Password for protection
+ * @param {boolean} [options.removePassword] - Clear existing password protection
+ * @param {string} [options.title] - New title
  * @returns {Promise<Object>} Updated drop result
  */
 async function updateDropPrivacy(client, dropCode, options) {
@@ -76,6 +230,8 @@ async function updateDropPrivacy(client, dropCode, options) {
   
   if (options.password) {
     updateData.password = options.password;
+  } else if (options.removePassword) {
+    updateData.password = null;
   }
 
   if (options.title) {
@@ -93,79 +249,404 @@ async function updateDropPrivacy(client, dropCode, options) {
 }
 
 /**
- * Safely deletes a drop, ignoring errors
- * @param {Droplr.Client} client - Authenticated client  
+ * Fetches a single drop by code
+ * @param {Droplr.Client} client - Authenticated client
+ * @param {string} dropCode - Drop code to fetch
+ * @returns {Promise<Object>} Drop details
+ */
+async function getDrop(client, dropCode) {
+  try {
+    const result = await client.drops.get(dropCode);
+    logger.debug('Drop lookup API response:', JSON.stringify(result, null, 2));
+    return result;
+  } catch (error) {
+    logger.debug('Drop lookup API error:', JSON.stringify(error.response?.data || error.message, null, 2));
+    throw parseApiError(error, 'Drop lookup');
+  }
+}
+
+/**
+ * Fetches a drop's statistics (views, downloads, last access)
+ * @param {Droplr.Client} client - Authenticated client
+ * @param {string} dropCode - Drop code
+ * @returns {Promise<Object>} Statistics as reported by the API
+ */
+async function getDropStats(client, dropCode) {
+  try {
+    const result = await client.drops.getStats(dropCode);
+    logger.debug('Drop stats API response:', JSON.stringify(result, null, 2));
+    return result || {};
+  } catch (error) {
+    logger.debug('Drop stats API error:', JSON.stringify(error.response?.data || error.message, null, 2));
+    throw parseApiError(error, 'Drop stats lookup');
+  }
+}
+
+/**
+ * Fetches where a drop's views came from
+ * @param {Droplr.Client} client - Authenticated client
+ * @param {string} dropCode - Drop code
+ * @returns {Promise<Object[]>} Referrers as reported by the API
+ */
+async function getDropReferrers(client, dropCode) {
+  try {
+    const result = await client.drops.getReferrers(dropCode);
+    logger.debug('Drop referrers API response:', JSON.stringify(result, null, 2));
+    return Array.isArray(result) ? result : (result?.results || []);
+  } catch (error) {
+    logger.debug('Drop referrers API error:', JSON.stringify(error.response?.data || error.message, null, 2));
+    throw parseApiError(error, 'Drop referrers lookup');
+  }
+}
+
+/**
+ * Lists every recorded view (hit) of a drop, following pagination
+ * @param {Droplr.Client} client - Authenticated client
+ * @param {string} dropCode - Drop code
+ * @returns {Promise<Object[]>} Hits as reported by the API
+ */
+async function listDropHits(client, dropCode) {
+  const hits = [];
+  let hasMore = false;
+
+  try {
+    do {
+      const page = await client.drops.listHits(dropCode, { amount: 100, offset: hits.length });
+      logger.debug('Drop hits API response:', JSON.stringify(page, null, 2));
+
+      const results = page.results || [];
+      hits.push(...results);
+
+      // The SDK passes the x-has-more header through as a string
+      hasMore = String(page.hasMore) === 'true' && results.length > 0;
+    } while (hasMore);
+  } catch (error) {
+    logger.debug('Drop hits API error:', JSON.stringify(error.response?.data || error.message, null, 2));
+    throw parseApiError(error, 'Drop hits lookup');
+  }
+
+  return hits;
+}
+
+/**
+ * Fetches the signed-in account
+ * @param {Droplr.Client} client - Authenticated client
+ * @returns {Promise<Object>} Account details
+ */
+async function getCurrentAccount(client) {
+  try {
+    const result = await client.users.current();
+    logger.debug('Account API response:', JSON.stringify(result, null, 2));
+    return result;
+  } catch (error) {
+    logger.debug('Account API error:', JSON.stringify(error.response?.data || error.message, null, 2));
+    throw parseApiError(error, 'Account lookup');
+  }
+}
+
+/**
+ * Deletes a drop
+ * @param {Droplr.Client} client - Authenticated client
  * @param {string} dropCode - Drop code to delete
  */
-async function safeDeleteDrop(client, dropCode) {
+async function deleteDrop(client, dropCode) {
   try {
     const result = await client.drops.delete(dropCode);
-    logger.debug('Drop cleanup API response:', JSON.stringify(result, null, 2));
+    logger.debug('Drop delete API response:', JSON.stringify(result, null, 2));
+  } catch (error) {
+    logger.debug('Drop delete API error:', JSON.stringify(error.response?.data || error.message, null, 2));
+    throw parseApiError(error, 'Drop deletion');
+  }
+}
+
+/**
+ * Deletes a drop that was meant to be private or password protected but may
+ * not be, retrying with backoff since a failure leaves it exposed
+ * @param {Droplr.Client} client - Authenticated client
+ * @param {Object} drop - The drop to delete
+ * @param {string} reason - What went wrong, for the error message
+ * @throws {PrivacyError} If the drop couldn't be deleted
+ */
+async function discardExposedDrop(client, drop, reason) {
+  try {
+    // Retried here with the user's retry settings, so the client mustn't retry too
+    await withRetry(() => client.drops.delete(drop.code, { retry: false }), {
+      retries: getRetries(),
+      label: `Deleting ${drop.code}`
+    });
+    logger.debug(`Deleted ${drop.code} rather than leave it unprotected`);
   } catch (deleteError) {
-    // Log but don't throw - cleanup failures shouldn't stop the main operation
+    // Already gone is as good as deleted
+    if ((deleteError.response?.status || deleteError.statusCode) === 404) {
+      return;
+    }
+
     logger.debug('Drop cleanup API error:', JSON.stringify(deleteError.response?.data || deleteError.message, null, 2));
-    logger.error('Warning: Failed to clean up drop after operation failure');
+    throw new PrivacyError(
+      `${reason}, and deleting the drop failed: ${drop.shortlink || drop.code} may be publicly accessible`,
+      drop.code,
+      false
+    );
+  }
+}
+
+/**
+ * Re-fetches a drop to confirm its privacy and password settings took effect
+ * @param {Droplr.Client} client - Authenticated client
+ * @param {string} dropCode - Drop code to check
+ * @param {Object} options - Requested settings (privacy, password)
+ * @returns {Promise<Object>} { drop } when confirmed, or { problem } describing what isn't
+ */
+async function verifyDropSettings(client, dropCode, options) {
+  let drop;
+  try {
+    drop = await getDrop(client, dropCode);
+  } catch (error) {
+    return { problem: `Could not confirm the privacy of ${dropCode} (${error.message})` };
+  }
+
+  if (options.privacy === 'PRIVATE' && String(drop.privacy).toUpperCase() !== 'PRIVATE') {
+    return { problem: `${dropCode} was not made private` };
   }
+
+  if (options.password) {
+    // Not every response says whether a password is set; when it doesn't, ask for
+    // the drop without the password, which must be refused
+    const reportsPassword = 'hasPassword' in drop || 'password' in drop;
+    const problem = reportsPassword
+      ? (!drop.hasPassword && !drop.password ? `${dropCode} was not password protected` : null)
+      : await probePasswordProtection(dropCode);
+    if (problem) {
+      return { problem };
+    }
+  }
+
+  return { drop };
+}
+
+/**
+ * Fetches a drop with no credentials and no password, expecting a 401 or 403
+ * @param {string} dropCode - Drop code to check
+ * @returns {Promise<string|null>} What's wrong, or null if access was refused
+ */
+async function probePasswordProtection(dropCode) {
+  try {
+    await getDrop(createAnonymousClient(), dropCode);
+  } catch (error) {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return null;
+    }
+    return `Could not confirm the password protection of ${dropCode} (${error.message})`;
+  }
+  return `${dropCode} was not password protected`;
 }
 
 /**
- * Handles private drop creation with cleanup on failure
+ * Finishes creating a private, password-protected or titled drop. Privacy is
+ * requested with the creation itself where the API supports it (see
+ * getCreateOptions); whatever didn't take is applied with an update, and the
+ * drop is then re-fetched to confirm it is protected. A drop that can't be
+ * confirmed is deleted rather than left public.
  * @param {Droplr.Client} client - Authenticated client
  * @param {Object} result - Initial drop creation result
  * @param {Object} options - Privacy options
  * @returns {Promise<Object>} Updated result
+ * @throws {PrivacyError} If the drop couldn't be confirmed protected (its
+ *   deleted flag says whether it was removed or may still be public)
  */
 async function handlePrivateDropCreation(client, result, options) {
-  const needsUpdate = options.privacy === 'PRIVATE' || options.password || options.title;
-  
-  if (!needsUpdate) {
+  const wantsPrivate = options.privacy === 'PRIVATE';
+  const needsProtection = wantsPrivate || Boolean(options.password);
+  const updateData = {};
+
+  if (wantsPrivate && String(result.privacy).toUpperCase() !== 'PRIVATE') {
+    updateData.privacy = 'PRIVATE';
+    logger.debug('Drop was created public; converting it to private');
+  }
+
+  if (options.password) {
+    updateData.password = options.password;
+    logger.debug('Adding password protection');
+  }
+
+  if (options.title) {
+    updateData.title = options.title;
+    logger.debug('Setting title via update');
+  }
+
+  if (Object.keys(updateData).length > 0) {
+    try {
+      const updatedResult = await updateDropPrivacy(client, result.code, updateData);
+      if (updatedResult.title) {
+        result.title = updatedResult.title;
+      }
+    } catch (updateError) {
+      if (needsProtection) {
+        logger.debug('Drop update failed, deleting the unprotected drop');
+        await discardExposedDrop(client, result, updateError.message);
+      }
+      throw updateError;
+    }
+  }
+
+  if (!needsProtection) {
     return result;
   }
 
+  const { drop, problem } = await verifyDropSettings(client, result.code, options);
+  if (problem) {
+    await discardExposedDrop(client, result, problem);
+    throw new PrivacyError(`${problem}; it was deleted rather than left public`, result.code, true);
+  }
+
+  result.privacy = drop.privacy;
+  logger.debug('Confirmed drop privacy settings');
+  return result;
+}
+
+/**
+ * Lists all of the account's boards, following pagination
+ * @param {Droplr.Client} client - Authenticated client
+ * @returns {Promise<Object[]>} Boards
+ */
+async function listBoards(client) {
+  const boards = [];
+  let hasMore = false;
+
   try {
-    const updateData = {};
-    
-    if (options.privacy === 'PRIVATE') {
-      updateData.privacy = 'PRIVATE';
-      logger.debug('Converting drop to private');
-    }
-    
-    if (options.password) {
-      updateData.password = options.password;
-      logger.debug('Adding password protection');
-    }
+    do {
+      const page = await client.boards.list({ amount: 100, offset: boards.length });
+      logger.debug('Board list API response:', JSON.stringify(page, null, 2));
 
-    if (options.title) {
-      updateData.title = options.title;
-      logger.debug('Setting title via update');
-    }
+      const results = page.results || [];
+      boards.push(...results);
 
-    const updatedResult = await updateDropPrivacy(client, result.code, updateData);
-    
-    // Update the result to reflect the new state
-    if (options.privacy === 'PRIVATE') {
-      result.privacy = 'PRIVATE';
-    }
-    if (updatedResult.title) {
-      result.title = updatedResult.title;
-    }
-    
-    logger.debug('Successfully updated drop metadata');
+      // The SDK passes the x-has-more header through as a string
+      hasMore = String(page.hasMore) === 'true' && results.length > 0;
+    } while (hasMore);
+
+    return boards;
+  } catch (error) {
+    logger.debug('Board list API error:', JSON.stringify(error.response?.data || error.message, null, 2));
+    throw parseApiError(error, 'Board listing');
+  }
+}
+
+/**
+ * Fetches a single board by ID
+ * @param {Droplr.Client} client - Authenticated client
+ * @param {string} boardId - Board ID
+ * @returns {Promise<Object>} Board details
+ */
+async function getBoard(client, boardId) {
+  try {
+    const result = await client.boards.get(boardId);
+    logger.debug('Board lookup API response:', JSON.stringify(result, null, 2));
     return result;
-    
-  } catch (updateError) {
-    // If privacy update fails, delete the drop to prevent unwanted public content
-    if (options.privacy === 'PRIVATE') {
-      logger.debug('Privacy update failed, cleaning up public drop');
-      await safeDeleteDrop(client, result.code);
-    }
-    throw updateError;
+  } catch (error) {
+    logger.debug('Board lookup API error:', JSON.stringify(error.response?.data || error.message, null, 2));
+    throw parseApiError(error, 'Board lookup');
+  }
+}
+
+/**
+ * Creates a board
+ * @param {Droplr.Client} client - Authenticated client
+ * @param {string} name - Board name
+ * @returns {Promise<Object>} The created board
+ */
+async function createBoard(client, name) {
+  try {
+    const result = await client.boards.create({ name });
+    logger.debug('Board creation API response:', JSON.stringify(result, null, 2));
+    return result;
+  } catch (error) {
+    logger.debug('Board creation API error:', JSON.stringify(error.response?.data || error.message, null, 2));
+    throw parseApiError(error, 'Board creation');
   }
 }
 
+/**
+ * Renames a board
+ * @param {Droplr.Client} client - Authenticated client
+ * @param {string} boardId - Board ID
+ * @param {string} name - New name
+ * @returns {Promise<Object>} The updated board
+ */
+async function renameBoard(client, boardId, name) {
+  try {
+    const result = await client.boards.update(boardId, { name });
+    logger.debug('Board update API response:', JSON.stringify(result, null, 2));
+    return result;
+  } catch (error) {
+    logger.debug('Board update API error:', JSON.stringify(error.response?.data || error.message, null, 2));
+    throw parseApiError(error, 'Board update');
+  }
+}
+
+/**
+ * Deletes a board
+ * @param {Droplr.Client} client - Authenticated client
+ * @param {string} boardId - Board ID
+ */
+async function deleteBoard(client, boardId) {
+  try {
+    const result = await client.boards.delete(boardId);
+    logger.debug('Board delete API response:', JSON.stringify(result, null, 2));
+  } catch (error) {
+    logger.debug('Board delete API error:', JSON.stringify(error.response?.data || error.message, null, 2));
+    throw parseApiError(error, 'Board deletion');
+  }
+}
+
+/**
+ * Lists drops, optionally following pagination until every page is fetched
+ * @param {Droplr.Client} client - Authenticated client
+ * @param {Object} params - Query params for the listing (type, sortBy, order, amount, offset)
+ * @param {Object} [options] - Listing options
+ * @param {boolean} [options.all] - Keep fetching pages while the API reports more results
+ * @returns {Promise<Object>} Fetched drops and whether more results are available
+ */
+async function listDrops(client, params = {}, options = {}) {
+  const drops = [];
+  let offset = params.offset || 0;
+  let hasMore = false;
+
+  try {
+    do {
+      const page = await client.drops.list({ ...params, offset });
+      logger.debug('Drop list API response:', JSON.stringify(page, null, 2));
+
+      const results = page.results || [];
+      drops.push(...results);
+      offset += results.length;
+
+      // The SDK passes the x-has-more header through as a string
+      hasMore = String(page.hasMore) === 'true' && results.length > 0;
+    } while (options.all && hasMore);
+  } catch (error) {
+    logger.debug('Drop list API error:', JSON.stringify(error.response?.data || error.message, null, 2));
+    throw parseApiError(error, 'Drop listing');
+  }
+
+  return { drops, hasMore };
+}
+
 module.exports = {
   parseApiError,
+  createDrop,
+  listDrops,
+  getDrop,
+  getDropStats,
+  getDropReferrers,
+  listDropHits,
+  getCurrentAccount,
+  deleteDrop,
   updateDropPrivacy,
-  safeDeleteDrop,
-  handlePrivateDropCreation
+  handlePrivateDropCreation,
+  listBoards,
+  getBoard,
+  createBoard,
+  renameBoard,
+  deleteBoard
 };
\ No newline at end of file
@@ -7,6 +7,7 @@ const commonOptionsMeta = [
   { long: '--private', short: '-p', description: 'Make upload private' },
   { long: '--password', description: 'Set password protection', takesValue: true },
   { long: '--title', description: 'Set custom title', takesValue: true },
+  { long: '--board', description: 'Add to a board (ID or name)', takesValue: true },
   { long: '--help', short: '-h', description: 'Show help' }
 ];
 
@@ -19,7 +20,8 @@ function parseCommonArgs(args) {
   const options = {
     privacy: 'PUBLIC',
     password: null,
-    title: null
+    title: null,
+    board: null
   };
 
   const remainingArgs = [];
@@ -33,6 +35,8 @@ function parseCommonArgs(args) {
       options.password = args[++i];
     } else if (arg === '--title') {
       options.title = args[++i];
+    } else if (arg === '--board') {
+      options.board = args[++i];
     } else if (arg === '--help' || arg === '-h') {
       // Let each command handle help display
       options.showHelp = true;
@@ -48,21 +52,57 @@ function parseCommonArgs(args) {
 /**
  * Parse file upload arguments
  * @param {string[]} args - Command arguments
- * @returns {Object} Parsed upload options and file path
+ * @returns {Object} Parsed upload options, all file paths, and the first file path
  */
 function parseUploadArgs(args) {
   const { options, remainingArgs } = parseCommonArgs(args);
-  
-  let filePath = null;
-  
-  for (const arg of remainingArgs) {
-    if (!arg.startsWith('-') && !filePath) {
-      filePath = arg;
-      break;
+
+  const filePaths = [];
+
+  // Add upload-specific options
+  options.include = [];
+  options.exclude = [];
+  options.concurrency = 1;
+  options.rateLimit = null;
+  options.failFast = false;
+  options.progress = null;
+  options.name = null;
+  options.mime = null;
+  options.forceNew = false;
+  options.hidden = false;
+
+  for (let i = 0; i < remainingArgs.length; i++) {
+    const arg = remainingArgs[i];
+
+    if (arg === '--include') {
+      options.include.push(remainingArgs[++i]);
+    } else if (arg === '--exclude') {
+      options.exclude.push(remainingArgs[++i]);
+    } else if (arg === '--concurrency') {
+      options.concurrency = parseInt(remainingArgs[++i], 10);
+    } else if (arg === '--rate-limit') {
+      options.rateLimit = parseFloat(remainingArgs[++i]);
+    } else if (arg === '--fail-fast') {
+      options.failFast = true;
+    } else if (arg === '--progress') {
+      options.progress = true;
+    } else if (arg === '--no-progress') {
+      options.progress = false;
+    } else if (arg === '--name') {
+      options.name = remainingArgs[++i];
+    } else if (arg === '--mime') {
+      options.mime = remainingArgs[++i];
+    } else if (arg === '--force-new') {
+      options.forceNew = true;
+    } else if (arg === '--hidden') {
+      options.hidden = true;
+    } else if (arg === '-' || !arg.startsWith('-')) {
+      // A lone "-" means read the upload from stdin
+      filePaths.push(arg);
     }
   }
 
-  return { filePath, options };
+  return { filePath: filePaths[0] || null, filePaths, options };
 }
 
 /**
@@ -100,6 +140,7 @@ function parseNoteArgs(args) {
   // Add note-specific options
   options.lang = null;
   options.isCode = false;
+  options.edit = false;
 
   // First pass: collect all flags and their values
   for (let i = 0; i < remainingArgs.length; i++) {
@@ -116,6 +157,8 @@ function parseNoteArgs(args) {
       }
     } else if (arg === '--lang') {
       options.lang = remainingArgs[++i];
+    } else if (arg === '--edit') {
+      options.edit = true;
     } else if (!arg.startsWith('-') && !text) {
       text = arg;
     }
@@ -135,10 +178,234 @@ function parseNoteArgs(args) {
   return { text, filePath, options };
 }
 
+/**
+ * Parse list command arguments
+ * @param {string[]} args - Command arguments
+ * @returns {Object} Parsed list options
+ */
+function parseListArgs(args) {
+  const options = {
+    type: null,
+    privacy: null,
+    limit: 20,
+    page: 1,
+    all: false,
+    sort: 'created',
+    order: 'desc'
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--type') {
+      options.type = args[++i];
+    } else if (arg === '--private' || arg === '-p') {
+      options.privacy = 'PRIVATE';
+    } else if (arg === '--public') {
+      options.privacy = 'PUBLIC';
+    } else if (arg === '--limit') {
+      options.limit = parseInt(args[++i], 10);
+    } else if (arg === '--page') {
+      options.page = parseInt(args[++i], 10);
+    } else if (arg === '--all') {
+      options.all = true;
+    } else if (arg === '--sort') {
+      options.sort = args[++i];
+    } else if (arg === '--asc') {
+      options.order = 'asc';
+    } else if (arg === '--desc') {
+      options.order = 'desc';
+    }
+  }
+
+  return { options };
+}
+
+/**
+ * Parse info command arguments
+ * @param {string[]} args - Command arguments
+ * @returns {Object} Drop code or shortlink to look up
+ */
+function parseInfoArgs(args) {
+  let target = '';
+
+  for (const arg of args) {
+    if (!arg.startsWith('-') && !target) {
+      target = arg;
+      break;
+    }
+  }
+
+  return { target };
+}
+
+/**
+ * Parse update command arguments
+ * Unlike parseCommonArgs, privacy defaults to null so that drops are only
+ * changed when a flag asks for it.
+ * @param {string[]} args - Command arguments
+ * @returns {Object} Parsed update options and drop codes
+ */
+function parseUpdateArgs(args) {
+  const options = {
+    privacy: null,
+    password: null,
+    removePassword: false,
+    title: null
+  };
+
+  const targets = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--private' || arg === '-p') {
+      options.privacy = 'PRIVATE';
+    } else if (arg === '--public') {
+      options.privacy = 'PUBLIC';
+    } else if (arg === '--password') {
+      options.password = args[++i];
+    } else if (arg === '--remove-password') {
+      options.removePassword = true;
+    } else if (arg === '--title') {
+      options.title = args[++i];
+    } else if (!arg.startsWith('-')) {
+      targets.push(arg);
+    }
+  }
+
+  return { targets, options };
+}
+
+/**
+ * Parse delete command arguments
+ * @param {string[]} args - Command arguments
+ * @returns {Object} Parsed delete options and drop codes ("-" reads codes from stdin)
+ */
+function parseDeleteArgs(args) {
+  const options = {
+    olderThan: null,
+    type: null,
+    titleMatch: null,
+    yes: false
+  };
+
+  const targets = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--older-than') {
+      options.olderThan = args[++i];
+    } else if (arg === '--type') {
+      options.type = args[++i];
+    } else if (arg === '--title-match') {
+      options.titleMatch = args[++i];
+    } else if (arg === '--yes' || arg === '-y') {
+      options.yes = true;
+    } else if (arg === '-' || !arg.startsWith('-')) {
+      targets.push(arg);
+    }
+  }
+
+  return { targets, options };
+}
+
+/**
+ * Parse stats command arguments
+ * @param {string[]} args - Command arguments
+ * @returns {Object} Drop code or shortlink (unless --summary) and parsed stats options
+ */
+function parseStatsArgs(args) {
+  const options = {
+    summary: false,
+    since: null,
+    type: null,
+    top: 10,
+    csv: false
+  };
+
+  let target = '';
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--summary') {
+      options.summary = true;
+    } else if (arg === '--since') {
+      options.since = args[++i];
+    } else if (arg === '--type') {
+      options.type = args[++i];
+    } else if (arg === '--top') {
+      options.top = parseInt(args[++i], 10);
+    } else if (arg === '--csv') {
+      options.csv = true;
+    } else if (!arg.startsWith('-') && !target) {
+      target = arg;
+    }
+  }
+
+  return { target, options };
+}
+
+/**
+ * Parses history command arguments
+ * @param {string[]} args - Command line arguments
+ * @returns {Object} { subcommand, target, query, options }: subcommand is open, copy, prune or
+ *   null for a search; target is the entry to open or copy; query is the search text
+ */
+function parseHistoryArgs(args) {
+  const options = {
+    type: null,
+    since: null,
+    limit: 20,
+    all: false,
+    olderThan: null,
+    keep: null
+  };
+
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--type') {
+      options.type = args[++i];
+    } else if (arg === '--since') {
+      options.since = args[++i];
+    } else if (arg === '--limit') {
+      options.limit = parseInt(args[++i], 10);
+    } else if (arg === '--all') {
+      options.all = true;
+    } else if (arg === '--older-than') {
+      options.olderThan = args[++i];
+    } else if (arg === '--keep') {
+      options.keep = parseInt(args[++i], 10);
+    } else if (!arg.startsWith('-')) {
+      positional.push(arg);
+    }
+  }
+
+  const subcommand = ['open', 'copy', 'prune'].includes(positional[0]) ? positional.shift() : null;
+
+  return {
+    subcommand,
+    target: subcommand && subcommand !== 'prune' ? positional[0] || '' : '',
+    query: subcommand ? '' : positional.join(' '),
+    options
+  };
+}
+
 module.exports = {
   commonOptionsMeta,
   parseCommonArgs,
   parseUploadArgs,
   parseLinkArgs,
-  parseNoteArgs
+  parseNoteArgs,
+  parseListArgs,
+  parseInfoArgs,
+  parseUpdateArgs,
+  parseDeleteArgs,
+  parseStatsArgs,
+  parseHistoryArgs
 };
\ No newline at end of file
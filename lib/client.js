@@ -1,25 +1,195 @@
 const Droplr = require('droplr-api');
-const { UploadError } = require('./errors');
+const {
+  getActiveProfile,
+  getRetries,
+  resolveFallbackCredentials,
+  adoptFallbackCredentials
+} = require('./config');
+const { getTokenExpiry } = require('./jwt');
+const { withRetry } = require('./retry');
+const { AuthError } = require('./errors');
+const logger = require('./logger');
+
+// Fallback credentials for a rejected token, looked up at most once per run and
+// shared by every client (batch uploads create one per file)
+const sessionState = {
+  looked: false,
+  fallback: null,
+  adopted: false
+};
+
+function createAuth(credentials) {
+  if (credentials.type === 'basic') {
+    return new Droplr.BasicAuth(credentials.username, credentials.password);
+  } else if (credentials.type === 'jwt') {
+    return new Droplr.JwtAuth(credentials.token);
+  } else if (credentials.type === 'anonymous') {
+    throw new AuthError('No authentication configured. Use "drplr config" to set up credentials.');
+  }
+
+  throw new AuthError('Invalid authentication credentials');
+}
+
+function isUnauthorized(error) {
+  return (error.statusCode || error.response?.status) === 401;
+}
+
+function isStream(data) {
+  return Boolean(data && typeof data.pipe === 'function');
+}
+
+function getFallback() {
+  if (!sessionState.looked) {
+    sessionState.looked = true;
+    sessionState.fallback = resolveFallbackCredentials();
+  }
+  return sessionState.fallback;
+}
+
+// Persists the switch once the fallback has been accepted, so later runs skip the dead token
+function adoptFallback() {
+  if (sessionState.adopted) return;
+  sessionState.adopted = true;
+
+  const profile = getActiveProfile();
+  const { source } = sessionState.fallback;
+  const saved = adoptFallbackCredentials()
+    ? ` and made it the profile's credentials (run "drplr auth token <jwt_token>" to use a token again)`
+    : '';
+  logger.warn(`The JWT token for profile "${profile}" was rejected; signed in with ${source} instead${saved}`);
+}
+
+/**
+ * Makes a JWT client retry a request rejected with 401 once, signed in with the
+ * profile's fallback credentials (see resolveFallbackCredentials)
+ * @param {Droplr.Client} client - Client authenticated with the token
+ * @param {string} token - The client's JWT
+ * @returns {Droplr.Client} The same client
+ */
+function withTokenFallback(client, token) {
+  const request = client._request.bind(client);
+  let usingFallback = false;
+  let verified = false;
+
+  const useFallback = () => {
+    const fallback = getFallback();
+    if (!fallback) return false;
+
+    logger.debug(`JWT token rejected; retrying with ${fallback.source}`);
+    client.options.auth = createAuth(fallback.credentials);
+    usingFallback = true;
+    return true;
+  };
+
+  // An expired token needn't be sent at all. Streamed bodies (uploads) can't be
+  // sent twice, so before sending one the token is checked with an account lookup.
+  const tokenRejected = async streamed => {
+    const expiry = getTokenExpiry(token);
+    if (expiry && expiry.getTime() <= Date.now()) return true;
+    if (!streamed || verified || !getFallback()) return false;
+
+    try {
+      await request('get', 'account', {});
+      verified = true;
+      return false;
+    } catch (error) {
+      return isUnauthorized(error);
+    }
+  };
+
+  client._request = async (method, path, config = {}) => {
+    // _request mutates its config, so each attempt gets a fresh copy
+    const attempt = () => request(method, path, { ...config, headers: { ...config.headers } });
+
+    if (!usingFallback && await tokenRejected(isStream(config.data)) && useFallback()) {
+      const response = await attempt();
+      adoptFallback();
+      return response;
+    }
+
+    try {
+      const response = await attempt();
+      verified = true;
+      return response;
+    } catch (error) {
+      if (usingFallback || !isUnauthorized(error) || !useFallback()) {
+        throw error;
+      }
+
+      const response = await attempt();
+      adoptFallback();
+      return response;
+    }
+  };
+
+  return client;
+}
 
 /**
- * Creates a Droplr client with appropriate authentication
+ * Makes a client retry requests that failed transiently (see isTransientError).
+ * Only requests that are safe to repeat are retried: POSTs create drops, so
+ * createDrop retries those itself after checking the first attempt didn't
+ * succeed, and a streamed body can't be sent twice. A request whose config
+ * has retry: false is sent once.
+ * @param {Droplr.Client} client - Client to wrap
+ * @param {number} retries - Retries after the first attempt
+ * @returns {Droplr.Client} The same client
+ */
+function withRetries(client, retries) {
+  const request = client._request.bind(client);
+
+  client._request = (method, path, config = {}) => {
+    if (retries === 0 || config.retry === false || method === 'post' || isStream(config.data)) {
+      return request(method, path, config);
+    }
+
+    return withRetry(async attempt => {
+      try {
+        // _request mutates its config, so each attempt gets a fresh copy
+        return await request(method, path, { ...config, headers: { ...config.headers }, params: { ...config.params } });
+      } catch (error) {
+        // The first attempt may have got through before its response was lost
+        if (attempt > 0 && method === 'delete' && error.response?.status === 404) {
+          return { data: null, headers: {} };
+        }
+        throw error;
+      }
+    }, { retries, label: `${method.toUpperCase()} ${path}` });
+  };
+
+  return client;
+}
+
+/**
+ * Creates a Droplr client with appropriate authentication. A JWT that the API
+ * rejects is retried once with the profile's fallback credentials, if it has any.
  * @param {Object} credentials - Authentication credentials
+ * @param {Object} [options] - Client options
+ * @param {boolean} [options.fallback=true] - Fall back when the token is rejected
+ * @param {number} [options.retries] - Retries for transient failures (default: getRetries())
  * @returns {Droplr.Client} Authenticated client instance
  */
-function createClient(credentials) {
-  if (credentials.type === 'basic') {
-    return new Droplr.Client({
-      auth: new Droplr.BasicAuth(credentials.username, credentials.password)
-    });
-  } else if (credentials.type === 'jwt') {
-    return new Droplr.Client({
-      auth: new Droplr.JwtAuth(credentials.token)
-    });
-  } else if (credentials.type === 'anonymous') {
-    throw new UploadError('No authentication configured. Use "drplr config" to set up credentials.');
+function createClient(credentials, options = {}) {
+  const useFallback = credentials.type === 'jwt' && options.fallback !== false;
+  const retries = options.retries ?? getRetries();
+
+  // Once the fallback has been accepted, the rest of the run uses it directly
+  if (useFallback && sessionState.adopted) {
+    return withRetries(new Droplr.Client({ auth: createAuth(sessionState.fallback.credentials) }), retries);
   }
 
-  throw new UploadError('Invalid authentication credentials');
+  const client = withRetries(new Droplr.Client({ auth: createAuth(credentials) }), retries);
+  return useFallback ? withTokenFallback(client, credentials.token) : client;
+}
+
+/**
+ * Creates a client that sends no credentials, to see a drop as the public does
+ * @param {Object} [options] - Client options
+ * @param {number} [options.retries] - Retries for transient failures (default: getRetries())
+ * @returns {Droplr.Client} Anonymous client instance
+ */
+function createAnonymousClient(options = {}) {
+  return withRetries(new Droplr.Client({ auth: new Droplr.AnonymousAuth() }), options.retries ?? getRetries());
 }
 
-module.exports = { createClient };
\ No newline at end of file
+module.exports = { createClient, createAnonymousClient, withTokenFallback, withRetries };
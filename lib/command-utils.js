@@ -1,59 +1,127 @@
-const { getCredentials } = require('./config');
-const { UploadError } = require('./errors');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { spawn, spawnSync } = require('child_process');
+const { resolveCredentials, getActiveProfile, profileExists, getTokenWarningWindow } = require('./config');
+const { getTokenExpiry, formatRelativeTime } = require('./jwt');
+const { UploadError, AuthError, RateLimitError, PrivacyError, EXIT_CODES, getExitCode } = require('./errors');
+const { parseApiError } = require('./api-utils');
 const logger = require('./logger');
 
+/**
+ * Warns on stderr when a JWT has expired or will within the configured window
+ * (see getTokenWarningWindow). An expired token with a fallback needs no warning
+ * here; the client switches to the fallback and says so.
+ * @param {Object} resolved - Result of resolveCredentials
+ * @param {number} [now=Date.now()] - Current time
+ */
+function warnAboutTokenExpiry(resolved, now = Date.now()) {
+  const { credentials, fallback } = resolved;
+  const expiry = credentials.type === 'jwt' ? getTokenExpiry(credentials.token) : null;
+  if (!expiry) return;
+
+  const relative = formatRelativeTime(expiry, now);
+  if (expiry.getTime() <= now) {
+    if (!fallback) {
+      logger.warn(`Your JWT token expired ${relative}; get a fresh one from d.pr and run "drplr auth token <jwt_token>"`);
+    }
+  } else {
+    const window = getTokenWarningWindow();
+    if (window > 0 && expiry.getTime() - now <= window) {
+      logger.warn(`Your JWT token expires ${relative}; get a fresh one from d.pr before then`);
+    }
+  }
+}
+
 /**
  * Checks authentication and returns credentials, exiting if not configured
  * @returns {Object} Valid credentials object
  */
 function requireAuthentication() {
-  const credentials = getCredentials();
+  const resolved = resolveCredentials();
+  const { credentials } = resolved;
 
   if (credentials.type === 'anonymous') {
-    logger.error('Error: No authentication configured');
+    const profile = getActiveProfile();
+    if (!profileExists(profile)) {
+      logger.error(`Error: Profile "${profile}" does not exist`);
+      logger.error('Run "drplr profile list" to see configured profiles');
+      process.exit(EXIT_CODES.INVALID_INPUT);
+    }
+
+    const message = profile === 'default'
+      ? 'No authentication configured'
+      : `No authentication configured for profile "${profile}"`;
+    if (logger.isStructured()) {
+      logger.failure('AUTH_REQUIRED', message, { hints: ['See "drplr help" for how to set up credentials'] });
+      process.exit(EXIT_CODES.AUTH_REQUIRED);
+    }
+
+    logger.error(`Error: ${message}`);
     logger.error('');
     logger.error('Choose one of these methods:');
     logger.error('1. Use 1Password CLI: drplr auth 1password <item>');
     logger.error('2. Extract JWT from browser: drplr auth token <jwt_token>');
     logger.error('3. Use username/password: drplr auth login <username> <password>');
+    logger.error('4. Set environment variables (e.g. in CI): DRPLR_TOKEN or DRPLR_TOKEN_FILE,');
+    logger.error('   or DRPLR_USERNAME with DRPLR_PASSWORD or DRPLR_PASSWORD_FILE');
     logger.error('');
     logger.error('See "drplr help" for detailed instructions');
-    process.exit(1);
+    process.exit(EXIT_CODES.AUTH_REQUIRED);
   }
 
+  warnAboutTokenExpiry(resolved);
   return credentials;
 }
 
 /**
- * Handles common error patterns for commands
+ * Reports a failed command and exits with the error's exit code (see EXIT_CODES)
  * @param {Error} error - The error to handle
  * @param {string} operation - Operation name for context
  */
 function handleCommandError(error, operation = 'Operation') {
-  const authRelated = error.message.includes('401') ||
-    error.message.includes('Unauthorized') ||
-    error.message.includes('No such user');
+  // An API error that escaped parseApiError still gets classified by its status
+  if (!(error instanceof UploadError) && (error.response || error.httpError)) {
+    error = parseApiError(error, operation);
+  }
+  const typed = error instanceof UploadError;
 
-  if (error instanceof UploadError) {
-    logger.error(error.message);
-    if (authRelated) {
-      logger.error('');
-      logger.error('Try refreshing your authentication:');
-      logger.error('- For 1Password: drplr auth 1password <item>');
-      logger.error('- For JWT: Get a fresh token from your browser cookies at d.pr');
-      logger.error('- For login: drplr auth login <username> <password>');
+  // Scripts get one object they can branch on instead of the hints below
+  if (logger.isStructured()) {
+    const details = { operation };
+    if (error instanceof RateLimitError && error.retryAfter !== null) {
+      details.retryAfter = error.retryAfter;
+    }
+    if (error instanceof PrivacyError) {
+      details.drop = error.dropCode;
+      details.deleted = error.deleted;
     }
-    process.exit(1);
+
+    logger.failure(typed ? error.code : 'UNEXPECTED_ERROR', error.message.replace(/^✗\s*/, ''), details);
+    process.exit(getExitCode(error));
+  }
+
+  if (typed) {
+    logger.error(error.message);
+  } else {
+    logger.error(`✗ ${operation} failed:`, error.message);
   }
 
-  logger.error(`✗ ${operation} failed:`, error.message);
-  if (authRelated) {
+  if (error instanceof AuthError) {
     logger.error('');
     logger.error('Try refreshing your authentication:');
+    logger.error('- For 1Password: drplr auth 1password <item>');
     logger.error('- For JWT: Get a fresh token from your browser cookies at d.pr');
     logger.error('- For login: drplr auth login <username> <password>');
+  } else if (error instanceof RateLimitError) {
+    logger.error(error.retryAfter !== null
+      ? `Droplr is rate limiting requests; try again in ${error.retryAfter}s`
+      : 'Droplr is rate limiting requests; try again later');
+  } else if (error instanceof PrivacyError && !error.deleted) {
+    logger.error(`Delete it now with: drplr delete ${error.dropCode}`);
   }
-  process.exit(1);
+  process.exit(getExitCode(error));
 }
 
 /**
@@ -69,8 +137,123 @@ async function executeCommand(commandFn, operation = 'Operation') {
   }
 }
 
+/**
+ * Asks the user a question on stderr and resolves with the trimmed answer
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} The user's answer
+ */
+function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+/**
+ * Asks a yes/no question, defaulting to no
+ * @param {string} question - Prompt text (without the [y/N] suffix)
+ * @returns {Promise<boolean>} True if the user answered yes
+ */
+async function confirm(question) {
+  const answer = await prompt(`${question} [y/N] `);
+  return /^y(es)?$/i.test(answer);
+}
+
+/**
+ * Reads all of stdin into a string
+ * @returns {Promise<string>} Stdin contents
+ */
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { data += chunk; });
+    process.stdin.on('end', () => resolve(data));
+    process.stdin.on('error', reject);
+  });
+}
+
+/**
+ * Opens $VISUAL/$EDITOR on a temp file and returns what the user saved
+ * @param {string} [initial=''] - Text to pre-fill the buffer with
+ * @returns {string} Saved buffer contents
+ */
+function editInEditor(initial = '') {
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drplr-'));
+  const file = path.join(dir, 'note.txt');
+
+  try {
+    fs.writeFileSync(file, initial);
+
+    // Run through the shell so editors configured with arguments (e.g. "code --wait") work
+    const result = spawnSync(`${editor} "${file}"`, { shell: true, stdio: 'inherit' });
+    if (result.error || result.status !== 0) {
+      throw new UploadError(`Editor "${editor}" exited with an error; no note created`);
+    }
+
+    return fs.readFileSync(file, 'utf8');
+  } finally {
+    // fs.rmSync needs Node 14.14; editors may also leave backup files beside the note
+    try {
+      fs.readdirSync(dir).forEach(name => fs.unlinkSync(path.join(dir, name)));
+      fs.rmdirSync(dir);
+    } catch (error) {
+      // Leave the temporary directory behind rather than fail the command
+    }
+  }
+}
+
+/**
+ * Opens a URL in the default browser without waiting for it
+ * @param {string} url - URL to open
+ * @throws {UploadError} If the opener can't be started
+ */
+function openUrl(url) {
+  const [command, args] = process.platform === 'darwin' ? ['open', [url]]
+    : process.platform === 'win32' ? ['cmd', ['/c', 'start', '""', url]]
+      : ['xdg-open', [url]];
+
+  const result = spawnSync(command === 'cmd' ? 'where' : 'which', [command], { stdio: 'ignore' });
+  if (result.status !== 0) {
+    throw new UploadError(`Could not open ${url}: "${command}" is not available`);
+  }
+
+  spawn(command, args, { detached: true, stdio: 'ignore' }).unref();
+}
+
+/**
+ * Copies text to the system clipboard
+ * @param {string} text - Text to copy
+ * @throws {UploadError} If no clipboard tool is available
+ */
+function copyToClipboard(text) {
+  const tools = process.platform === 'darwin' ? [['pbcopy', []]]
+    : process.platform === 'win32' ? [['clip', []]]
+      : [['wl-copy', []], ['xclip', ['-selection', 'clipboard']], ['xsel', ['--clipboard', '--input']]];
+
+  for (const [command, args] of tools) {
+    const result = spawnSync(command, args, { input: text, stdio: ['pipe', 'ignore', 'ignore'] });
+    if (!result.error && result.status === 0) {
+      return;
+    }
+  }
+
+  throw new UploadError(`Could not copy to the clipboard: install ${tools.map(([command]) => command).join(', ')}`);
+}
+
 module.exports = {
+  warnAboutTokenExpiry,
   requireAuthentication,
   handleCommandError,
-  executeCommand
+  executeCommand,
+  prompt,
+  confirm,
+  readStdin,
+  editInEditor,
+  openUrl,
+  copyToClipboard
 };
\ No newline at end of file
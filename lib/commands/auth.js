@@ -1,29 +1,28 @@
-const { execSync } = require('child_process');
-const readline = require('readline');
-const { setCredentials, set1PasswordItem } = require('../config');
+const {
+  setCredentials,
+  set1PasswordItem,
+  getActiveProfile,
+  listProfiles,
+  migrateLegacyCredentials,
+  resolveCredentials,
+  readEnvCredentials,
+  clearCredentials
+} = require('../config');
+const { STORE_NAMES, secretEnvName } = require('../secret-store');
+const { listLoginItems, isReference } = require('../onepassword');
+const { getTokenExpiry, formatRelativeTime } = require('../jwt');
+const { formatDate } = require('../drop-utils');
+const { UploadError, EXIT_CODES } = require('../errors');
+const { getWhoami } = require('./whoami');
+const { AUTH_LABELS } = require('./profile');
+const { prompt } = require('../command-utils');
 const logger = require('../logger');
 
-function prompt(question) {
-  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
-  return new Promise(resolve => {
-    rl.question(question, answer => {
-      rl.close();
-      resolve(answer.trim());
-    });
-  });
-}
-
 function fetchLoginItems() {
   try {
-    const result = execSync('op item list --categories Login --format json', {
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe'],
-      maxBuffer: 10 * 1024 * 1024
-    });
-    return JSON.parse(result);
+    return listLoginItems();
   } catch (error) {
-    const msg = error.stderr ? error.stderr.toString().trim() : error.message;
-    logger.error('Failed to list 1Password items:', msg);
+    logger.error('Failed to list 1Password items:', error.message);
     return null;
   }
 }
@@ -37,6 +36,12 @@ function filterItems(items, query) {
   );
 }
 
+// Names the profile in success messages once more than the default one is in play
+function profileSuffix() {
+  const profile = getActiveProfile();
+  return profile === 'default' ? '' : ` (profile "${profile}")`;
+}
+
 function formatItem(item) {
   const info = item.additional_information ? ` (${item.additional_information})` : '';
   return `${item.title}${info}`;
@@ -131,20 +136,176 @@ async function pick1PasswordItem() {
 }
 
 /**
- * Handles authentication commands (token, login, 1password)
+ * Pulls --store <name> out of auth arguments
  * @param {string[]} args - Command arguments
+ * @returns {Object} { args, store } with the option removed from args
+ */
+function extractStoreOption(args) {
+  const index = args.indexOf('--store');
+  if (index === -1) {
+    return { args, store: null };
+  }
+
+  const store = args[index + 1];
+  if (!STORE_NAMES.includes(store)) {
+    logger.error(`Error: --store must be one of: ${STORE_NAMES.join(', ')}`);
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  return { args: [...args.slice(0, index), ...args.slice(index + 2)], store };
+}
+
+/**
+ * Checks which credentials are in use and whether the API accepts them
+ * @returns {Promise<Object>} { profile, method, source, fallback, expiresAt, expired, verified,
+ *   account, error, errorCode }, errorCode being one of the EXIT_CODES keys
+ */
+async function getAuthStatus() {
+  const { credentials, method, source, profile, fallback } = resolveCredentials();
+  const status = {
+    profile,
+    method,
+    source,
+    fallback,
+    expiresAt: null,
+    expired: null,
+    verified: false,
+    account: null,
+    error: null,
+    errorCode: null
+  };
+
+  if (credentials.type === 'anonymous') {
+    status.error = 'No authentication configured';
+    status.errorCode = 'AUTH_REQUIRED';
+    return status;
+  }
+
+  if (credentials.type === 'jwt') {
+    const expiry = getTokenExpiry(credentials.token);
+    if (expiry) {
+      status.expiresAt = expiry.toISOString();
+      status.expired = expiry.getTime() <= Date.now();
+    }
+  }
+
+  // Report on the token itself rather than quietly switching to the fallback
+  try {
+    status.account = await getWhoami(credentials, { fallback: false });
+    status.verified = true;
+  } catch (error) {
+    status.error = error.message;
+    status.errorCode = error instanceof UploadError ? error.code : 'UNEXPECTED_ERROR';
+  }
+
+  return status;
+}
+
+function printAuthStatus(status) {
+  logger.log(`Profile:  ${status.profile || '- (environment)'}`);
+  logger.log(`Method:   ${AUTH_LABELS[status.method] || 'none'}`);
+  if (status.source) {
+    logger.log(`Source:   ${status.source}`);
+  }
+
+  if (status.expiresAt) {
+    const expiry = new Date(status.expiresAt);
+    const relative = formatRelativeTime(expiry);
+    logger.log(`Expires:  ${formatDate(expiry)} UTC (${status.expired ? `expired ${relative}` : relative})`);
+  } else if (status.method === 'token') {
+    logger.log('Expires:  unknown (token has no expiry claim)');
+  }
+
+  if (status.fallback) {
+    logger.log(`Fallback: ${status.fallback}`);
+  }
+
+  if (status.verified) {
+    logger.log(`Verified: ✓ ${status.account.email || 'credentials accepted'}`);
+  } else {
+    logger.log(`Verified: ✗ ${status.error}`);
+  }
+}
+
+/**
+ * Handles authentication commands (token, login, 1password, migrate, status, logout)
+ * @param {string[]} rawArgs - Command arguments
+ * @param {Object} [globalOptions] - Global options (porcelain, debug)
  */
-async function handleAuthCommand(args) {
+async function handleAuthCommand(rawArgs, globalOptions = {}) {
+  const { args, store } = extractStoreOption(rawArgs);
+
+  if (args[0] === 'status') {
+    const status = await getAuthStatus();
+
+    if (logger.isStructured()) {
+      logger.json(status);
+    } else {
+      printAuthStatus(status);
+    }
+
+    // Scripts can rely on the exit code: 0 only when the API accepted the
+    // credentials, otherwise it says why (e.g. 3 rejected, 6 unreachable)
+    if (!status.verified) {
+      if (globalOptions.porcelain && !logger.isStructured()) {
+        logger.error(status.error);
+      }
+      process.exit(EXIT_CODES[status.errorCode]);
+    }
+    return;
+  }
+
+  if (args[0] === 'logout') {
+    const profile = getActiveProfile();
+    const removed = clearCredentials();
+
+    // Environment credentials aren't ours to remove, but they'd keep working
+    let fromEnv = null;
+    try {
+      fromEnv = readEnvCredentials();
+    } catch (error) {
+      // Misconfigured variables still deserve the reminder below
+      fromEnv = { source: 'DRPLR_* environment variables' };
+    }
+
+    if (logger.isStructured()) {
+      logger.json({ profile, removed, environment: fromEnv ? fromEnv.source : null });
+      return;
+    }
+
+    if (removed) {
+      logger.log(`✓ Removed stored credentials from profile "${profile}"`);
+    } else {
+      logger.log(`No stored credentials in profile "${profile}".`);
+    }
+    if (fromEnv) {
+      logger.error(`note: ${fromEnv.source} is still set in the environment and will be used until you unset it.`);
+    }
+    return;
+  }
+
   if (args[0] === 'token') {
-    if (args.length !== 2) {
-      logger.error('Usage: drplr auth token <jwt_token>');
-      process.exit(1);
+    // The env store reads the token from DRPLR_SECRET_<PROFILE>_TOKEN, so it needn't be passed
+    const tokenOptional = store === 'env';
+    if (args.length !== 2 && !(tokenOptional && args.length === 1)) {
+      logger.error('Usage: drplr auth token <jwt_token> [--store <store>]');
+      if (tokenOptional) {
+        logger.error(`       export ${secretEnvName(`${getActiveProfile()}/token`)}=<jwt_token>; drplr auth token --store env`);
+      }
+      process.exit(EXIT_CODES.INVALID_INPUT);
     }
 
     const token = args[1];
 
-    if (setCredentials('jwt', token)) {
-      logger.log('✓ JWT token saved successfully');
+    if (setCredentials('jwt', { token }, { store })) {
+      logger.log(`✓ JWT token saved successfully${profileSuffix()}`);
+      if (isReference(token)) {
+        logger.log('  The token will be read from 1Password at runtime.');
+      }
+      const { fallback } = listProfiles().find(profile => profile.current) || {};
+      if (fallback) {
+        logger.log(`  If the token is rejected, ${fallback} is used instead.`);
+      }
     } else {
       logger.error('✗ Failed to save JWT token');
       process.exit(1);
@@ -154,14 +315,17 @@ async function handleAuthCommand(args) {
 
   if (args[0] === 'login') {
     if (args.length !== 3) {
-      logger.error('Usage: drplr auth login <username> <password>');
-      process.exit(1);
+      logger.error('Usage: drplr auth login <username> <password> [--store <store>]');
+      process.exit(EXIT_CODES.INVALID_INPUT);
     }
 
     const [, username, password] = args;
 
-    if (setCredentials('basic', username, password)) {
-      logger.log('✓ Login credentials saved successfully');
+    if (setCredentials('basic', { username, password }, { store })) {
+      logger.log(`✓ Login credentials saved successfully${profileSuffix()}`);
+      if (isReference(username)) {
+        logger.log('  Credentials will be read from 1Password at runtime.');
+      }
     } else {
       logger.error('✗ Failed to save login credentials');
       process.exit(1);
@@ -182,7 +346,7 @@ async function handleAuthCommand(args) {
     const autoPicked = !args[1];
     logger.log('Verifying 1Password item...');
     if (set1PasswordItem(item)) {
-      logger.log('✓ 1Password item configured successfully');
+      logger.log(`✓ 1Password item configured successfully${profileSuffix()}`);
       logger.log('  Credentials will be fetched from 1Password at runtime.');
       if (autoPicked) {
         logger.log('');
@@ -196,9 +360,33 @@ async function handleAuthCommand(args) {
     return;
   }
 
-  logger.error('Usage: drplr auth [token|login|1password] ...');
+  if (args[0] === 'migrate') {
+    const results = migrateLegacyCredentials({ store });
+
+    if (results.length === 0) {
+      logger.log('No legacy credentials to migrate.');
+      return;
+    }
+
+    results.forEach(result => {
+      if (result.error) {
+        logger.error(`✗ ${result.name}: ${result.error.message}`);
+      } else {
+        logger.log(`✓ ${result.name}: moved to ${result.store}`);
+      }
+    });
+
+    if (results.some(result => result.error)) {
+      logger.error('');
+      logger.error('Re-enter credentials for the profiles that failed with "drplr --profile <name> auth ...".');
+      process.exit(1);
+    }
+    return;
+  }
+
+  logger.error('Usage: drplr auth [token|login|1password|migrate|status|logout] ...');
   logger.error('Run "drplr help" for more information');
-  process.exit(1);
+  process.exit(EXIT_CODES.INVALID_INPUT);
 }
 
 const meta = {
@@ -208,8 +396,11 @@ const meta = {
     { name: 'token', description: 'Set JWT token from browser', args: [{ name: 'jwt_token' }] },
     { name: 'login', description: 'Set username/password', args: [{ name: 'username' }, { name: 'password' }] },
     { name: '1password', description: 'Use 1Password CLI for credentials', args: [{ name: 'item', optional: true }] },
+    { name: 'migrate', description: 'Move legacy encrypted credentials to a secret store' },
+    { name: 'status', description: 'Show and verify the active credentials' },
+    { name: 'logout', description: 'Remove stored credentials from the active profile' },
     { name: 'op', description: 'Alias for 1password', hidden: true }
   ]
 };
 
-module.exports = { handleAuthCommand, meta };
\ No newline at end of file
+module.exports = { getAuthStatus, handleAuthCommand, meta };
\ No newline at end of file
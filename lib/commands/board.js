@@ -0,0 +1,265 @@
+const { ValidationError, NotFoundError, EXIT_CODES } = require('../errors');
+const { createClient } = require('../client');
+const { listBoards, getBoard, createBoard, renameBoard, deleteBoard, listDrops } = require('../api-utils');
+const { requireAuthentication } = require('../command-utils');
+const { getCachedBoards, setCachedBoards } = require('../config');
+const { getDropUrl, toDropRecord } = require('../drop-utils');
+const { printDropTable } = require('./list');
+const logger = require('../logger');
+
+const USAGE = 'drplr board [list|create|show|rename|delete] ...';
+
+/**
+ * Board fields printed by --json
+ * @param {Object} board - Board from the API
+ * @returns {Object} { id, name, privacy }
+ */
+function toBoardRecord(board) {
+  return {
+    id: board.id,
+    name: board.name || board.title || null,
+    privacy: board.privacy ? String(board.privacy).toLowerCase() : null
+  };
+}
+
+/**
+ * Lists boards and refreshes the cache used to resolve board names
+ * @param {Droplr.Client} client - Authenticated client
+ * @returns {Promise<Object[]>} Boards
+ */
+async function fetchBoards(client) {
+  const boards = await listBoards(client);
+  setCachedBoards(boards.map(toBoardRecord));
+  return boards;
+}
+
+/**
+ * Finds a board by ID, or by name (case-insensitively)
+ * @param {Object[]} boards - Boards to search
+ * @param {string} ref - Board ID or name
+ * @returns {Object|null} The board
+ * @throws {ValidationError} If several boards have that name
+ */
+function findBoard(boards, ref) {
+  const byId = boards.find(board => String(board.id) === ref);
+  if (byId) {
+    return byId;
+  }
+
+  const named = boards.filter(board => toBoardRecord(board).name?.toLowerCase() === ref.toLowerCase());
+  if (named.length > 1) {
+    throw new ValidationError(`Several boards are named "${ref}"; use an ID instead (${named.map(board => board.id).join(', ')})`);
+  }
+  return named[0] || null;
+}
+
+/**
+ * Whether a board found in the cache by name still exists under that name, so
+ * a board deleted or renamed elsewhere isn't used by a stale ID
+ * @param {Droplr.Client} client - Authenticated client
+ * @param {Object} cached - Cached { id, name }
+ * @returns {Promise<boolean>}
+ */
+async function isCurrent(client, cached) {
+  try {
+    const board = toBoardRecord(await getBoard(client, cached.id));
+    return !board.name || board.name.toLowerCase() === cached.name.toLowerCase();
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Resolves a board ID or name, from the cache when it knows the board and
+ * otherwise by listing boards (which refreshes the cache). A name found in the
+ * cache is confirmed first, and boards are listed again if it has gone stale.
+ * @param {Droplr.Client} client - Authenticated client
+ * @param {string} ref - Board ID or name
+ * @returns {Promise<Object>} { id, name }
+ * @throws {NotFoundError} If no board has that ID or name
+ */
+async function resolveBoard(client, ref) {
+  const cached = findBoard(getCachedBoards(), ref);
+  if (cached && (String(cached.id) === ref || await isCurrent(client, cached))) {
+    logger.debug(`Resolved board "${ref}" to ${cached.id} from the cache`);
+    return cached;
+  }
+  if (cached) {
+    logger.debug(`Cached board "${ref}" (${cached.id}) is gone or renamed; listing boards again`);
+  }
+
+  const board = findBoard(await fetchBoards(client), ref);
+  if (!board) {
+    throw new NotFoundError(`No board with ID or name "${ref}" (see "drplr board list")`);
+  }
+  return toBoardRecord(board);
+}
+
+/**
+ * Resolves a --board option once for a command, before any drops are created
+ * @param {Object} credentials - Authentication credentials
+ * @param {Object} options - Parsed options; options.boardId is set from options.board
+ */
+async function applyBoardOption(credentials, options) {
+  if (options.board) {
+    options.boardId = (await resolveBoard(createClient(credentials), options.board)).id;
+  }
+}
+
+function updateCache(update) {
+  setCachedBoards(update(getCachedBoards()));
+}
+
+function requireArgs(values, usage) {
+  if (values.some(value => !value)) {
+    logger.error(`Usage: ${usage}`);
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+}
+
+/**
+ * Handles board commands (list, create, show, rename, delete)
+ * @param {string[]} args - Command arguments
+ * @param {Object} globalOptions - Global options (porcelain, debug)
+ * @returns {Function} Function to be executed by executeCommand
+ */
+function handleBoardCommand(args, globalOptions) {
+  const [subcommand, ref, name] = args.filter(arg => !arg.startsWith('-'));
+
+  if (subcommand === 'list' || subcommand === 'ls') {
+    return async () => {
+      const client = createClient(requireAuthentication());
+      const boards = (await fetchBoards(client)).map(toBoardRecord);
+
+      if (logger.isStructured()) {
+        logger.json(boards);
+      } else if (globalOptions.porcelain) {
+        logger.output(boards.map(board => board.id).join('\n'));
+      } else if (boards.length === 0) {
+        logger.log('No boards found.');
+      } else {
+        const width = Math.max(2, ...boards.map(board => String(board.id).length));
+        logger.log(`${'ID'.padEnd(width)}  NAME`);
+        boards.forEach(board => logger.log(`${String(board.id).padEnd(width)}  ${board.name || ''}`));
+      }
+    };
+  }
+
+  if (subcommand === 'create') {
+    requireArgs([ref], 'drplr board create <name>');
+
+    return async () => {
+      const client = createClient(requireAuthentication());
+      const board = toBoardRecord(await createBoard(client, ref));
+      updateCache(boards => [...boards, board]);
+
+      if (logger.isStructured()) {
+        logger.json(board);
+      } else if (globalOptions.porcelain) {
+        logger.output(String(board.id));
+      } else {
+        logger.log(`✓ Created board "${board.name || ref}" (${board.id})`);
+      }
+    };
+  }
+
+  if (subcommand === 'show') {
+    requireArgs([ref], 'drplr board show <id|name>');
+
+    return async () => {
+      const client = createClient(requireAuthentication());
+      const { id } = await resolveBoard(client, ref);
+      const board = toBoardRecord(await getBoard(client, id));
+      const { drops } = await listDrops(client, { board: id, sortBy: 'creation', order: 'desc' }, { all: true });
+
+      if (logger.isStructured()) {
+        logger.json({ ...board, drops: drops.map(drop => toDropRecord(drop)) });
+        return;
+      }
+
+      if (globalOptions.porcelain) {
+        logger.output(drops.map(getDropUrl).join('\n'));
+        return;
+      }
+
+      logger.log(`Board: ${board.name || '-'} (${board.id})`);
+      if (board.privacy) {
+        logger.log(`Privacy: ${board.privacy.charAt(0).toUpperCase()}${board.privacy.slice(1)}`);
+      }
+      logger.log(`Drops: ${drops.length}`);
+
+      if (drops.length > 0) {
+        logger.log('');
+        printDropTable(drops);
+      }
+    };
+  }
+
+  if (subcommand === 'rename') {
+    requireArgs([ref, name], 'drplr board rename <id|name> <new name>');
+
+    return async () => {
+      const client = createClient(requireAuthentication());
+      const { id } = await resolveBoard(client, ref);
+      const board = { ...toBoardRecord(await renameBoard(client, id, name)), id };
+      updateCache(boards => boards.map(cached => (cached.id === id ? { id, name: board.name || name } : cached)));
+
+      if (logger.isStructured()) {
+        logger.json(board);
+      } else if (globalOptions.porcelain) {
+        logger.output(String(id));
+      } else {
+        logger.log(`✓ Renamed board ${id} to "${board.name || name}"`);
+      }
+    };
+  }
+
+  if (subcommand === 'delete' || subcommand === 'rm') {
+    requireArgs([ref], 'drplr board delete <id|name>');
+
+    return async () => {
+      const client = createClient(requireAuthentication());
+      const { id, name: boardName } = await resolveBoard(client, ref);
+      await deleteBoard(client, id);
+      updateCache(boards => boards.filter(cached => cached.id !== id));
+
+      if (logger.isStructured()) {
+        logger.json({ id, name: boardName, deleted: true });
+      } else if (globalOptions.porcelain) {
+        logger.output(String(id));
+      } else {
+        logger.log(`✓ Deleted board "${boardName}" (${id})`);
+      }
+    };
+  }
+
+  logger.error(`Usage: ${USAGE}`);
+  logger.error('Run "drplr help" for more information');
+  process.exit(EXIT_CODES.INVALID_INPUT);
+}
+
+const meta = {
+  name: 'board',
+  description: 'Manage boards',
+  subcommands: [
+    { name: 'list', description: 'List boards' },
+    { name: 'create', description: 'Create a board', args: [{ name: 'name' }] },
+    { name: 'show', description: 'Show a board and its drops', args: [{ name: 'board' }] },
+    { name: 'rename', description: 'Rename a board', args: [{ name: 'board' }, { name: 'name' }] },
+    { name: 'delete', description: 'Delete a board', args: [{ name: 'board' }] },
+    { name: 'ls', description: 'Alias for list', hidden: true },
+    { name: 'rm', description: 'Alias for delete', hidden: true }
+  ]
+};
+
+module.exports = {
+  toBoardRecord,
+  findBoard,
+  resolveBoard,
+  applyBoardOption,
+  handleBoardCommand,
+  meta
+};
@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { EXIT_CODES } = require('../errors');
 const logger = require('../logger');
 
 // Lazy-load to avoid circular dependency (registry discovers command files)
@@ -277,7 +278,7 @@ function installCompletions(shell) {
   const rcFile = getRcFile(shell);
   if (!rcFile) {
     logger.error(`Unsupported shell: ${shell}`);
-    process.exit(1);
+    process.exit(EXIT_CODES.INVALID_INPUT);
   }
 
   const evalLine = getEvalLine(shell);
@@ -349,7 +350,7 @@ function handleCompletionsCommand(args) {
     logger.error('');
     logger.error('Install completions:');
     logger.error('  drplr completions --install');
-    process.exit(1);
+    process.exit(EXIT_CODES.INVALID_INPUT);
   }
 
   if (install) {
@@ -0,0 +1,216 @@
+const { ValidationError, getItemErrorCode, summarizeErrors, EXIT_CODES } = require('../errors');
+const { createClient } = require('../client');
+const { deleteDrop } = require('../api-utils');
+const { requireAuthentication, confirm, readStdin } = require('../command-utils');
+const { parseDeleteArgs } = require('../arg-parser');
+const { parseDropCode, parseDuration } = require('../drop-utils');
+const { DROP_TYPES, fetchDropList, printDropTable } = require('./list');
+const logger = require('../logger');
+
+/**
+ * Finds drops matching bulk-delete filters
+ * @param {Object} credentials - Authentication credentials
+ * @param {Object} filters - Filters to apply
+ * @param {string} [filters.type] - 'file', 'link' or 'note'
+ * @param {number} [filters.olderThanMs] - Only drops created longer ago than this
+ * @param {RegExp} [filters.titlePattern] - Only drops whose title matches
+ * @returns {Promise<Object[]>} Matching drops, oldest first
+ */
+async function findDropsToDelete(credentials, filters) {
+  const { drops } = await fetchDropList(credentials, {
+    type: filters.type,
+    privacy: null,
+    limit: 100,
+    page: 1,
+    all: true,
+    sort: 'created',
+    order: 'asc'
+  });
+
+  const cutoff = filters.olderThanMs ? Date.now() - filters.olderThanMs : null;
+
+  return drops.filter(drop => {
+    if (cutoff && !(drop.createdAt && drop.createdAt < cutoff)) return false;
+    if (filters.titlePattern && !filters.titlePattern.test(drop.title || '')) return false;
+    return true;
+  });
+}
+
+/**
+ * Deletes drops one at a time, reporting each result
+ * @param {string[]} codes - Drop codes to delete
+ * @param {Object} credentials - Authentication credentials
+ * @returns {Promise<Object>} Deleted codes, failure count and { code, error } per failure
+ */
+async function deleteDrops(codes, credentials) {
+  const client = createClient(credentials);
+  const deleted = [];
+  const errors = [];
+
+  for (const code of codes) {
+    try {
+      await deleteDrop(client, code);
+      deleted.push(code);
+      logger.log(`✓ Deleted ${code}`);
+    } catch (error) {
+      errors.push({ code, error });
+      // Structured output reports failures in the result array instead
+      if (!logger.isStructured()) {
+        logger.error(`✗ ${code}: ${error.message}`);
+      }
+    }
+  }
+
+  return { deleted, failures: errors.length, errors };
+}
+
+/**
+ * Resolves explicit targets (and "-" for stdin) into drop codes
+ * @param {string[]} targets - Codes, shortlinks or "-"
+ * @returns {Promise<string[]>} Drop codes
+ */
+async function resolveTargets(targets) {
+  const inputs = [];
+
+  for (const target of targets) {
+    if (target === '-') {
+      const stdin = await readStdin();
+      inputs.push(...stdin.split(/\s+/).filter(Boolean));
+    } else {
+      inputs.push(target);
+    }
+  }
+
+  return inputs.map(input => {
+    const code = parseDropCode(input);
+    if (!code) {
+      throw new ValidationError(`Invalid drop code or URL: ${input}`);
+    }
+    return code;
+  });
+}
+
+/**
+ * Handles the delete command with argument parsing and execution
+ * @param {string[]} args - Command arguments
+ * @param {Object} globalOptions - Global options (porcelain, debug)
+ * @returns {Function} Function to be executed by executeCommand
+ */
+function handleDeleteCommand(args, globalOptions) {
+  const { targets, options } = parseDeleteArgs(args);
+  const bulk = Boolean(options.olderThan || options.type || options.titleMatch);
+
+  if (targets.length === 0 && !bulk) {
+    logger.error('Error: Please specify drop codes, "-" for stdin, or a filter');
+    logger.error('Usage: drplr delete <code|url>... [--yes]');
+    logger.error('       drplr delete [--older-than <age>] [--type <type>] [--title-match <regex>] [--yes]');
+    logger.error('Use "drplr help" for more information');
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  if (targets.length > 0 && bulk) {
+    logger.error('Error: Drop codes cannot be combined with --older-than, --type or --title-match');
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  const filters = { type: options.type };
+
+  if (options.olderThan) {
+    filters.olderThanMs = parseDuration(options.olderThan);
+    if (!filters.olderThanMs) {
+      logger.error(`Error: Invalid --older-than value "${options.olderThan}" (e.g. 30d, 12h, 2w)`);
+      process.exit(EXIT_CODES.INVALID_INPUT);
+    }
+  }
+
+  if (options.type && !DROP_TYPES.includes(options.type)) {
+    logger.error(`Error: Invalid type "${options.type}" (expected ${DROP_TYPES.join(', ')})`);
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  if (options.titleMatch) {
+    try {
+      filters.titlePattern = new RegExp(options.titleMatch, 'i');
+    } catch (error) {
+      logger.error(`Error: Invalid --title-match pattern: ${error.message}`);
+      process.exit(EXIT_CODES.INVALID_INPUT);
+    }
+  }
+
+  // Return the function that executeCommand will call
+  return async () => {
+
+    const credentials = requireAuthentication();
+    let codes;
+
+    if (bulk) {
+      logger.log('Finding matching drops...');
+      const drops = await findDropsToDelete(credentials, filters);
+
+      if (drops.length === 0) {
+        logger.log('No drops match the given filters.');
+        return;
+      }
+
+      printDropTable(drops);
+      logger.log('');
+
+      if (!options.yes) {
+        if (!process.stdin.isTTY) {
+          throw new ValidationError(`Refusing to delete ${drops.length} drop(s) without --yes`);
+        }
+        if (!await confirm(`Delete ${drops.length} drop(s)?`)) {
+          // Not an error (the exit status is 0), so nothing for JSON output on stderr
+          if (!logger.isStructured()) {
+            logger.error('Cancelled.');
+          }
+          return;
+        }
+      }
+
+      codes = drops.map(drop => drop.code);
+    } else {
+      codes = await resolveTargets(targets);
+    }
+
+    const { deleted, failures, errors } = await deleteDrops(codes, credentials);
+
+    if (logger.isStructured()) {
+      logger.json([
+        ...deleted.map(code => ({ code, deleted: true })),
+        ...errors.map(({ code, error }) => ({
+          code,
+          deleted: false,
+          error: { code: getItemErrorCode(error, 'DELETE_FAILED'), message: error.message }
+        }))
+      ]);
+    } else if (globalOptions.porcelain) {
+      logger.output(deleted.join('\n'));
+    } else {
+      logger.log(`Deleted ${deleted.length} of ${codes.length} drop(s)`);
+    }
+
+    if (failures > 0) {
+      throw summarizeErrors(`${failures} of ${codes.length} drop deletions failed`, errors.map(({ error }) => error));
+    }
+  };
+}
+
+const meta = {
+  name: 'delete',
+  description: 'Delete drops',
+  args: [{ name: 'code', description: 'Drop code(s), shortlink(s) or - for stdin' }],
+  options: [
+    { long: '--older-than', description: 'Only drops older than an age (e.g. 30d)', takesValue: true },
+    { long: '--type', description: 'Only drops of this type (file, link, note)', takesValue: true },
+    { long: '--title-match', description: 'Only drops whose title matches a regex', takesValue: true },
+    { long: '--yes', short: '-y', description: 'Skip the bulk delete confirmation' }
+  ]
+};
+
+module.exports = {
+  findDropsToDelete,
+  deleteDrops,
+  handleDeleteCommand,
+  meta
+};
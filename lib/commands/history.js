@@ -0,0 +1,170 @@
+const { NotFoundError, EXIT_CODES } = require('../errors');
+const { openUrl, copyToClipboard } = require('../command-utils');
+const { parseHistoryArgs } = require('../arg-parser');
+const { parseDuration, formatDate } = require('../drop-utils');
+const { readHistory, numberEntries, filterHistory, findEntry, pruneHistory, getHistoryFile } = require('../history');
+const { DROP_TYPES, truncate, printTable } = require('./list');
+const logger = require('../logger');
+
+function printHistoryTable(entries) {
+  const rows = entries.map(entry => [
+    String(entry.number),
+    formatDate(Date.parse(entry.createdAt)),
+    entry.type || '-',
+    entry.code,
+    truncate(entry.title || entry.source || '', 40),
+    entry.url || ''
+  ]);
+
+  printTable(['#', 'CREATED', 'TYPE', 'CODE', 'TITLE/SOURCE', 'URL'], rows);
+}
+
+function requireDuration(value, flag) {
+  const ms = parseDuration(value);
+  if (!ms) {
+    logger.error(`Error: Invalid ${flag} value "${value}" (e.g. 7d, 12h, 2w)`);
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+  return ms;
+}
+
+/**
+ * Looks up a history entry for open/copy
+ * @param {string} target - Entry number or drop code
+ * @returns {Object} The numbered entry
+ * @throws {NotFoundError} If the history has no such entry
+ */
+function requireEntry(target) {
+  const entry = findEntry(target);
+  if (!entry || !entry.url) {
+    throw new NotFoundError(`No drop "${target}" in the local history (see "drplr history")`);
+  }
+  return entry;
+}
+
+/**
+ * Handles the history command: search the local record of created drops, open
+ * or copy one, or prune old entries. Never touches the API, so it works offline.
+ * @param {string[]} args - Command arguments
+ * @param {Object} globalOptions - Global options (porcelain, debug)
+ * @returns {Function} Function to be executed by executeCommand
+ */
+function handleHistoryCommand(args, globalOptions) {
+  const { subcommand, target, query, options } = parseHistoryArgs(args);
+
+  if (subcommand === 'open' || subcommand === 'copy') {
+    if (!target) {
+      logger.error(`Usage: drplr history ${subcommand} <n|code>`);
+      process.exit(EXIT_CODES.INVALID_INPUT);
+    }
+
+    return async () => {
+      const entry = requireEntry(target);
+
+      if (subcommand === 'open') {
+        openUrl(entry.url);
+      } else {
+        copyToClipboard(entry.url);
+      }
+
+      if (logger.isStructured()) {
+        logger.json(entry);
+      } else if (globalOptions.porcelain) {
+        logger.output(entry.url);
+      } else {
+        logger.log(`✓ ${subcommand === 'open' ? 'Opened' : 'Copied'} ${entry.url}`);
+      }
+    };
+  }
+
+  if (subcommand === 'prune') {
+    if (!options.olderThan && options.keep === null) {
+      logger.error('Usage: drplr history prune [--older-than <age>] [--keep <n>]');
+      logger.error('Specify --older-than, --keep or both');
+      process.exit(EXIT_CODES.INVALID_INPUT);
+    }
+
+    const olderThanMs = options.olderThan ? requireDuration(options.olderThan, '--older-than') : null;
+    if (options.keep !== null && (!Number.isInteger(options.keep) || options.keep < 0)) {
+      logger.error('Error: --keep must be a whole number');
+      process.exit(EXIT_CODES.INVALID_INPUT);
+    }
+
+    return async () => {
+      const result = pruneHistory({ olderThanMs, keep: options.keep });
+
+      if (logger.isStructured()) {
+        logger.json(result);
+      } else if (globalOptions.porcelain) {
+        logger.output(String(result.removed));
+      } else {
+        logger.log(`✓ Removed ${result.removed} ${result.removed === 1 ? 'entry' : 'entries'}, kept ${result.kept}`);
+      }
+    };
+  }
+
+  if (options.type && !DROP_TYPES.includes(options.type)) {
+    logger.error(`Error: Invalid type "${options.type}" (expected ${DROP_TYPES.join(', ')})`);
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  const sinceMs = options.since ? requireDuration(options.since, '--since') : null;
+
+  if (!options.all && (!Number.isInteger(options.limit) || options.limit < 1)) {
+    logger.error('Error: --limit must be a positive number');
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  return async () => {
+    const matches = filterHistory(numberEntries(readHistory()), { query, type: options.type, sinceMs });
+    const entries = options.all ? matches : matches.slice(0, options.limit);
+
+    if (logger.isStructured()) {
+      logger.json(entries);
+      return;
+    }
+
+    if (globalOptions.porcelain) {
+      logger.output(entries.map(entry => entry.url).join('\n'));
+      return;
+    }
+
+    if (entries.length === 0) {
+      logger.log(query || options.type || sinceMs
+        ? 'No drops in the history match.'
+        : `No drops recorded yet (${getHistoryFile()}).`);
+      return;
+    }
+
+    printHistoryTable(entries);
+
+    if (entries.length < matches.length) {
+      logger.log('');
+      logger.log(`${matches.length - entries.length} more. Use --limit <n> or --all to see them.`);
+    }
+  };
+}
+
+const meta = {
+  name: 'history',
+  description: 'Search drops created from this machine',
+  args: [{ name: 'query', description: 'Text to search for' }],
+  options: [
+    { long: '--type', description: 'Only drops of this type (file, link, note)', takesValue: true },
+    { long: '--since', description: 'Only drops created within this window, such as 7d', takesValue: true },
+    { long: '--limit', description: 'Entries to show (default: 20)', takesValue: true },
+    { long: '--all', description: 'Show every matching entry' },
+    { long: '--older-than', description: 'With prune: remove entries older than this, such as 90d', takesValue: true },
+    { long: '--keep', description: 'With prune: keep only this many of the newest entries', takesValue: true }
+  ],
+  subcommands: [
+    { name: 'open', description: 'Open a drop in the browser', args: [{ name: 'n|code' }] },
+    { name: 'copy', description: 'Copy a drop\'s link to the clipboard', args: [{ name: 'n|code' }] },
+    { name: 'prune', description: 'Remove old entries' }
+  ]
+};
+
+module.exports = {
+  handleHistoryCommand,
+  meta
+};
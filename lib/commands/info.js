@@ -0,0 +1,114 @@
+const { ValidationError, EXIT_CODES } = require('../errors');
+const { createClient } = require('../client');
+const { getDrop } = require('../api-utils');
+const { requireAuthentication } = require('../command-utils');
+const { parseInfoArgs } = require('../arg-parser');
+const { parseDropCode, getDropUrl, formatDate, formatSize, toDropRecord } = require('../drop-utils');
+const logger = require('../logger');
+
+/**
+ * Fetches full metadata for a drop
+ * @param {string} target - Drop code or shortlink
+ * @param {Object} credentials - Authentication credentials
+ * @returns {Promise<Object>} The drop details
+ */
+async function getDropInfo(target, credentials) {
+  const code = parseDropCode(target);
+  if (!code) {
+    throw new ValidationError(`Invalid drop code or URL: ${target}`);
+  }
+
+  const client = createClient(credentials);
+  return getDrop(client, code);
+}
+
+/**
+ * Returns the URL a drop points to (link target or file content), if any
+ * @param {Object} drop - Drop from the API
+ * @returns {string|null}
+ */
+function getContentUrl(drop) {
+  if (typeof drop.content === 'string' && /^https?:\/\//i.test(drop.content)) {
+    return drop.content;
+  }
+  return null;
+}
+
+/**
+ * Builds the ordered list of fields shown for a drop
+ * @param {Object} drop - Drop from the API
+ * @returns {Array<[string, string]>} Label/value pairs
+ */
+function describeDrop(drop) {
+  const privacy = drop.privacy || 'PUBLIC';
+
+  return [
+    ['Code', drop.code],
+    ['Title', drop.title || '-'],
+    ['Type', (drop.type || '-').toLowerCase()],
+    ['Variant', drop.variant || '-'],
+    ['Privacy', privacy.charAt(0) + privacy.slice(1).toLowerCase()],
+    ['Password protected', drop.password || drop.hasPassword ? 'Yes' : 'No'],
+    ['Size', formatSize(drop.size)],
+    ['Created', formatDate(drop.createdAt)],
+    ['Views', String(drop.views || 0)],
+    ['Short URL', getDropUrl(drop) || '-'],
+    ['Content URL', getContentUrl(drop) || '-']
+  ];
+}
+
+/**
+ * Handles the info command with argument parsing and execution
+ * @param {string[]} args - Command arguments
+ * @param {Object} globalOptions - Global options (porcelain, debug)
+ * @returns {Function} Function to be executed by executeCommand
+ */
+function handleInfoCommand(args, globalOptions) {
+  const { target } = parseInfoArgs(args);
+
+  if (!target) {
+    logger.error('Error: Please specify a drop code or URL');
+    logger.error('Usage: drplr info <code|url>');
+    logger.error('Use "drplr help" for more information');
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  // Return the function that executeCommand will call
+  return async () => {
+
+    const credentials = requireAuthentication();
+
+    const drop = await getDropInfo(target, credentials);
+    const fields = describeDrop(drop);
+
+    if (logger.isStructured()) {
+      logger.json({ ...toDropRecord(drop), contentUrl: getContentUrl(drop) });
+      return;
+    }
+
+    if (globalOptions.porcelain) {
+      // Stable "key=value" lines for scripts
+      logger.output(fields
+        .map(([label, value]) => `${label.toLowerCase().replace(/ /g, '_')}=${value}`)
+        .join('\n'));
+      return;
+    }
+
+    const width = Math.max(...fields.map(([label]) => label.length));
+    fields.forEach(([label, value]) => {
+      logger.log(`${(label + ':').padEnd(width + 1)} ${value}`);
+    });
+  };
+}
+
+const meta = {
+  name: 'info',
+  description: 'Show drop details',
+  args: [{ name: 'code', description: 'Drop code or shortlink' }]
+};
+
+module.exports = {
+  getDropInfo,
+  handleInfoCommand,
+  meta
+};
@@ -1,15 +1,19 @@
-const { UploadError } = require('../errors');
+const { ValidationError, EXIT_CODES } = require('../errors');
 const { createClient } = require('../client');
-const { parseApiError, handlePrivateDropCreation } = require('../api-utils');
+const { parseApiError, createDrop, handlePrivateDropCreation } = require('../api-utils');
 const { requireAuthentication } = require('../command-utils');
 const { parseLinkArgs } = require('../arg-parser');
+const { toDropRecord } = require('../drop-utils');
+const { hashContent, recordDrop } = require('../history');
+const { resolveFormat, renderRecord } = require('../format');
+const { applyBoardOption } = require('./board');
 const logger = require('../logger');
 
 /**
  * Creates a link drop (URL shortener)
  * @param {string} url - The URL to shorten
  * @param {Object} credentials - Authentication credentials
- * @param {Object} options - Link options (privacy, password, title)
+ * @param {Object} options - Link options (privacy, password, title, boardId)
  * @returns {Promise<Object>} The created drop result
  */
 async function createLink(url, credentials, options = {}) {
@@ -19,7 +23,7 @@ async function createLink(url, credentials, options = {}) {
   try {
     new URL(url);
   } catch (error) {
-    throw new UploadError(`Invalid URL format: ${url}`);
+    throw new ValidationError(`Invalid URL format: ${url}`);
   }
 
   try {
@@ -35,15 +39,28 @@ async function createLink(url, credentials, options = {}) {
       dropOptions.title = options.title;
     }
 
-    const result = await client.drops.create(dropOptions);
+    if (options.boardId) {
+      dropOptions.board = options.boardId;
+    }
+
+    // Spots a link an attempt created before failing, so a retry doesn't duplicate it
+    const isSameDrop = drop => String(drop.type).toUpperCase() === 'LINK' && drop.content === url;
+
+    const result = await createDrop(client, () => dropOptions, isSameDrop, {
+      operation: 'Link creation',
+      privacy: options.privacy
+    });
     logger.debug('Initial link creation API response:', JSON.stringify(result, null, 2));
 
     if (result.title !== dropOptions.title) {
       logger.log('NOTE: Setting a title on a link drop is not supported yet.');
     }
 
-    // Handle privacy and password settings
-    return await handlePrivateDropCreation(client, result, options);
+    // Apply and confirm privacy, password and title
+    const created = await handlePrivateDropCreation(client, result, options);
+
+    recordDrop(created, { type: 'link', source: url, hash: hashContent(url) });
+    return created;
 
   } catch (error) {
     logger.debug('Initial link creation API error:', JSON.stringify(error.response?.data || error.message, null, 2));
@@ -62,7 +79,7 @@ function handleLinkCommand(args, globalOptions) {
     logger.error('Error: Please specify a URL to shorten');
     logger.error('Usage: drplr link <url> [options]');
     logger.error('Use "drplr help" for more information');
-    process.exit(1);
+    process.exit(EXIT_CODES.INVALID_INPUT);
   }
 
   const { url, options } = parseLinkArgs(args);
@@ -70,19 +87,26 @@ function handleLinkCommand(args, globalOptions) {
   if (!url) {
     logger.error('Error: Please specify a URL to shorten');
     logger.error('Use "drplr help" for usage information');
-    process.exit(1);
+    process.exit(EXIT_CODES.INVALID_INPUT);
   }
 
   // Return the function that executeCommand will call
   return async () => {
     
     const credentials = requireAuthentication();
+    await applyBoardOption(credentials, options);
 
     logger.log(`Creating short link for ${url}...`);
 
     const result = await createLink(url, credentials, options);
 
-    if (globalOptions.porcelain) {
+    const record = toDropRecord(result, { source: url, passwordProtected: Boolean(options.password) });
+
+    if (logger.isStructured()) {
+      logger.json(record);
+    } else if (globalOptions.format) {
+      logger.output(renderRecord(resolveFormat(globalOptions.format), record));
+    } else if (globalOptions.porcelain) {
       logger.output(result.shortlink || result.link || result.url);
     } else {
       logger.log('✓ Link created successfully!');
@@ -93,14 +117,16 @@ function handleLinkCommand(args, globalOptions) {
 
       if (result.privacy === 'PRIVATE') {
         logger.log('Privacy: Private');
-      } else if (options.privacy === 'PRIVATE') {
-        logger.log('Privacy: Public (private link not supported or failed)');
       }
 
       if (options.password) {
         logger.log('Password protected: Yes');
       }
 
+      if (options.board) {
+        logger.log(`Board: ${options.board}`);
+      }
+
       logger.log(`Short URL: ${result.shortlink || result.link || result.url}`);
       logger.log(`Original URL: ${url}`);
     }
@@ -114,7 +140,8 @@ const meta = {
   options: [
     { long: '--private', short: '-p', description: 'Make link private' },
     { long: '--password', description: 'Set password protection', takesValue: true },
-    { long: '--title', description: 'Set custom title', takesValue: true }
+    { long: '--title', description: 'Set custom title', takesValue: true },
+    { long: '--board', description: 'Add to a board (ID or name)', takesValue: true }
   ]
 };
 
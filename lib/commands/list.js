@@ -0,0 +1,194 @@
+const { EXIT_CODES } = require('../errors');
+const { createClient } = require('../client');
+const { listDrops } = require('../api-utils');
+const { requireAuthentication } = require('../command-utils');
+const { parseListArgs } = require('../arg-parser');
+const { formatDate, getDropUrl, toDropRecord } = require('../drop-utils');
+const logger = require('../logger');
+
+const DROP_TYPES = ['file', 'link', 'note'];
+
+// CLI sort keys mapped to the API's sortBy values and the drop field they order by
+const SORT_FIELDS = {
+  created: { sortBy: 'creation', field: 'createdAt' },
+  views: { sortBy: 'views', field: 'views' }
+};
+
+/**
+ * Checks whether a drop matches a CLI type filter.
+ * The API reports images/videos/audio as their own types, so "file" matches
+ * anything that isn't a link or a note.
+ * @param {Object} drop - Drop from the API
+ * @param {string} type - 'file', 'link' or 'note'
+ * @returns {boolean}
+ */
+function matchesType(drop, type) {
+  const dropType = (drop.type || '').toUpperCase();
+  if (type === 'file') {
+    return dropType !== 'LINK' && dropType !== 'NOTE';
+  }
+  return dropType === type.toUpperCase();
+}
+
+/**
+ * Fetches drops for the given list options
+ * @param {Object} credentials - Authentication credentials
+ * @param {Object} options - Parsed list options
+ * @returns {Promise<Object>} Matching drops and whether more pages exist
+ */
+async function fetchDropList(credentials, options) {
+  const client = createClient(credentials);
+  const sort = SORT_FIELDS[options.sort];
+
+  const params = {
+    amount: options.limit,
+    offset: options.all ? 0 : (options.page - 1) * options.limit,
+    sortBy: sort.sortBy,
+    order: options.order
+  };
+
+  if (options.type && options.type !== 'file') {
+    params.type = options.type.toUpperCase();
+  }
+
+  const { drops, hasMore } = await listDrops(client, params, { all: options.all });
+
+  // Filter and sort locally too, so results are consistent across pages
+  const filtered = drops
+    .filter(drop => !options.type || matchesType(drop, options.type))
+    .filter(drop => !options.privacy || (drop.privacy || 'PUBLIC') === options.privacy);
+
+  filtered.sort((a, b) => {
+    const diff = (a[sort.field] || 0) - (b[sort.field] || 0);
+    return options.order === 'asc' ? diff : -diff;
+  });
+
+  return { drops: filtered, hasMore };
+}
+
+/**
+ * Shortens text to a length, ending it with an ellipsis when cut
+ * @param {string} text - Text to shorten
+ * @param {number} length - Maximum length
+ * @returns {string}
+ */
+function truncate(text, length) {
+  if (text.length <= length) return text;
+  return text.slice(0, length - 1) + '…';
+}
+
+/**
+ * Prints rows of text as columns padded to their widest cell
+ * @param {string[]} header - Column titles
+ * @param {string[][]} rows - Cells, one array per row
+ */
+function printTable(header, rows) {
+  const widths = header.map((title, col) =>
+    Math.max(title.length, ...rows.map(row => row[col].length))
+  );
+  const formatRow = row => row.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd();
+
+  logger.log(formatRow(header));
+  rows.forEach(row => logger.log(formatRow(row)));
+}
+
+function printDropTable(drops) {
+  const rows = drops.map(drop => [
+    drop.code || '-',
+    (drop.type || '-').toLowerCase(),
+    (drop.privacy || 'PUBLIC').toLowerCase(),
+    String(drop.views || 0),
+    formatDate(drop.createdAt),
+    truncate(drop.title || '', 40),
+    getDropUrl(drop) || ''
+  ]);
+
+  printTable(['CODE', 'TYPE', 'PRIVACY', 'VIEWS', 'CREATED', 'TITLE', 'URL'], rows);
+}
+
+/**
+ * Handles the list command with argument parsing and execution
+ * @param {string[]} args - Command arguments
+ * @param {Object} globalOptions - Global options (porcelain, debug)
+ * @returns {Function} Function to be executed by executeCommand
+ */
+function handleListCommand(args, globalOptions) {
+  const { options } = parseListArgs(args);
+
+  if (options.type && !DROP_TYPES.includes(options.type)) {
+    logger.error(`Error: Invalid type "${options.type}" (expected ${DROP_TYPES.join(', ')})`);
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  if (!Number.isInteger(options.limit) || options.limit < 1) {
+    logger.error('Error: --limit must be a positive number');
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  if (!Number.isInteger(options.page) || options.page < 1) {
+    logger.error('Error: --page must be a positive number');
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  if (!SORT_FIELDS[options.sort]) {
+    logger.error(`Error: Invalid sort "${options.sort}" (expected ${Object.keys(SORT_FIELDS).join(', ')})`);
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  // Return the function that executeCommand will call
+  return async () => {
+
+    const credentials = requireAuthentication();
+
+    const { drops, hasMore } = await fetchDropList(credentials, options);
+
+    if (logger.isStructured()) {
+      logger.json(drops.map(drop => toDropRecord(drop)));
+      return;
+    }
+
+    if (globalOptions.porcelain) {
+      logger.output(drops.map(getDropUrl).join('\n'));
+      return;
+    }
+
+    if (drops.length === 0) {
+      logger.log('No drops found.');
+      return;
+    }
+
+    printDropTable(drops);
+
+    if (hasMore && !options.all) {
+      logger.log('');
+      logger.log(`More drops available. Use --page ${options.page + 1} or --all to see them.`);
+    }
+  };
+}
+
+const meta = {
+  name: 'list',
+  description: 'List existing drops',
+  options: [
+    { long: '--type', description: 'Filter by drop type (file, link, note)', takesValue: true },
+    { long: '--private', short: '-p', description: 'Show only private drops' },
+    { long: '--public', description: 'Show only public drops' },
+    { long: '--limit', description: 'Number of drops per page', takesValue: true },
+    { long: '--page', description: 'Page number to show', takesValue: true },
+    { long: '--all', description: 'Fetch every page' },
+    { long: '--sort', description: 'Sort by created or views', takesValue: true },
+    { long: '--asc', description: 'Sort ascending' },
+    { long: '--desc', description: 'Sort descending (default)' }
+  ]
+};
+
+module.exports = {
+  DROP_TYPES,
+  matchesType,
+  fetchDropList,
+  truncate,
+  printTable,
+  printDropTable,
+  handleListCommand,
+  meta
+};
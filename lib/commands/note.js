@@ -1,21 +1,27 @@
 const fs = require('fs');
-const { UploadError } = require('../errors');
+const { UploadError, ValidationError, LocalFileError, EXIT_CODES } = require('../errors');
 const { createClient } = require('../client');
-const { parseApiError, handlePrivateDropCreation } = require('../api-utils');
-const { requireAuthentication } = require('../command-utils');
+const { parseApiError, createDrop, handlePrivateDropCreation } = require('../api-utils');
+const { requireAuthentication, readStdin, editInEditor } = require('../command-utils');
 const { parseNoteArgs } = require('../arg-parser');
+const { isTextFile, detectFileMimeType } = require('../mime');
+const { toDropRecord } = require('../drop-utils');
+const { hashContent, recordDrop } = require('../history');
+const { resolveFormat, renderRecord } = require('../format');
+const { applyBoardOption } = require('./board');
 const logger = require('../logger');
 
 /**
  * Creates a note drop (text snippet)
  * @param {string} text - The text content for the note
  * @param {Object} credentials - Authentication credentials
- * @param {Object} options - Note options (privacy, password, title, lang)
+ * @param {Object} options - Note options (privacy, password, title, lang, boardId)
+ * @param {string} [options.source] - File the text came from, for the history
  * @returns {Promise<Object>} The created drop result
  */
 async function createNote(text, credentials, options = {}) {
   if (!text || text.trim().length === 0) {
-    throw new UploadError('Note content cannot be empty');
+    throw new ValidationError('Note content cannot be empty');
   }
 
   const client = createClient(credentials);
@@ -33,11 +39,27 @@ async function createNote(text, credentials, options = {}) {
       dropOptions.title = options.title;
     }
 
-    const result = await client.drops.create(dropOptions);
+    if (options.boardId) {
+      dropOptions.board = options.boardId;
+    }
+
+    // Spots a note an attempt created before failing, so a retry doesn't duplicate it
+    const isSameDrop = drop => String(drop.type).toUpperCase() === 'NOTE' &&
+      (!dropOptions.title || drop.title === dropOptions.title) &&
+      (typeof drop.content !== 'string' || drop.content === dropOptions.content) &&
+      (typeof drop.size !== 'number' || drop.size === Buffer.byteLength(dropOptions.content));
+
+    const result = await createDrop(client, () => dropOptions, isSameDrop, {
+      operation: 'Note creation',
+      privacy: options.privacy
+    });
     logger.debug('Initial note creation API response:', JSON.stringify(result, null, 2));
 
-    // Handle privacy, password, and title updates
-    return await handlePrivateDropCreation(client, result, options);
+    // Apply and confirm privacy, password and title
+    const created = await handlePrivateDropCreation(client, result, options);
+
+    recordDrop(created, { type: 'note', source: options.source, hash: hashContent(dropOptions.content) });
+    return created;
 
   } catch (error) {
     logger.debug('Initial note creation API error:', JSON.stringify(error.response?.data || error.message, null, 2));
@@ -54,10 +76,15 @@ async function createNote(text, credentials, options = {}) {
  */
 async function createNoteFromFile(filePath, credentials, options = {}) {
   if (!fs.existsSync(filePath)) {
-    throw new UploadError(`File not found: ${filePath}`);
+    throw new LocalFileError(`File not found: ${filePath}`);
   }
 
   try {
+    // Notes are text; binary files belong in a regular upload
+    if (!isTextFile(filePath)) {
+      throw new ValidationError(`${filePath} is not a text file (${detectFileMimeType(filePath)}). Upload it with "drplr ${filePath}" instead.`);
+    }
+
     const fileContent = fs.readFileSync(filePath, 'utf8');
 
     // Use filename as default title if not provided
@@ -71,12 +98,12 @@ async function createNoteFromFile(filePath, credentials, options = {}) {
       options.lang = detectLanguageFromFile(filePath);
     }
 
-    return await createNote(fileContent, credentials, options);
+    return await createNote(fileContent, credentials, { ...options, source: filePath });
   } catch (error) {
     if (error instanceof UploadError) {
       throw error;
     }
-    throw new UploadError(`Failed to read file: ${error.message}`);
+    throw new LocalFileError(`Failed to read file: ${error.message}`);
   }
 }
 
@@ -158,6 +185,35 @@ function detectLanguageFromFile(filePath) {
   return langMap[ext];
 }
 
+/**
+ * Opens the user's editor and returns the saved note text
+ * @param {string} initial - Text to pre-fill the editor with
+ * @returns {string} The edited text
+ */
+function editNote(initial) {
+  const edited = editInEditor(initial);
+
+  if (edited.trim().length === 0) {
+    throw new ValidationError('Note content cannot be empty');
+  }
+  if (edited === initial) {
+    throw new ValidationError('Note was not changed; no note created');
+  }
+
+  return edited;
+}
+
+function printNoteUsage() {
+  logger.error('Error: Please specify text content or use --file option');
+  logger.error('Usage: drplr note "text content" [options]');
+  logger.error('       drplr note --file notes.txt [options]');
+  logger.error('       drplr note --code "console.log(\'hello\')" --lang javascript [options]');
+  logger.error('       drplr note --code --file script.js [options]');
+  logger.error('       git diff | drplr note --code --lang diff [options]');
+  logger.error('       drplr note --edit [options]');
+  logger.error('Use "drplr help" for more information');
+}
+
 /**
  * Handles the note command with argument parsing and execution
  * @param {string[]} args - Command arguments
@@ -165,36 +221,58 @@ function detectLanguageFromFile(filePath) {
  * @returns {Function} Function to be executed by executeCommand
  */
 function handleNoteCommand(args, globalOptions) {
-  if (args.length === 0) {
-    logger.error('Error: Please specify text content or use --file option');
-    logger.error('Usage: drplr note "text content" [options]');
-    logger.error('       drplr note --file notes.txt [options]');
-    logger.error('       drplr note --code "console.log(\'hello\')" --lang javascript [options]');
-    logger.error('       drplr note --code --file script.js [options]');
-    logger.error('Use "drplr help" for more information');
-    process.exit(1);
+  // Piped stdin is a valid source of note text, so only insist on arguments at a terminal
+  if (args.length === 0 && process.stdin.isTTY) {
+    printNoteUsage();
+    process.exit(EXIT_CODES.INVALID_INPUT);
   }
 
   const { text, filePath, options } = parseNoteArgs(args);
 
+  if (options.edit && filePath) {
+    logger.error('Error: --edit cannot be combined with --file');
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  if (options.edit && !process.stdin.isTTY) {
+    logger.error('Error: --edit needs an interactive terminal');
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
   // Return the function that executeCommand will call
   return async () => {
-    
+    let noteText = text;
+
+    if (options.edit) {
+      noteText = editNote(text);
+    } else if (!filePath && !text && !process.stdin.isTTY) {
+      noteText = await readStdin();
+    }
+
+    if (!filePath && (!noteText || noteText.trim().length === 0)) {
+      printNoteUsage();
+      process.exit(EXIT_CODES.INVALID_INPUT);
+    }
+
     const credentials = requireAuthentication();
+    await applyBoardOption(credentials, options);
     let result;
 
     if (filePath) {
       logger.log(`Creating note from file ${filePath}...`);
       result = await createNoteFromFile(filePath, credentials, options);
-    } else if (text) {
-      logger.log(`Creating note...`);
-      result = await createNote(text, credentials, options);
     } else {
-      logger.error('Error: Please specify text content or use --file option');
-      process.exit(1);
+      logger.log(`Creating note...`);
+      result = await createNote(noteText, credentials, options);
     }
 
-    if (globalOptions.porcelain) {
+    const record = toDropRecord(result, { source: filePath, passwordProtected: Boolean(options.password) });
+
+    if (logger.isStructured()) {
+      logger.json(record);
+    } else if (globalOptions.format) {
+      logger.output(renderRecord(resolveFormat(globalOptions.format), record));
+    } else if (globalOptions.porcelain) {
       logger.output(result.shortlink || result.link || result.url);
     } else {
       logger.log('✓ Note created successfully!');
@@ -209,14 +287,16 @@ function handleNoteCommand(args, globalOptions) {
 
       if (result.privacy === 'PRIVATE') {
         logger.log('Privacy: Private');
-      } else if (options.privacy === 'PRIVATE') {
-        logger.log('Privacy: Public (private note not supported or failed)');
       }
 
       if (options.password) {
         logger.log('Password protected: Yes');
       }
 
+      if (options.board) {
+        logger.log(`Board: ${options.board}`);
+      }
+
       logger.log(`Short URL: ${result.shortlink || result.link || result.url}`);
     }
   };
@@ -230,9 +310,11 @@ const meta = {
     { long: '--private', short: '-p', description: 'Make note private' },
     { long: '--password', description: 'Set password protection', takesValue: true },
     { long: '--title', description: 'Set custom title', takesValue: true },
+    { long: '--board', description: 'Add to a board (ID or name)', takesValue: true },
     { long: '--file', description: 'Create note from file', takesValue: true, completesFiles: true },
     { long: '--code', description: 'Create code snippet', takesValue: true },
-    { long: '--lang', description: 'Set language for code snippet', takesValue: true }
+    { long: '--lang', description: 'Set language for code snippet', takesValue: true },
+    { long: '--edit', description: 'Write the note in $EDITOR' }
   ]
 };
 
@@ -0,0 +1,151 @@
+const {
+  getActiveProfile,
+  listProfiles,
+  profileExists,
+  createProfile,
+  useProfile,
+  removeProfile,
+  renameProfile
+} = require('../config');
+const { EXIT_CODES } = require('../errors');
+const logger = require('../logger');
+
+const PROFILE_NAME = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+const AUTH_LABELS = {
+  token: 'JWT token',
+  login: 'username/password',
+  '1password': '1Password'
+};
+
+function requireValidName(name, usage) {
+  if (!name) {
+    logger.error(`Usage: ${usage}`);
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  if (!PROFILE_NAME.test(name)) {
+    logger.error(`Error: Invalid profile name "${name}" (use letters, digits, ".", "_" and "-")`);
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+}
+
+function requireExisting(name) {
+  if (!profileExists(name)) {
+    logger.error(`Error: Profile "${name}" does not exist`);
+    logger.error('Run "drplr profile list" to see configured profiles');
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+}
+
+function requireMissing(name) {
+  if (profileExists(name)) {
+    logger.error(`Error: Profile "${name}" already exists`);
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+}
+
+function saveOrExit(saved, message) {
+  if (!saved) {
+    logger.error('✗ Failed to save profile changes');
+    process.exit(1);
+  }
+  logger.log(message);
+}
+
+/**
+ * Handles profile commands (create, list, use, remove, rename)
+ * @param {string[]} args - Command arguments
+ * @param {Object} globalOptions - Global options (porcelain, debug, profile)
+ */
+async function handleProfileCommand(args, globalOptions = {}) {
+  const [subcommand, name, newName] = args;
+
+  if (subcommand === 'list' || subcommand === 'ls') {
+    const profiles = listProfiles();
+
+    if (logger.isStructured()) {
+      logger.json(profiles);
+      return;
+    }
+
+    if (globalOptions.porcelain) {
+      logger.output(profiles.map(profile => profile.name).join('\n'));
+      return;
+    }
+
+    const width = Math.max(...profiles.map(profile => profile.name.length));
+    profiles.forEach(profile => {
+      const marker = profile.current ? '*' : ' ';
+      const auth = AUTH_LABELS[profile.auth] || 'no credentials';
+      const store = profile.store ? ` (${profile.store === 'legacy' ? 'legacy storage, run "drplr auth migrate"' : profile.store})` : '';
+      logger.log(`${marker} ${profile.name.padEnd(width)}  ${auth}${store}`);
+    });
+
+    // An active profile from --profile/DRPLR_PROFILE may not have been created yet
+    const active = getActiveProfile();
+    if (!profiles.some(profile => profile.current)) {
+      logger.log('');
+      logger.log(`Active profile "${active}" does not exist yet.`);
+    }
+    return;
+  }
+
+  if (subcommand === 'create') {
+    requireValidName(name, 'drplr profile create <name>');
+    requireMissing(name);
+
+    saveOrExit(createProfile(name), `✓ Created profile "${name}"`);
+    logger.log(`  Add credentials with: drplr --profile ${name} auth token <jwt_token>`);
+    return;
+  }
+
+  if (subcommand === 'use') {
+    requireValidName(name, 'drplr profile use <name>');
+    requireExisting(name);
+
+    saveOrExit(useProfile(name), `✓ Now using profile "${name}"`);
+    if (process.env.DRPLR_PROFILE && process.env.DRPLR_PROFILE !== name) {
+      logger.log(`  note: DRPLR_PROFILE=${process.env.DRPLR_PROFILE} overrides this in the current shell.`);
+    }
+    return;
+  }
+
+  if (subcommand === 'remove' || subcommand === 'rm') {
+    requireValidName(name, 'drplr profile remove <name>');
+    requireExisting(name);
+
+    saveOrExit(removeProfile(name), `✓ Removed profile "${name}"`);
+    return;
+  }
+
+  if (subcommand === 'rename') {
+    requireValidName(name, 'drplr profile rename <old> <new>');
+    requireValidName(newName, 'drplr profile rename <old> <new>');
+    requireExisting(name);
+    requireMissing(newName);
+
+    saveOrExit(renameProfile(name, newName), `✓ Renamed profile "${name}" to "${newName}"`);
+    return;
+  }
+
+  logger.error('Usage: drplr profile [create|list|use|remove|rename] ...');
+  logger.error('Run "drplr help" for more information');
+  process.exit(EXIT_CODES.INVALID_INPUT);
+}
+
+const meta = {
+  name: 'profile',
+  description: 'Manage authentication profiles',
+  subcommands: [
+    { name: 'create', description: 'Create an empty profile', args: [{ name: 'name' }] },
+    { name: 'list', description: 'List profiles' },
+    { name: 'use', description: 'Switch the default profile', args: [{ name: 'name' }] },
+    { name: 'remove', description: 'Delete a profile and its credentials', args: [{ name: 'name' }] },
+    { name: 'rename', description: 'Rename a profile', args: [{ name: 'old' }, { name: 'new' }] },
+    { name: 'ls', description: 'Alias for list', hidden: true },
+    { name: 'rm', description: 'Alias for remove', hidden: true }
+  ]
+};
+
+module.exports = { AUTH_LABELS, handleProfileCommand, meta };
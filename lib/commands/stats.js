@@ -0,0 +1,402 @@
+const { ValidationError, EXIT_CODES } = require('../errors');
+const { createClient } = require('../client');
+const { getDrop, getDropStats, getDropReferrers, listDropHits, listDrops } = require('../api-utils');
+const { requireAuthentication } = require('../command-utils');
+const { parseStatsArgs } = require('../arg-parser');
+const { parseDropCode, getDropUrl, formatDate, formatSize, parseDuration, toIsoDate, toDropRecord } = require('../drop-utils');
+const { DROP_TYPES, matchesType } = require('./list');
+const { runPool } = require('../pool');
+const logger = require('../logger');
+
+// Columns of the --csv export, in order
+const CSV_FIELDS = ['code', 'shortlink', 'title', 'type', 'views', 'viewsSince', 'downloads', 'size', 'createdAt', 'lastAccess'];
+
+// Hit logs fetched at once for a --since summary
+const HITS_CONCURRENCY = 4;
+
+/**
+ * Returns the first of several values that is a number
+ * @param {...*} values - Candidates, in order of preference
+ * @returns {number|null}
+ */
+function firstNumber(...values) {
+  const found = values.find(value => typeof value === 'number' && Number.isFinite(value));
+  return found === undefined ? null : found;
+}
+
+/**
+ * Reads an API timestamp given as milliseconds or as a date string
+ * @param {number|string} value - Timestamp
+ * @returns {number|null} Milliseconds since epoch
+ */
+function toTimestamp(value) {
+  if (typeof value === 'number') return value;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Normalizes referrers to { referrer, views }, most views first
+ * @param {Object[]} referrers - Referrers from the API
+ * @returns {Object[]}
+ */
+function summarizeReferrers(referrers) {
+  return referrers
+    .map(entry => ({
+      referrer: entry.referrer || entry.url || entry.host || entry.name || '(direct)',
+      views: firstNumber(entry.views, entry.hits, entry.count) || 0
+    }))
+    .sort((a, b) => b.views - a.views);
+}
+
+/**
+ * Counts a drop's views since a point in time from its hit log
+ * @param {Droplr.Client} client - Authenticated client
+ * @param {string} code - Drop code
+ * @param {number} since - Start of the window (ms since epoch)
+ * @returns {Promise<Object>} { viewsSince, lastHit }; lastHit is null for a drop never viewed
+ */
+async function countViewsSince(client, code, since) {
+  const times = (await listDropHits(client, code))
+    .map(hit => toTimestamp(hit.createdAt || hit.timestamp || hit.date))
+    .filter(time => time !== null);
+
+  return {
+    viewsSince: times.filter(time => time >= since).length,
+    lastHit: times.length > 0 ? Math.max(...times) : null
+  };
+}
+
+/**
+ * Collects statistics for one drop
+ * @param {string} target - Drop code or shortlink
+ * @param {Object} credentials - Authentication credentials
+ * @param {Object} options - Stats options
+ * @param {number} [options.sinceMs] - Also count the views in this window, from the drop's hit log
+ * @returns {Promise<Object>} { code, shortlink, title, type, views, viewsSince, downloads, size,
+ *   createdAt, lastAccess, since, referrers }
+ */
+async function getDropStatistics(target, credentials, options = {}) {
+  const code = parseDropCode(target);
+  if (!code) {
+    throw new ValidationError(`Invalid drop code or URL: ${target}`);
+  }
+
+  const client = createClient(credentials);
+  const [drop, stats, referrers] = await Promise.all([
+    getDrop(client, code),
+    getDropStats(client, code),
+    getDropReferrers(client, code)
+  ]);
+
+  let lastAccess = toTimestamp(stats.lastAccess || stats.lastAccessed || stats.lastView || drop.lastAccess);
+  let since = null;
+  let viewsSince = null;
+
+  if (options.sinceMs) {
+    since = Date.now() - options.sinceMs;
+    const hits = await countViewsSince(client, code, since);
+    viewsSince = hits.viewsSince;
+    lastAccess = lastAccess || hits.lastHit;
+  }
+
+  const record = toDropRecord(drop);
+  return {
+    code: record.code,
+    shortlink: record.shortlink,
+    title: record.title,
+    type: record.type,
+    views: firstNumber(stats.views, stats.hits, drop.views) || 0,
+    viewsSince,
+    downloads: firstNumber(stats.downloads, drop.downloads),
+    size: record.size,
+    createdAt: record.createdAt,
+    lastAccess: toIsoDate(lastAccess),
+    since: toIsoDate(since),
+    referrers: summarizeReferrers(referrers)
+  };
+}
+
+/**
+ * Aggregates statistics across drops
+ * @param {Object} credentials - Authentication credentials
+ * @param {Object} options - Stats options
+ * @param {number} [options.sinceMs] - Also count the views in this window, from each drop's hit log,
+ *   and rank drops by them
+ * @param {string} [options.type] - Only count drops of this type (file, link, note)
+ * @param {number} [options.top=10] - How many of the most viewed drops to include
+ * @returns {Promise<Object>} { summary, drops }: summary has { since, type, drops, views, viewsSince,
+ *   size, byType, top }; drops are every counted drop's stats, most viewed first
+ */
+async function getStatsSummary(credentials, options = {}) {
+  const client = createClient(credentials);
+  const since = options.sinceMs ? Date.now() - options.sinceMs : null;
+
+  const params = { amount: 100, offset: 0, sortBy: 'creation', order: 'desc' };
+  if (options.type && options.type !== 'file') {
+    params.type = options.type.toUpperCase();
+  }
+
+  const { drops } = await listDrops(client, params, { all: true });
+  const counted = drops.filter(drop => !options.type || matchesType(drop, options.type));
+
+  const records = counted.map(drop => {
+    const record = toDropRecord(drop);
+    return {
+      code: record.code,
+      shortlink: record.shortlink,
+      title: record.title,
+      type: record.type,
+      views: record.views || 0,
+      viewsSince: since ? 0 : null,
+      downloads: firstNumber(drop.downloads),
+      size: record.size,
+      createdAt: record.createdAt,
+      lastAccess: toIsoDate(toTimestamp(drop.lastAccess))
+    };
+  });
+
+  if (since) {
+    // Only drops that may have been viewed in the window need their hit log
+    const viewed = records.filter(record =>
+      record.views > 0 && !(record.lastAccess && Date.parse(record.lastAccess) < since));
+    const results = await runPool(viewed, record => countViewsSince(client, record.code, since),
+      { concurrency: HITS_CONCURRENCY, failFast: true });
+
+    const failure = results.find(result => result.error && !result.skipped);
+    if (failure) {
+      throw failure.error;
+    }
+    viewed.forEach((record, index) => {
+      record.viewsSince = results[index].result.viewsSince;
+    });
+  }
+
+  const rank = since ? 'viewsSince' : 'views';
+  records.sort((a, b) => b[rank] - a[rank]);
+
+  const byType = Object.fromEntries(DROP_TYPES.map(type =>
+    [type, since ? { drops: 0, views: 0, viewsSince: 0, size: 0 } : { drops: 0, views: 0, size: 0 }]));
+  for (const record of records) {
+    const totals = byType[DROP_TYPES.find(type => matchesType(record, type))];
+    totals.drops++;
+    totals.views += record.views;
+    totals.size += record.size || 0;
+    if (since) {
+      totals.viewsSince += record.viewsSince;
+    }
+  }
+
+  const total = field => Object.values(byType).reduce((sum, totals) => sum + totals[field], 0);
+
+  return {
+    summary: {
+      since: toIsoDate(since),
+      type: options.type || null,
+      drops: records.length,
+      views: total('views'),
+      viewsSince: since ? total('viewsSince') : null,
+      size: total('size'),
+      byType,
+      top: records.slice(0, options.top ?? 10)
+    },
+    drops: records
+  };
+}
+
+/**
+ * Quotes a CSV field when it holds a comma, quote or line break (RFC 4180)
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats drop statistics as CSV, one row per drop
+ * @param {Object[]} rows - Drop statistics
+ * @returns {string} CSV with a header row
+ */
+function toCsv(rows) {
+  return [CSV_FIELDS, ...rows.map(row => CSV_FIELDS.map(field => row[field]))]
+    .map(fields => fields.map(toCsvField).join(','))
+    .join('\n');
+}
+
+function printFields(fields, globalOptions) {
+  if (globalOptions.porcelain) {
+    // Stable "key=value" lines for scripts
+    logger.output(fields
+      .map(([label, value]) => `${label.toLowerCase().replace(/ /g, '_')}=${value}`)
+      .join('\n'));
+    return;
+  }
+
+  const width = Math.max(...fields.map(([label]) => label.length));
+  fields.forEach(([label, value]) => {
+    logger.log(`${(label + ':').padEnd(width + 1)} ${value}`);
+  });
+}
+
+function printDropStats(stats, globalOptions) {
+  const fields = [
+    ['Code', stats.code],
+    ['Title', stats.title || '-'],
+    ['Type', stats.type || '-'],
+    ['Views', String(stats.views)]
+  ];
+  if (stats.since) {
+    fields.push(['Views since', `${stats.viewsSince} (since ${formatDate(Date.parse(stats.since))})`]);
+  }
+  fields.push(
+    ['Downloads', stats.downloads === null ? '-' : String(stats.downloads)],
+    ['Last access', formatDate(stats.lastAccess && Date.parse(stats.lastAccess))],
+    ['Short URL', stats.shortlink || '-']
+  );
+
+  printFields(fields, globalOptions);
+
+  if (globalOptions.porcelain || stats.referrers.length === 0) {
+    return;
+  }
+
+  const width = Math.max(...stats.referrers.map(entry => String(entry.views).length));
+  logger.log('');
+  logger.log('Referrers:');
+  stats.referrers.forEach(entry => logger.log(`  ${String(entry.views).padStart(width)}  ${entry.referrer}`));
+}
+
+function printSummary(summary, globalOptions) {
+  const fields = [
+    ['Drops', String(summary.drops)],
+    ['Views', String(summary.views)]
+  ];
+  if (summary.since) {
+    fields.push(['Views since', `${summary.viewsSince} (since ${formatDate(Date.parse(summary.since))})`]);
+  }
+  fields.push(['Storage used', formatSize(summary.size)]);
+
+  printFields(fields, globalOptions);
+
+  if (globalOptions.porcelain) {
+    return;
+  }
+
+  const since = Boolean(summary.since);
+  logger.log('');
+  logger.log(`${'TYPE'.padEnd(5)}  ${'DROPS'.padStart(6)}  ${'VIEWS'.padStart(8)}  ${since ? `${'SINCE'.padStart(8)}  ` : ''}SIZE`);
+  Object.entries(summary.byType).forEach(([type, totals]) => {
+    const viewsSince = since ? `${String(totals.viewsSince).padStart(8)}  ` : '';
+    logger.log(`${type.padEnd(5)}  ${String(totals.drops).padStart(6)}  ${String(totals.views).padStart(8)}  ${viewsSince}${formatSize(totals.size)}`);
+  });
+
+  const rank = since ? 'viewsSince' : 'views';
+  if (summary.top.length > 0) {
+    const width = Math.max(...summary.top.map(drop => String(drop[rank]).length));
+    logger.log('');
+    logger.log(since ? `Top drops by views since ${formatDate(Date.parse(summary.since))}:` : 'Top drops by views:');
+    summary.top.forEach(drop => {
+      logger.log(`  ${String(drop[rank]).padStart(width)}  ${drop.code}  ${drop.title || drop.shortlink || ''}`);
+    });
+  }
+}
+
+/**
+ * Handles the stats command with argument parsing and execution
+ * @param {string[]} args - Command arguments
+ * @param {Object} globalOptions - Global options (porcelain, debug, json, format)
+ * @returns {Function} Function to be executed by executeCommand
+ */
+function handleStatsCommand(args, globalOptions) {
+  const { target, options } = parseStatsArgs(args);
+
+  if (!target && !options.summary) {
+    logger.error('Error: Please specify a drop code or URL, or --summary');
+    logger.error('Usage: drplr stats <code|url> [--since <age>] [--csv]');
+    logger.error('       drplr stats --summary [--since <age>] [--type <type>] [--top <n>] [--csv]');
+    logger.error('Use "drplr help" for more information');
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  if (target && options.summary) {
+    logger.error('Error: A drop code cannot be combined with --summary');
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  if (options.since) {
+    options.sinceMs = parseDuration(options.since);
+    if (!options.sinceMs) {
+      logger.error(`Error: Invalid --since value "${options.since}" (e.g. 7d, 12h, 2w)`);
+      process.exit(EXIT_CODES.INVALID_INPUT);
+    }
+  }
+
+  if (options.type && !DROP_TYPES.includes(options.type)) {
+    logger.error(`Error: Invalid type "${options.type}" (expected ${DROP_TYPES.join(', ')})`);
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  if (!Number.isInteger(options.top) || options.top < 1) {
+    logger.error('Error: --top must be a positive number');
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  if (options.csv && (logger.isStructured() || globalOptions.format)) {
+    logger.error('Error: --csv cannot be combined with --json, --jsonl or --format');
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  // Return the function that executeCommand will call
+  return async () => {
+
+    const credentials = requireAuthentication();
+
+    if (options.summary) {
+      const { summary, drops } = await getStatsSummary(credentials, options);
+
+      if (logger.isStructured()) {
+        logger.json(summary);
+      } else if (options.csv) {
+        logger.output(toCsv(drops));
+      } else {
+        printSummary(summary, globalOptions);
+      }
+      return;
+    }
+
+    const stats = await getDropStatistics(target, credentials, options);
+
+    if (logger.isStructured()) {
+      logger.json(stats);
+    } else if (options.csv) {
+      logger.output(toCsv([stats]));
+    } else {
+      printDropStats(stats, globalOptions);
+    }
+  };
+}
+
+const meta = {
+  name: 'stats',
+  description: 'Show drop statistics',
+  args: [{ name: 'code', description: 'Drop code or shortlink' }],
+  options: [
+    { long: '--summary', description: 'Aggregate statistics across all drops' },
+    { long: '--since', description: 'Also count views within this window, such as 7d', takesValue: true },
+    { long: '--type', description: 'Only count drops of this type with --summary', takesValue: true },
+    { long: '--top', description: 'Most viewed drops to show with --summary', takesValue: true },
+    { long: '--csv', description: 'Print CSV' }
+  ]
+};
+
+module.exports = {
+  getDropStatistics,
+  getStatsSummary,
+  summarizeReferrers,
+  toCsv,
+  handleStatsCommand,
+  meta
+};
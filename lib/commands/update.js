@@ -0,0 +1,127 @@
+const { ValidationError, getItemErrorCode, summarizeErrors, EXIT_CODES } = require('../errors');
+const { createClient } = require('../client');
+const { updateDropPrivacy } = require('../api-utils');
+const { requireAuthentication } = require('../command-utils');
+const { parseUpdateArgs } = require('../arg-parser');
+const { parseDropCode, getDropUrl, toDropRecord } = require('../drop-utils');
+const logger = require('../logger');
+
+/**
+ * Updates privacy, password and/or title of an existing drop
+ * @param {string} target - Drop code or shortlink
+ * @param {Object} credentials - Authentication credentials
+ * @param {Object} options - Update options (privacy, password, removePassword, title)
+ * @returns {Promise<Object>} The updated drop result
+ */
+async function updateDrop(target, credentials, options = {}) {
+  const code = parseDropCode(target);
+  if (!code) {
+    throw new ValidationError(`Invalid drop code or URL: ${target}`);
+  }
+
+  const client = createClient(credentials);
+  const result = await updateDropPrivacy(client, code, options);
+
+  return { code, ...result };
+}
+
+/**
+ * Handles the update command with argument parsing and execution
+ * @param {string[]} args - Command arguments
+ * @param {Object} globalOptions - Global options (porcelain, debug)
+ * @returns {Function} Function to be executed by executeCommand
+ */
+function handleUpdateCommand(args, globalOptions) {
+  const { targets, options } = parseUpdateArgs(args);
+
+  if (targets.length === 0) {
+    logger.error('Error: Please specify at least one drop code or URL');
+    logger.error('Usage: drplr update <code|url>... [--private|--public] [--password <password>|--remove-password] [--title <title>]');
+    logger.error('Use "drplr help" for more information');
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  if (options.password && options.removePassword) {
+    logger.error('Error: --password and --remove-password cannot be used together');
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  if (!options.privacy && !options.password && !options.removePassword && !options.title) {
+    logger.error('Error: Nothing to update');
+    logger.error('Use --private, --public, --password, --remove-password or --title');
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  // Return the function that executeCommand will call
+  return async () => {
+
+    const credentials = requireAuthentication();
+    const updated = [];
+    const failed = [];
+
+    for (const target of targets) {
+      logger.log(`Updating ${target}...`);
+
+      try {
+        const result = await updateDrop(target, credentials, options);
+        updated.push(result);
+        logger.log(`✓ Updated ${result.code}`);
+      } catch (error) {
+        failed.push({ source: target, error });
+        // Structured output reports failures in the result array instead
+        if (!logger.isStructured()) {
+          logger.error(`✗ ${target}: ${error.message}`);
+        }
+      }
+    }
+
+    if (logger.isStructured()) {
+      logger.json([
+        ...updated.map(result => toDropRecord(result, { passwordProtected: Boolean(options.password) })),
+        ...failed.map(({ source, error }) => ({
+          source,
+          error: { code: getItemErrorCode(error, 'UPDATE_FAILED'), message: error.message }
+        }))
+      ]);
+    } else if (globalOptions.porcelain) {
+      logger.output(updated.map(result => getDropUrl(result) || result.code).join('\n'));
+    } else if (updated.length > 0) {
+      if (options.title) {
+        logger.log(`Title: ${options.title}`);
+      }
+
+      if (options.privacy) {
+        logger.log(`Privacy: ${options.privacy === 'PRIVATE' ? 'Private' : 'Public'}`);
+      }
+
+      if (options.password) {
+        logger.log('Password protected: Yes');
+      } else if (options.removePassword) {
+        logger.log('Password protected: No');
+      }
+    }
+
+    if (failed.length > 0) {
+      throw summarizeErrors(`${failed.length} of ${targets.length} drop updates failed`, failed.map(({ error }) => error));
+    }
+  };
+}
+
+const meta = {
+  name: 'update',
+  description: 'Update existing drops',
+  args: [{ name: 'code', description: 'Drop code(s) or shortlink(s)' }],
+  options: [
+    { long: '--private', short: '-p', description: 'Make drop private' },
+    { long: '--public', description: 'Make drop public' },
+    { long: '--password', description: 'Set password protection', takesValue: true },
+    { long: '--remove-password', description: 'Remove password protection' },
+    { long: '--title', description: 'Set new title', takesValue: true }
+  ]
+};
+
+module.exports = {
+  updateDrop,
+  handleUpdateCommand,
+  meta
+};
@@ -1,45 +1,79 @@
 const fs = require('fs');
 const path = require('path');
-const { UploadError } = require('../errors');
+const { ValidationError, LocalFileError, NotFoundError, getItemErrorCode, summarizeErrors, EXIT_CODES } = require('../errors');
 const { createClient } = require('../client');
-const { parseApiError, handlePrivateDropCreation } = require('../api-utils');
+const { parseApiError, createDrop, handlePrivateDropCreation, getDrop } = require('../api-utils');
 const { requireAuthentication } = require('../command-utils');
 const { parseUploadArgs } = require('../arg-parser');
+const { expandUploadPaths } = require('../file-utils');
+const { runPool } = require('../pool');
+const { trackStream, createProgress } = require('../progress');
+const { peekStream, hashStream } = require('../stream-utils');
+const { HEAD_BYTES, detectMimeType, detectFileMimeType, getExtension } = require('../mime');
+const { toDropRecord } = require('../drop-utils');
+const { hashFile, recordDrop } = require('../history');
+const { findUpload, recordUpload, forgetUpload } = require('../upload-index');
+const { resolveFormat, renderRecord } = require('../format');
+const { applyBoardOption } = require('./board');
 const logger = require('../logger');
 
 
-async function uploadFile(filePath, credentials, options = {}) {
-  if (!fs.existsSync(filePath)) {
-    throw new UploadError(`✗ File not found: ${filePath}`);
-  }
-
+/**
+ * Creates a file drop
+ * @param {Object} file - What to upload
+ * @param {Function} file.open - Returns a readable stream of the content, from the start
+ * @param {string} file.name - Name shown on Droplr
+ * @param {string} file.mimeType - Content type sent as the drop variant
+ * @param {number} [file.size] - Size in bytes, if known
+ * @param {boolean} [file.replayable=true] - Whether open() can be called again;
+ *   content that can't be re-read (stdin) isn't retried
+ * @param {Object} credentials - Authentication credentials
+ * @param {Object} options - Upload options (privacy, password, title, boardId, onProgress)
+ * @returns {Promise<Object>} The created drop result
+ */
+async function createFileDrop(file, credentials, options) {
   const client = createClient(credentials);
-  const fileName = path.basename(filePath);
-  const fileStream = fs.createReadStream(filePath);
+  logger.debug(`Uploading ${file.name} as ${file.mimeType}`);
 
-  const mimeType = getMimeType(fileName);
+  const title = options.title || file.name;
+  let content = null;
+  let sent = 0;
 
-  const dropOptions = {
-    type: 'FILE',
-    variant: mimeType,
-    title: options.title || fileName,
-    content: fileStream
-  };
+  const buildDrop = () => {
+    // A retry starts the upload over, so drop the last attempt's stream and progress
+    if (content) content.destroy();
+    if (sent > 0) options.onProgress(-sent);
+    sent = 0;
 
-  const makePrivate = options.privacy === 'PRIVATE';
-  if (makePrivate) {
-    dropOptions.privacy = 'PRIVATE';
-  }
+    content = file.open();
+    return {
+      type: 'FILE',
+      variant: file.mimeType,
+      title,
+      board: options.boardId || undefined,
+      content: options.onProgress
+        ? trackStream(content, bytes => {
+          sent += bytes;
+          options.onProgress(bytes);
+        })
+        : content
+    };
+  };
 
-  if (options.password) {
-    dropOptions.password = options.password;
-  }
+  // The API reports images, videos and audio as their own types
+  const isSameDrop = drop => !['LINK', 'NOTE'].includes(String(drop.type).toUpperCase()) &&
+    drop.title === title &&
+    (file.size === undefined || typeof drop.size !== 'number' || drop.size === file.size);
 
   try {
-    const result = await client.drops.create(dropOptions);
+    const result = await createDrop(client, buildDrop, isSameDrop, {
+      retries: file.replayable === false ? 0 : undefined,
+      operation: 'Upload',
+      privacy: options.privacy
+    });
     logger.debug('Initial upload API response:', JSON.stringify(result, null, 2));
 
-    // Handle privacy and password settings
+    // Apply and confirm privacy, password and title
     return await handlePrivateDropCreation(client, result, options);
 
   } catch (error) {
@@ -48,26 +82,216 @@ async function uploadFile(filePath, credentials, options = {}) {
   }
 }
 
-function getMimeType(fileName) {
-  const ext = path.extname(fileName).toLowerCase();
-  const mimeTypes = {
-    '.jpg': 'image/jpeg',
-    '.jpeg': 'image/jpeg',
-    '.png': 'image/png',
-    '.gif': 'image/gif',
-    '.webp': 'image/webp',
-    '.pdf': 'application/pdf',
-    '.txt': 'text/plain',
-    '.md': 'text/markdown',
-    '.json': 'application/json',
-    '.mp4': 'video/mp4',
-    '.mov': 'video/quicktime',
-    '.avi': 'video/avi',
-    '.mp3': 'audio/mpeg',
-    '.wav': 'audio/wav'
-  };
+/**
+ * Finds a drop already uploaded with the same content that can stand in for a
+ * new upload: it must still exist and match the requested privacy, title and
+ * board. Password-protected uploads are never reused, since the existing
+ * password can't be compared; whether a drop has one is taken from the index,
+ * as API responses don't always say.
+ * @param {Object} credentials - Authentication credentials
+ * @param {string} hash - SHA-256 of the content
+ * @param {Object} options - Upload options (privacy, password, title, boardId)
+ * @returns {Promise<Object|null>} The existing drop, or null to upload anew
+ */
+async function findReusableDrop(credentials, hash, options) {
+  const known = findUpload(hash);
+  // Entries without passwordProtected predate it and may be protected
+  if (!known || options.password || known.passwordProtected !== false) {
+    return null;
+  }
+
+  const privacy = options.privacy || 'PUBLIC';
+  if (known.privacy !== privacy) {
+    logger.debug(`Previous upload ${known.code} has a different privacy; uploading again`);
+    return null;
+  }
+
+  let drop;
+  try {
+    drop = await getDrop(createClient(credentials), known.code);
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      logger.debug(`Previous upload ${known.code} no longer exists; uploading again`);
+      forgetUpload(hash);
+      return null;
+    }
+    throw error;
+  }
+
+  const mismatch = String(drop.privacy || 'PUBLIC').toUpperCase() !== privacy ? 'privacy'
+    : drop.password || drop.hasPassword ? 'password'
+      : options.title && drop.title !== options.title ? 'title'
+        : options.boardId && String(drop.board) !== String(options.boardId) ? 'board'
+          : null;
+
+  if (mismatch) {
+    logger.debug(`Previous upload ${known.code} has a different ${mismatch}; uploading again`);
+    return null;
+  }
+
+  return { ...drop, shortlink: drop.shortlink || known.url, deduplicated: true };
+}
+
+/**
+ * Records an upload in the upload index with the protection it was asked for
+ * @param {string} hash - SHA-256 of the content
+ * @param {Object} result - Created drop
+ * @param {Object} options - Upload options (privacy, password)
+ */
+function indexUpload(hash, result, options) {
+  recordUpload(hash, { ...result, privacy: options.privacy || 'PUBLIC', passwordProtected: Boolean(options.password) });
+}
+
+/**
+ * Uploads a file, or reuses the drop it was uploaded as before (see
+ * findReusableDrop) unless options.forceNew is set
+ * @param {string} filePath - File to upload
+ * @param {Object} credentials - Authentication credentials
+ * @param {Object} options - Upload options (privacy, password, title, boardId, forceNew, onProgress)
+ * @returns {Promise<Object>} The drop; reused drops have deduplicated: true
+ */
+async function uploadFile(filePath, credentials, options = {}) {
+  if (!fs.existsSync(filePath)) {
+    throw new LocalFileError(`✗ File not found: ${filePath}`);
+  }
+
+  // Hashed up front so identical content is found before anything is sent
+  const hash = await hashFile(filePath);
+
+  if (!options.forceNew) {
+    const existing = await findReusableDrop(credentials, hash, options);
+    if (existing) {
+      logger.debug(`${filePath} was already uploaded as ${existing.code}`);
+      return existing;
+    }
+  }
+
+  const result = await createFileDrop({
+    open: () => fs.createReadStream(filePath),
+    name: path.basename(filePath),
+    mimeType: options.mime || detectFileMimeType(filePath),
+    size: getFileSize(filePath)
+  }, credentials, options);
+
+  indexUpload(hash, result, options);
+  recordDrop(result, { type: 'file', source: filePath, hash });
+  return result;
+}
+
+/**
+ * Uploads whatever is piped to stdin
+ * @param {Object} credentials - Authentication credentials
+ * @param {Object} options - Upload options; options.name sets the filename
+ * @param {stream.Readable} [input=process.stdin] - Stream to read from
+ * @returns {Promise<Object>} The created drop result
+ */
+async function uploadStdin(credentials, options = {}, input = process.stdin) {
+  const { head, stream } = await peekStream(input, HEAD_BYTES);
+
+  if (head.length === 0) {
+    throw new LocalFileError('✗ No data received on stdin');
+  }
+
+  const mimeType = options.mime || detectMimeType({ head, fileName: options.name });
+  const fileName = options.name || `stdin${getExtension(mimeType)}`;
+
+  // Stdin can only be read once, so a failed upload can't be retried, and it
+  // is hashed on the way through rather than up front
+  const hashing = hashStream(stream);
+  const result = await createFileDrop({
+    open: () => hashing.stream,
+    name: fileName,
+    mimeType,
+    replayable: false
+  }, credentials, options);
+
+  indexUpload(hashing.digest(), result, options);
+  recordDrop(result, { type: 'file', source: '-', hash: hashing.digest() });
+  return result;
+}
+
+// Default cap on upload starts per second, so large batches don't hammer the API
+const DEFAULT_RATE_LIMIT = 5;
+
+/**
+ * Uploads several files, optionally in parallel, collecting per-file outcomes
+ * @param {string[]} filePaths - Files to upload
+ * @param {Object} credentials - Authentication credentials
+ * @param {Object} options - Upload options (privacy, password, concurrency, rateLimit, failFast)
+ * @param {Object} [options.progress] - Aggregate progress reporter from createProgress
+ * @returns {Promise<Object[]>} One { filePath, result } or { filePath, error } per file, in input order
+ */
+async function uploadFiles(filePaths, credentials, options = {}) {
+  const { progress } = options;
+
+  const outcomes = await runPool(filePaths, async (filePath, index) => {
+    if (!progress) {
+      logger.log(`Uploading ${filePath} (${index + 1}/${filePaths.length})...`);
+    }
+
+    try {
+      const result = await uploadFile(filePath, credentials, {
+        ...options,
+        onProgress: progress ? bytes => progress.add(bytes) : null
+      });
+      if (progress && result.deduplicated) {
+        // Nothing was sent, but the file still counts towards the batch total
+        progress.add(getFileSize(filePath));
+        progress.log(`= ${filePath} (already uploaded)`);
+      } else if (progress) {
+        progress.log(`✓ ${filePath}`);
+      }
+      return result;
+    } catch (error) {
+      if (progress) progress.log(`✗ ${filePath}`);
+      throw error;
+    }
+  }, {
+    concurrency: options.concurrency,
+    rateLimit: options.rateLimit || DEFAULT_RATE_LIMIT,
+    failFast: options.failFast
+  });
+
+  return outcomes.map((outcome, index) => ({ filePath: filePaths[index], ...outcome }));
+}
+
+function getFileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Prints the per-file result table and summary for a batch upload
+ * @param {Object[]} results - Results from uploadFiles
+ */
+function printBatchResults(results) {
+  const rows = results.map(({ filePath, result, error, skipped }) => [
+    skipped ? '-' : error ? '✗' : result.deduplicated ? '=' : '✓',
+    filePath,
+    error ? error.message.replace(/^✗\s*/, '')
+      : (result.shortlink || result.link || result.url) + (result.deduplicated ? ' (already uploaded)' : '')
+  ]);
+  const width = Math.max(...rows.map(row => row[1].length));
+
+  logger.log('');
+  rows.forEach(([status, file, detail]) => {
+    logger.log(`${status} ${file.padEnd(width)}  ${detail}`);
+  });
 
-  return mimeTypes[ext] || 'application/octet-stream';
+  const failed = results.filter(r => r.error && !r.skipped).length;
+  const skipped = results.filter(r => r.skipped).length;
+  const deduplicated = results.filter(r => r.result && r.result.deduplicated).length;
+  const notes = [];
+  if (deduplicated > 0) notes.push(`${deduplicated} already uploaded`);
+  if (failed > 0) notes.push(`${failed} failed`);
+  if (skipped > 0) notes.push(`${skipped} skipped`);
+
+  logger.log('');
+  logger.log(`Uploaded ${results.length - failed - skipped} of ${results.length} files` +
+    (notes.length > 0 ? ` (${notes.join(', ')})` : ''));
 }
 
 /**
@@ -77,60 +301,237 @@ function getMimeType(fileName) {
  * @returns {Function} Function to be executed by executeCommand
  */
 function handleUploadCommand(args, globalOptions) {
-  const { filePath, options } = parseUploadArgs(args);
+  const { filePaths, options } = parseUploadArgs(args);
 
-  if (!filePath) {
+  if (filePaths.length === 0) {
     logger.error('Error: Please specify a file to upload');
     logger.error('Use "drplr help" for usage information');
-    process.exit(1);
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+    logger.error('Error: --concurrency must be a positive number');
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  if (options.rateLimit !== null && !(options.rateLimit > 0)) {
+    logger.error('Error: --rate-limit must be a positive number');
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+
+  if (filePaths.includes('-') && filePaths.length > 1) {
+    logger.error('Error: "-" (stdin) cannot be combined with other files');
+    process.exit(EXIT_CODES.INVALID_INPUT);
   }
 
   // Return the function that executeCommand will call
   return async () => {
     
     const credentials = requireAuthentication();
+    await applyBoardOption(credentials, options);
 
-    logger.log(`Uploading ${path.basename(filePath)}...`);
+    // Progress goes to stderr; --porcelain, --json and --format hide it unless --progress forces it
+    const showProgress = options.progress !== null
+      ? options.progress
+      : !globalOptions.porcelain && !globalOptions.format && !logger.isStructured();
 
-    const result = await uploadFile(filePath, credentials, options);
+    if (filePaths[0] === '-') {
+      if (process.stdin.isTTY) {
+        throw new ValidationError('✗ Nothing piped to stdin (e.g. cat file | drplr - --name file.txt)');
+      }
+
+      logger.log(`Uploading ${options.name || 'stdin'}...`);
+
+      // Stdin has no known size, so progress shows bytes sent and throughput only
+      const progress = showProgress ? createProgress({ label: options.name || 'stdin' }) : null;
+
+      let result;
+      try {
+        result = await uploadStdin(credentials, {
+          ...options,
+          onProgress: progress ? bytes => progress.add(bytes) : null
+        });
+      } finally {
+        if (progress) progress.finish();
+      }
+
+      printUploadResult(result, options, globalOptions, '-');
+      return;
+    }
+
+    const files = expandUploadPaths(filePaths, options);
 
-    if (globalOptions.porcelain) {
-      logger.output(result.shortlink || result.link || result.url);
-    } else {
-      logger.log('✓ Upload successful!');
+    if (files.length === 0) {
+      throw new LocalFileError('✗ No files left to upload after --include/--exclude filters');
+    }
 
+    // A single plain file keeps the classic single-upload output
+    if (files.length > 1 || files[0] !== filePaths[0]) {
       if (options.title) {
-        logger.log(`Title: ${options.title}`);
+        logger.log('NOTE: --title is ignored when uploading multiple files.');
+      }
+
+      const progress = showProgress ? createProgress({
+        total: files.reduce((sum, file) => sum + getFileSize(file), 0),
+        label: `${files.length} files`
+      }) : null;
+
+      let results;
+      try {
+        results = await uploadFiles(files, credentials, { ...options, title: null, progress });
+      } finally {
+        if (progress) progress.finish();
       }
+      const failed = results.filter(r => r.error);
 
-      if (result.privacy === 'PRIVATE') {
-        logger.log('Privacy: Private');
-      } else if (options.privacy === 'PRIVATE') {
-        logger.log('Privacy: Public (private upload not supported or failed)');
+      if (logger.isStructured()) {
+        logger.json(results.map(outcome => toBatchRecord(outcome, options)));
+      } else if (globalOptions.porcelain || globalOptions.format) {
+        // One line per input file, blank for failures, so scripts can zip output with inputs
+        const format = globalOptions.format ? resolveFormat(globalOptions.format) : null;
+        const line = outcome => format
+          ? renderRecord(format, toBatchRecord(outcome, options))
+          : (outcome.result.shortlink || outcome.result.link || outcome.result.url);
+
+        failed.forEach(({ filePath, error }) => logger.error(`${filePath}: ${error.message}`));
+        logger.output(results.map(outcome => outcome.result ? line(outcome) : '').join('\n'));
+      } else {
+        printBatchResults(results);
       }
 
-      if (options.password) {
-        logger.log('Password protected: Yes');
+      if (failed.length > 0) {
+        const errors = failed.filter(r => !r.skipped).map(({ error }) => error);
+        throw summarizeErrors(`✗ ${failed.length} of ${results.length} uploads failed`, errors);
       }
+      return;
+    }
+
+    const filePath = files[0];
+
+    logger.log(`Uploading ${path.basename(filePath)}...`);
+
+    const progress = showProgress && fs.existsSync(filePath) ? createProgress({
+      total: getFileSize(filePath),
+      label: path.basename(filePath)
+    }) : null;
+
+    let result;
+    try {
+      result = await uploadFile(filePath, credentials, {
+        ...options,
+        onProgress: progress ? bytes => progress.add(bytes) : null
+      });
+    } finally {
+      if (progress) progress.finish();
+    }
+
+    printUploadResult(result, options, globalOptions, filePath);
+  };
+}
+
+/**
+ * Builds the --json record for one file of a batch upload: the drop, or the
+ * file and why it wasn't uploaded
+ * @param {Object} outcome - One entry from uploadFiles
+ * @param {Object} options - Upload options
+ * @returns {Object} Drop record (see toDropRecord) or { source, error: { code, message } }
+ */
+function toBatchRecord({ filePath, result, error, skipped }, options) {
+  if (result) {
+    return toUploadRecord(result, options, filePath);
+  }
 
-      logger.log(`URL: ${result.shortlink || result.link || result.url}`);
+  return {
+    source: filePath,
+    error: {
+      code: skipped ? 'SKIPPED' : getItemErrorCode(error, 'UPLOAD_FAILED'),
+      message: error.message.replace(/^✗\s*/, '')
     }
   };
 }
 
+/**
+ * Builds the --json record for an uploaded (or reused) file
+ * @param {Object} result - Drop
+ * @param {Object} options - Upload options
+ * @param {string} source - File path, or "-" for stdin
+ * @returns {Object} Drop record (see toDropRecord) plus deduplicated
+ */
+function toUploadRecord(result, options, source) {
+  return {
+    ...toDropRecord(result, { source, passwordProtected: Boolean(options.password) }),
+    deduplicated: Boolean(result.deduplicated)
+  };
+}
+
+/**
+ * Prints the outcome of a single upload
+ * @param {Object} result - Created drop
+ * @param {Object} options - Upload options
+ * @param {Object} globalOptions - Global options (porcelain, debug)
+ * @param {string} source - Uploaded file path, or "-" for stdin
+ */
+function printUploadResult(result, options, globalOptions, source) {
+  const record = toUploadRecord(result, options, source);
+
+  if (logger.isStructured()) {
+    logger.json(record);
+  } else if (globalOptions.format) {
+    logger.output(renderRecord(resolveFormat(globalOptions.format), record));
+  } else if (globalOptions.porcelain) {
+    logger.output(result.shortlink || result.link || result.url);
+  } else {
+    logger.log(result.deduplicated
+      ? '✓ Already uploaded; reusing the existing drop (use --force-new to upload again)'
+      : '✓ Upload successful!');
+
+    if (options.title) {
+      logger.log(`Title: ${options.title}`);
+    }
+
+    if (result.privacy === 'PRIVATE') {
+      logger.log('Privacy: Private');
+    }
+
+    if (options.password) {
+      logger.log('Password protected: Yes');
+    }
+
+    if (options.board) {
+      logger.log(`Board: ${options.board}`);
+    }
+
+    logger.log(`URL: ${result.shortlink || result.link || result.url}`);
+  }
+}
+
 const meta = {
   name: '_default',
-  description: 'Upload a file',
-  args: [{ name: 'file', description: 'File to upload', completesFiles: true }],
+  description: 'Upload files',
+  args: [{ name: 'file', description: 'Files, directories or globs to upload', completesFiles: true }],
   options: [
     { long: '--private', short: '-p', description: 'Make upload private' },
     { long: '--password', description: 'Set password protection', takesValue: true },
-    { long: '--title', description: 'Set custom title', takesValue: true }
+    { long: '--title', description: 'Set custom title', takesValue: true },
+    { long: '--board', description: 'Add to a board (ID or name)', takesValue: true },
+    { long: '--include', description: 'Only upload files matching a glob', takesValue: true },
+    { long: '--exclude', description: 'Skip files matching a glob', takesValue: true },
+    { long: '--hidden', description: 'Include hidden files from directories and globs' },
+    { long: '--concurrency', description: 'Number of parallel uploads', takesValue: true },
+    { long: '--rate-limit', description: 'Maximum uploads started per second', takesValue: true },
+    { long: '--fail-fast', description: 'Stop starting uploads after the first failure' },
+    { long: '--progress', description: 'Always show upload progress' },
+    { long: '--no-progress', description: 'Never show upload progress' },
+    { long: '--name', description: 'Filename for stdin uploads', takesValue: true },
+    { long: '--mime', description: 'Override the detected MIME type', takesValue: true },
+    { long: '--force-new', description: 'Upload even if the same content was uploaded before' }
   ]
 };
 
 module.exports = {
   uploadFile,
+  uploadFiles,
+  uploadStdin,
   handleUploadCommand,
   meta
 };
\ No newline at end of file
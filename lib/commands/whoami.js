@@ -0,0 +1,71 @@
+const { createClient } = require('../client');
+const { getCurrentAccount } = require('../api-utils');
+const { requireAuthentication } = require('../command-utils');
+const logger = require('../logger');
+
+/**
+ * Picks the fields worth showing from an account response
+ * @param {Object} account - Account from the API
+ * @returns {Object} { id, email, name, plan, team }, with null for anything missing
+ */
+function summarizeAccount(account) {
+  const team = account.team || (Array.isArray(account.teams) ? account.teams[0] : null);
+
+  return {
+    id: account.id || null,
+    email: account.email || account.username || null,
+    name: account.name || account.fullName || null,
+    plan: account.subscription?.plan || account.plan || account.planName || null,
+    team: (team && (team.name || team.title)) || account.teamName || null
+  };
+}
+
+/**
+ * Fetches the signed-in account
+ * @param {Object} credentials - Authentication credentials
+ * @param {Object} [clientOptions] - Options for createClient
+ * @returns {Promise<Object>} Account summary from summarizeAccount
+ */
+async function getWhoami(credentials, clientOptions = {}) {
+  const client = createClient(credentials, clientOptions);
+  return summarizeAccount(await getCurrentAccount(client));
+}
+
+/**
+ * Handles the whoami command
+ * @param {string[]} args - Command arguments
+ * @param {Object} globalOptions - Global options (porcelain, debug)
+ * @returns {Function} Function to be executed by executeCommand
+ */
+function handleWhoamiCommand(args, globalOptions) {
+  // Return the function that executeCommand will call
+  return async () => {
+    const credentials = requireAuthentication();
+    const account = await getWhoami(credentials);
+
+    if (logger.isStructured()) {
+      logger.json(account);
+    } else if (globalOptions.porcelain) {
+      logger.output(account.email || '');
+    } else {
+      logger.log(`Email: ${account.email || '-'}`);
+      if (account.name) {
+        logger.log(`Name:  ${account.name}`);
+      }
+      logger.log(`Plan:  ${account.plan || '-'}`);
+      logger.log(`Team:  ${account.team || '-'}`);
+    }
+  };
+}
+
+const meta = {
+  name: 'whoami',
+  description: 'Show the signed-in account'
+};
+
+module.exports = {
+  summarizeAccount,
+  getWhoami,
+  handleWhoamiCommand,
+  meta
+};
@@ -2,7 +2,9 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const crypto = require('crypto');
-const { execSync } = require('child_process');
+const { getSecretStore, detectSecretStore } = require('./secret-store');
+const onepassword = require('./onepassword');
+const { parseDuration } = require('./drop-utils');
 const logger = require('./logger');
 
 // Use XDG Base Directory specification
@@ -17,25 +19,16 @@ const getConfigDir = () => {
 
 const CONFIG_DIR = getConfigDir();
 const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
+const SECRETS_FILE = path.join(CONFIG_DIR, 'secrets.json');
 
-// Simple encryption using machine-specific key
+// Legacy scheme: AES with a key derived from the hostname. Anyone who can read
+// config.json can rebuild the key, so it is only read (for "drplr auth migrate"), never written.
 function getMachineKey() {
   const machineId = os.hostname() + os.platform() + os.arch();
   return crypto.createHash('sha256').update(machineId).digest();
 }
 
-function encrypt(text) {
-  const key = getMachineKey();
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
-
-  let encrypted = cipher.update(text, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-
-  return iv.toString('hex') + ':' + encrypted;
-}
-
-function decrypt(encryptedText) {
+function decryptLegacy(encryptedText) {
   try {
     const key = getMachineKey();
     const [ivHex, encrypted] = encryptedText.split(':');
@@ -57,7 +50,77 @@ function ensureConfigDir() {
   }
 }
 
+// Keys that belong to one account (its credentials and cached boards); each
+// profile stores its own set
+const CREDENTIAL_KEYS = ['encryptedToken', 'encryptedUsername', 'encryptedPassword', 'opItem', 'opRefs', 'store', 'type', 'secretKey', 'fallback', 'boards'];
+
+const LEGACY_KEYS = ['encryptedToken', 'encryptedUsername', 'encryptedPassword'];
+
+// Secrets kept in the secret store for each credential type
+const SECRET_FIELDS = {
+  jwt: ['token'],
+  basic: ['username', 'password']
+};
+
+const DEFAULT_PROFILE = 'default';
+
+// How long before a JWT expires to start warning about it
+const DEFAULT_TOKEN_WARNING = '3d';
+
+// Retries for transient API failures when neither --retries nor config says
+const DEFAULT_RETRIES = 3;
+
+// Options chosen for this run: --profile (takes precedence over DRPLR_PROFILE)
+// and --retries (over DRPLR_RETRIES and "retries" in config.json)
+const sessionState = {
+  profile: null,
+  retries: null
+};
+
+/**
+ * Initialize config with global options
+ * @param {Object} options - Global options from CLI (profile, retries)
+ */
+function initConfig(options) {
+  sessionState.profile = options.profile || null;
+  sessionState.retries = options.retries ?? null;
+}
+
+/**
+ * Moves a pre-profiles flat config into a "default" profile
+ * @param {Object} config - Config as read from disk
+ * @returns {boolean} True if the config was changed
+ */
+function migrateConfig(config) {
+  if (config.profiles) {
+    return false;
+  }
+
+  const profile = {};
+  for (const key of CREDENTIAL_KEYS) {
+    if (key in config) {
+      profile[key] = config[key];
+      delete config[key];
+    }
+  }
+
+  config.profiles = { [DEFAULT_PROFILE]: profile };
+  config.currentProfile = DEFAULT_PROFILE;
+  return true;
+}
+
 function loadConfig() {
+  const config = readConfigFile();
+
+  if (migrateConfig(config) && fs.existsSync(CONFIG_FILE)) {
+    logger.debug(`Migrated credentials in ${CONFIG_FILE} to the "${DEFAULT_PROFILE}" profile`);
+    saveConfig(config);
+  }
+
+  return config;
+}
+
+function readConfigFile() {
   try {
     if (fs.existsSync(CONFIG_FILE)) {
       const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
@@ -80,111 +143,750 @@ function saveConfig(config) {
   }
 }
 
-function resolve1PasswordCredentials(item) {
-  try {
-    const result = execSync(
-      `op item get ${JSON.stringify(item)} --format json`,
-      { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }
-    );
-    const data = JSON.parse(result);
-    const fields = data.fields || [];
-    const usernameField = fields.find(f => f.purpose === 'USERNAME') ||
-      fields.find(f => f.id === 'username' || f.label === 'username' || f.label === 'email');
-    const passwordField = fields.find(f => f.purpose === 'PASSWORD') ||
-      fields.find(f => f.id === 'password');
-
-    if (usernameField?.value && passwordField?.value) {
-      return {
-        type: 'basic',
-        username: usernameField.value,
-        password: passwordField.value
-      };
+/**
+ * Resolves which profile this run uses: --profile, then DRPLR_PROFILE,
+ * then the profile selected with "drplr profile use"
+ * @param {Object} [config] - Loaded config (read from disk if omitted)
+ * @returns {string} Active profile name
+ */
+function getActiveProfile(config = loadConfig()) {
+  return sessionState.profile ||
+    process.env.DRPLR_PROFILE ||
+    config.currentProfile ||
+    DEFAULT_PROFILE;
+}
+
+/**
+ * Lists configured profiles
+ * @returns {Object[]} { name, current, auth, store, fallback } per profile, sorted
+ *   by name; auth is 'token', 'login', '1password' or null; store is a secret store
+ *   name, 'legacy' or null; fallback describes what a rejected token falls back on
+ */
+function listProfiles() {
+  const config = loadConfig();
+  const active = getActiveProfile(config);
+
+  return Object.keys(config.profiles).sort().map(name => {
+    const profile = config.profiles[name];
+    let auth = null;
+    if (profile.opItem) auth = '1password';
+    else if (profile.type === 'basic' || profile.encryptedUsername) auth = 'login';
+    else if (profile.type === 'jwt' || profile.encryptedToken) auth = 'token';
+
+    let store = null;
+    if (profile.store) store = profile.store;
+    else if (profile.opRefs) store = '1password';
+    else if (hasLegacyCredentials(profile)) store = 'legacy';
+
+    return { name, current: name === active, auth, store, fallback: describeFallback(profile.fallback) };
+  });
+}
+
+function profileExists(name) {
+  return Object.prototype.hasOwnProperty.call(loadConfig().profiles, name);
+}
+
+function createProfile(name) {
+  const config = loadConfig();
+  config.profiles[name] = {};
+  return saveConfig(config);
+}
+
+function useProfile(name) {
+  const config = loadConfig();
+  config.currentProfile = name;
+  return saveConfig(config);
+}
+
+function removeProfile(name) {
+  const config = loadConfig();
+  clearStoredSecrets(config.profiles[name], secretKeysOfOthers(config.profiles, name));
+  clearOpCache();
+  delete config.profiles[name];
+
+  // Fall back to another profile so the selection never points at nothing
+  if (config.currentProfile === name) {
+    const remaining = Object.keys(config.profiles).sort();
+    config.currentProfile = remaining.includes(DEFAULT_PROFILE) ? DEFAULT_PROFILE : (remaining[0] || DEFAULT_PROFILE);
+  }
+
+  return saveConfig(config);
+}
+
+function renameProfile(oldName, newName) {
+  const config = loadConfig();
+  config.profiles[newName] = config.profiles[oldName];
+  delete config.profiles[oldName];
+
+  if (config.currentProfile === oldName) {
+    config.currentProfile = newName;
+  }
+
+  return saveConfig(config);
+}
+
+// 1Password lookup cache for this run; undefined until first needed, null when disabled
+let opCache;
+
+/**
+ * Opens the 1Password lookup cache if enabled with DRPLR_OP_CACHE or "opCache"
+ * in config.json, set to how long lookups are kept (e.g. "5m", "1h")
+ * @returns {Object|null} Cache (see onepassword.createCache), or null when off
+ */
+function getOpCache() {
+  if (opCache === undefined) {
+    const value = process.env.DRPLR_OP_CACHE || loadConfig().opCache;
+    const ttl = value && !/^(0|off)$/i.test(String(value).trim()) ? parseDuration(value) : 0;
+    if (value && ttl === null) {
+      logger.debug(`Ignoring invalid 1Password cache lifetime "${value}"`);
     }
+    opCache = ttl ? onepassword.createCache({ ttl }) : null;
+  }
+  return opCache;
+}
 
-    logger.error('1Password item missing username or password fields');
-    return null;
+// Cached lookups must never outlive the credentials they came from
+function clearOpCache() {
+  try {
+    onepassword.createCache({ ttl: 0 }).clear();
   } catch (error) {
-    const msg = error.stderr ? error.stderr.toString().trim() : error.message;
-    logger.error('Failed to read from 1Password:', msg);
+    logger.debug('Could not clear the 1Password cache:', error.message);
+  }
+  opCache = undefined;
+}
+
+/**
+ * Reads login credentials from a 1Password item, through the cache when enabled
+ * @param {string} item - Item name, ID or op://vault/item reference
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.fresh=false] - Skip the cache (used when verifying a new item)
+ * @returns {Object|null} Basic credentials, or null (after logging why) on failure
+ */
+function resolve1PasswordCredentials(item, options = {}) {
+  try {
+    const cache = options.fresh ? null : getOpCache();
+    return onepassword.cached(cache, `item:${item}`, () => onepassword.getLoginCredentials(item));
+  } catch (error) {
+    logger.error('Failed to read from 1Password:', error.message);
     return null;
   }
 }
 
-function getCredentials() {
-  const config = loadConfig();
+/**
+ * Reads credentials whose fields are op:// secret references
+ * @param {string} type - 'jwt' or 'basic'
+ * @param {Object} refs - Reference per field, e.g. { token: 'op://Private/Droplr/jwt' }
+ * @param {Object} [options] - Lookup options (see resolve1PasswordCredentials)
+ * @returns {Object} Credentials
+ * @throws {Error} If a reference can't be read
+ */
+function resolveReferenceCredentials(type, refs, options = {}) {
+  const cache = options.fresh ? null : getOpCache();
+  const values = {};
+
+  for (const field of SECRET_FIELDS[type]) {
+    values[field] = onepassword.cached(cache, `read:${refs[field]}`, () => onepassword.readSecret(refs[field]));
+  }
+
+  return { type, ...values };
+}
+
+function hasLegacyCredentials(profile) {
+  return LEGACY_KEYS.some(key => profile[key]);
+}
+
+function openSecretStore(name) {
+  return getSecretStore(name, { file: SECRETS_FILE });
+}
+
+/**
+ * Picks the store new secrets are written to: an explicit choice, then
+ * DRPLR_SECRET_STORE, then the best one available on this machine
+ * @param {string} [name] - Requested store name
+ * @returns {Object} Secret store
+ */
+function chooseSecretStore(name) {
+  const requested = name || process.env.DRPLR_SECRET_STORE;
+  return requested ? openSecretStore(requested) : detectSecretStore({ file: SECRETS_FILE });
+}
+
+function readStoredCredentials(profile) {
+  const store = openSecretStore(profile.store);
+  const values = {};
+
+  for (const field of SECRET_FIELDS[profile.type]) {
+    values[field] = store.get(`${profile.secretKey}/${field}`);
+    if (!values[field]) {
+      throw new Error(`No ${field} found in the ${profile.store} secret store`);
+    }
+  }
+
+  return { type: profile.type, ...values };
+}
+
+function readLegacyCredentials(profile) {
+  if (profile.encryptedUsername && profile.encryptedPassword) {
+    return {
+      type: 'basic',
+      username: decryptLegacy(profile.encryptedUsername),
+      password: decryptLegacy(profile.encryptedPassword)
+    };
+  }
+
+  if (profile.encryptedToken) {
+    return {
+      type: 'jwt',
+      token: decryptLegacy(profile.encryptedToken)
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Secret keys used by every profile but one, so one profile's secrets are
+ * never written over or deleted through another's
+ * @param {Object} profiles - All profiles, by name
+ * @param {string} name - Profile to leave out
+ * @returns {Set<string>}
+ */
+function secretKeysOfOthers(profiles, name) {
+  return new Set(Object.entries(profiles)
+    .filter(([other]) => other !== name)
+    .flatMap(([, profile]) => [profile.secretKey, profile.fallback && profile.fallback.secretKey])
+    .filter(Boolean));
+}
+
+// Best effort: a store that has gone away shouldn't block replacing its credentials
+function clearSecrets(ref, protectedKeys = new Set()) {
+  if (!ref || !ref.store || protectedKeys.has(ref.secretKey)) return;
+
+  try {
+    const store = openSecretStore(ref.store);
+    for (const field of SECRET_FIELDS[ref.type] || []) {
+      store.delete(`${ref.secretKey}/${field}`);
+    }
+  } catch (error) {
+    logger.debug(`Could not clear old secrets from ${ref.store}:`, error.message);
+  }
+}
+
+function clearStoredSecrets(profile, protectedKeys) {
+  if (!profile) return;
+  clearSecrets(profile, protectedKeys);
+  clearSecrets(profile.fallback, protectedKeys);
+}
+
+function sameSecrets(a, b) {
+  return Boolean(a && b && a.store === b.store && a.type === b.type && a.secretKey === b.secretKey);
+}
+
+/**
+ * Writes credentials to a secret store and points the profile at them
+ * @param {string} name - Profile name
+ * @param {Object} profile - Profile config (modified in place)
+ * @param {Object} credentials - { type, token } or { type, username, password }
+ * @param {Object} store - Secret store to write to
+ * @param {Set<string>} taken - Secret keys other profiles use (see secretKeysOfOthers)
+ */
+function storeCredentials(name, profile, credentials, store, taken) {
+  // Keep the original key across renames so existing secrets stay reachable, but
+  // never share one: a profile created under a renamed profile's old name gets its own
+  let secretKey = profile.secretKey || name;
+  if (taken.has(secretKey)) {
+    secretKey = `${name}-${crypto.randomBytes(4).toString('hex')}`;
+  }
+  const previous = profile.store ? { store: profile.store, type: profile.type, secretKey: profile.secretKey || name } : null;
+
+  for (const field of SECRET_FIELDS[credentials.type]) {
+    store.set(`${secretKey}/${field}`, credentials[field]);
+  }
+
+  // Browser tokens expire, so a token keeps the profile's 1Password item or login
+  // around to sign in with when the API rejects it
+  let fallback = null;
+  if (credentials.type === 'jwt') {
+    if (profile.opItem) fallback = { opItem: profile.opItem };
+    else if (profile.opRefs && profile.type === 'basic') fallback = { type: 'basic', opRefs: profile.opRefs };
+    else if (previous && previous.type === 'basic') fallback = previous;
+    else fallback = profile.fallback || null;
+  }
+
+  const kept = [{ store: store.name, type: credentials.type, secretKey }, fallback];
+  for (const old of [previous, profile.fallback]) {
+    if (old && !kept.some(ref => sameSecrets(ref, old))) {
+      clearSecrets(old, taken);
+    }
+  }
+
+  profile.store = store.name;
+  profile.type = credentials.type;
+  profile.secretKey = secretKey;
+  // New credentials may be for another account, whose boards differ
+  delete profile.boards;
+  delete profile.opItem;
+  delete profile.opRefs;
+  LEGACY_KEYS.forEach(key => delete profile[key]);
+
+  if (fallback) {
+    profile.fallback = fallback;
+  } else {
+    delete profile.fallback;
+  }
+}
+
+function readSecretFile(variable, file) {
+  let value;
+  try {
+    value = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read ${variable} (${file}): ${error.message}`);
+  }
+
+  // Secret files mounted by Docker/Kubernetes usually end with a newline
+  value = value.replace(/\r?\n$/, '');
+  if (!value) {
+    throw new Error(`${variable} points to an empty file: ${file}`);
+  }
+  return value;
+}
+
+/**
+ * Reads credentials from environment variables, for CI jobs and containers.
+ * DRPLR_TOKEN wins over DRPLR_TOKEN_FILE, which wins over DRPLR_USERNAME with
+ * DRPLR_PASSWORD or DRPLR_PASSWORD_FILE.
+ * @param {Object} [env=process.env] - Environment to read
+ * @returns {Object|null} { credentials, source } naming the variable used, or null if none are set
+ */
+function readEnvCredentials(env = process.env) {
+  if (env.DRPLR_TOKEN) {
+    return { credentials: { type: 'jwt', token: env.DRPLR_TOKEN }, source: 'DRPLR_TOKEN' };
+  }
+
+  if (env.DRPLR_TOKEN_FILE) {
+    return {
+      credentials: { type: 'jwt', token: readSecretFile('DRPLR_TOKEN_FILE', env.DRPLR_TOKEN_FILE) },
+      source: 'DRPLR_TOKEN_FILE'
+    };
+  }
+
+  if (env.DRPLR_USERNAME || env.DRPLR_PASSWORD || env.DRPLR_PASSWORD_FILE) {
+    if (!env.DRPLR_USERNAME) {
+      throw new Error('DRPLR_PASSWORD is set but DRPLR_USERNAME is not');
+    }
+    if (!env.DRPLR_PASSWORD && !env.DRPLR_PASSWORD_FILE) {
+      throw new Error('DRPLR_USERNAME is set but neither DRPLR_PASSWORD nor DRPLR_PASSWORD_FILE is');
+    }
+
+    const passwordVariable = env.DRPLR_PASSWORD ? 'DRPLR_PASSWORD' : 'DRPLR_PASSWORD_FILE';
+    const password = env.DRPLR_PASSWORD || readSecretFile('DRPLR_PASSWORD_FILE', env.DRPLR_PASSWORD_FILE);
+
+    return {
+      credentials: { type: 'basic', username: env.DRPLR_USERNAME, password },
+      source: `DRPLR_USERNAME and ${passwordVariable}`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Whether credentials come from environment variables (see readEnvCredentials).
+ * Nothing about the account is read from or written to disk in that mode: the
+ * saved profile may belong to another account, and CI runners must stay clean.
+ * @param {Object} [env=process.env] - Environment to read
+ * @returns {boolean}
+ */
+function hasEnvCredentials(env = process.env) {
+  return ['DRPLR_TOKEN', 'DRPLR_TOKEN_FILE', 'DRPLR_USERNAME', 'DRPLR_PASSWORD', 'DRPLR_PASSWORD_FILE']
+    .some(variable => Boolean(env[variable]));
+}
+
+/**
+ * Resolves credentials and where they came from: environment variables first,
+ * then the active profile (1Password item, secret store, or legacy encrypted values)
+ * @returns {Object} { credentials, method, source, profile, fallback }; method is
+ *   'token', 'login', '1password' or null, source describes where the secrets live,
+ *   profile is null when credentials come from the environment and fallback
+ *   describes what a rejected token falls back on (or is null)
+ */
+function resolveCredentials() {
+  const anonymous = { credentials: { type: 'anonymous' }, method: null, source: null, profile: null, fallback: null };
+
+  // Environment credentials never touch the config dir, so CI runners stay clean
+  try {
+    const fromEnv = readEnvCredentials();
+    if (fromEnv) {
+      logger.debug(`Using credentials from ${fromEnv.source}`);
+      return {
+        credentials: fromEnv.credentials,
+        method: fromEnv.credentials.type === 'jwt' ? 'token' : 'login',
+        source: fromEnv.source,
+        profile: null,
+        fallback: null
+      };
+    }
+  } catch (error) {
+    logger.error('Error reading credentials from the environment:', error.message);
+    return anonymous;
+  }
+
+  const profileName = getActiveProfile();
+  const config = loadConfig().profiles[profileName] || {};
+  const fromProfile = { profile: profileName, fallback: describeFallback(config.fallback) };
 
   // 1Password takes priority if configured
   if (config.opItem) {
     const creds = resolve1PasswordCredentials(config.opItem);
-    if (creds) return creds;
+    if (creds) {
+      logger.debug(`Using 1Password item "${config.opItem}" from profile "${profileName}"`);
+      return { ...fromProfile, credentials: creds, method: '1password', source: `1Password item "${config.opItem}"` };
+    }
     // Fall through to other methods if 1Password fails
   }
 
   try {
-    if (config.encryptedUsername && config.encryptedPassword) {
+    if (config.opRefs) {
+      const creds = resolveReferenceCredentials(config.type, config.opRefs);
+      logger.debug(`Using 1Password secret references from profile "${profileName}"`);
       return {
-        type: 'basic',
-        username: decrypt(config.encryptedUsername),
-        password: decrypt(config.encryptedPassword)
+        ...fromProfile,
+        credentials: creds,
+        method: creds.type === 'jwt' ? 'token' : 'login',
+        source: `1Password references (${Object.values(config.opRefs).join(', ')})`
       };
     }
 
-    if (config.encryptedToken) {
+    if (config.store) {
+      const creds = readStoredCredentials(config);
+      logger.debug(`Using credentials from profile "${profileName}" in the ${config.store} secret store`);
       return {
-        type: 'jwt',
-        token: decrypt(config.encryptedToken)
+        ...fromProfile,
+        credentials: creds,
+        method: creds.type === 'jwt' ? 'token' : 'login',
+        source: `${config.store} secret store`
+      };
+    }
+
+    const legacy = readLegacyCredentials(config);
+    if (legacy) {
+      logger.debug(`Using legacy hostname-encrypted credentials from profile "${profileName}"; run "drplr auth migrate" to move them to a secret store`);
+      return {
+        ...fromProfile,
+        credentials: legacy,
+        method: legacy.type === 'jwt' ? 'token' : 'login',
+        source: 'legacy encrypted config'
       };
     }
   } catch (error) {
-    logger.error('Error decrypting credentials:', error.message);
+    logger.error('Error reading credentials:', error.message);
     logger.error('You may need to reconfigure your credentials.');
   }
 
-  return {
-    type: 'anonymous'
-  };
+  return { ...anonymous, ...fromProfile };
+}
+
+function describeFallback(fallback) {
+  if (!fallback) return null;
+  if (fallback.opItem) return `1Password item "${fallback.opItem}"`;
+  if (fallback.opRefs) return `the login in 1Password (${fallback.opRefs.username})`;
+  return `the saved login (${fallback.store} secret store)`;
+}
+
+/**
+ * Resolves the credentials kept next to the active profile's token (its former
+ * 1Password item or login), to sign in with when the token is rejected
+ * @returns {Object|null} { credentials, source }, or null if there are none or
+ *   credentials come from the environment
+ */
+function resolveFallbackCredentials() {
+  try {
+    if (readEnvCredentials()) return null;
+  } catch (error) {
+    return null;
+  }
+
+  const profileName = getActiveProfile();
+  const { fallback } = loadConfig().profiles[profileName] || {};
+  if (!fallback) return null;
+
+  if (fallback.opItem) {
+    const creds = resolve1PasswordCredentials(fallback.opItem);
+    return creds ? { credentials: creds, source: describeFallback(fallback) } : null;
+  }
+
+  try {
+    const credentials = fallback.opRefs
+      ? resolveReferenceCredentials(fallback.type, fallback.opRefs)
+      : readStoredCredentials(fallback);
+    return { credentials, source: describeFallback(fallback) };
+  } catch (error) {
+    logger.debug(`Could not read fallback credentials for profile "${profileName}":`, error.message);
+    return null;
+  }
 }
 
-function setCredentials(type, ...args) {
+/**
+ * Makes the active profile's fallback its credentials, deleting the rejected
+ * token so later runs sign in with the fallback straight away
+ * @returns {boolean} True if saved
+ */
+function adoptFallbackCredentials() {
+  const fullConfig = loadConfig();
+  const name = getActiveProfile(fullConfig);
+  const config = fullConfig.profiles[name];
+  if (!config || !config.fallback) {
+    return false;
+  }
+
+  const { fallback } = config;
+  // Only the token's own secrets go; a stored login shares the secret key but not its fields
+  clearSecrets(config, secretKeysOfOthers(fullConfig.profiles, name));
+  CREDENTIAL_KEYS.forEach(key => delete config[key]);
+  Object.assign(config, fallback);
+
+  return saveConfig(fullConfig);
+}
+
+/**
+ * How long before a JWT expires to warn about it: DRPLR_TOKEN_WARNING, then
+ * "tokenWarning" in config.json, then 3 days. "0" or "off" disables the warning.
+ * @returns {number} Window in milliseconds (0 when disabled)
+ */
+function getTokenWarningWindow() {
+  const value = process.env.DRPLR_TOKEN_WARNING || loadConfig().tokenWarning || DEFAULT_TOKEN_WARNING;
+  if (/^(0|off|never)$/i.test(String(value).trim())) {
+    return 0;
+  }
+
+  const window = parseDuration(value);
+  if (window === null) {
+    logger.debug(`Ignoring invalid token warning window "${value}"; using ${DEFAULT_TOKEN_WARNING}`);
+    return parseDuration(DEFAULT_TOKEN_WARNING);
+  }
+  return window;
+}
+
+/**
+ * How many times to retry a request that failed transiently: --retries, then
+ * DRPLR_RETRIES, then "retries" in config.json, then 3
+ * @returns {number} Retries after the first attempt (0 disables retrying)
+ */
+function getRetries() {
+  if (sessionState.retries !== null) {
+    return sessionState.retries;
+  }
+
+  const value = process.env.DRPLR_RETRIES ?? loadConfig().retries;
+  if (value === undefined || value === '') {
+    return DEFAULT_RETRIES;
+  }
+
+  const retries = Number(value);
+  if (!Number.isInteger(retries) || retries < 0) {
+    logger.debug(`Ignoring invalid retry count "${value}"; using ${DEFAULT_RETRIES}`);
+    return DEFAULT_RETRIES;
+  }
+  return retries;
+}
+
+/**
+ * Named --format templates from "formats" in config.json
+ * @returns {Object} Template strings keyed by name
+ */
+function getFormatTemplates() {
+  const formats = loadConfig().formats;
+  return formats && typeof formats === 'object' ? formats : {};
+}
+
+/**
+ * Boards last fetched for the active profile, so --board can take a name
+ * without listing boards on every run. Empty when credentials come from the
+ * environment, since they may be for another account than the profile's.
+ * @returns {Object[]} { id, name } per board
+ */
+function getCachedBoards() {
+  if (hasEnvCredentials()) {
+    return [];
+  }
+
   const config = loadConfig();
+  const boards = config.profiles[getActiveProfile(config)]?.boards;
+  return Array.isArray(boards) ? boards : [];
+}
 
-  // Clear 1Password reference when setting direct credentials
-  delete config.opItem;
+/**
+ * Replaces the active profile's cached boards. Nothing is cached when
+ * credentials come from the environment, or for a profile that was never
+ * saved, so the cache never creates a config file of its own.
+ * @param {Object[]} boards - { id, name } per board
+ * @returns {boolean} True if saved
+ */
+function setCachedBoards(boards) {
+  if (hasEnvCredentials()) {
+    return false;
+  }
 
-  if (type === 'basic') {
-    const [username, password] = args;
-    config.encryptedUsername = encrypt(username);
-    config.encryptedPassword = encrypt(password);
-    delete config.encryptedToken;
-  } else if (type === 'jwt') {
-    const [token] = args;
-    config.encryptedToken = encrypt(token);
-    delete config.encryptedUsername;
-    delete config.encryptedPassword;
+  const config = loadConfig();
+  const profile = config.profiles[getActiveProfile(config)];
+  if (!profile || !fs.existsSync(CONFIG_FILE)) {
+    return false;
   }
 
+  profile.boards = boards.map(board => ({ id: board.id, name: board.name }));
   return saveConfig(config);
 }
 
+/**
+ * Resolves the credentials to authenticate with (see resolveCredentials)
+ * @returns {Object} Credentials; type is 'jwt', 'basic' or 'anonymous'
+ */
+function getCredentials() {
+  return resolveCredentials().credentials;
+}
+
+/**
+ * Removes the active profile's credentials: stored secrets, legacy encrypted
+ * values and the 1Password reference. The profile itself is kept.
+ * @returns {boolean} True if there was anything to remove
+ */
+function clearCredentials() {
+  const fullConfig = loadConfig();
+  const name = getActiveProfile(fullConfig);
+  const config = fullConfig.profiles[name];
+  if (!config || !CREDENTIAL_KEYS.some(key => key in config)) {
+    return false;
+  }
+
+  clearStoredSecrets(config, secretKeysOfOthers(fullConfig.profiles, name));
+  clearOpCache();
+  CREDENTIAL_KEYS.forEach(key => delete config[key]);
+
+  return saveConfig(fullConfig);
+}
+
+/**
+ * Stores credentials in the active profile, creating it if needed. Values that
+ * are op:// secret references are kept as references and read from 1Password
+ * on each run instead of being copied into a secret store.
+ * @param {string} type - 'basic' or 'jwt'
+ * @param {Object} values - { username, password } or { token }
+ * @param {Object} [options] - Storage options
+ * @param {string} [options.store] - Secret store to use (see STORE_NAMES)
+ * @returns {boolean} True if saved
+ */
+function setCredentials(type, values, options = {}) {
+  const fullConfig = loadConfig();
+  const name = getActiveProfile(fullConfig);
+  const config = fullConfig.profiles[name] = fullConfig.profiles[name] || {};
+
+  const refs = SECRET_FIELDS[type].filter(field => onepassword.isReference(values[field]));
+  if (refs.length > 0) {
+    if (refs.length !== SECRET_FIELDS[type].length) {
+      logger.error('Error storing credentials: use op:// references for all fields or none');
+      return false;
+    }
+
+    // Verify the references resolve before saving
+    try {
+      resolveReferenceCredentials(type, values, { fresh: true });
+    } catch (error) {
+      logger.error('Failed to read from 1Password:', error.message);
+      return false;
+    }
+
+    clearStoredSecrets(config, secretKeysOfOthers(fullConfig.profiles, name));
+    clearOpCache();
+    CREDENTIAL_KEYS.forEach(key => delete config[key]);
+    config.type = type;
+    config.opRefs = Object.fromEntries(SECRET_FIELDS[type].map(field => [field, values[field]]));
+    return saveConfig(fullConfig);
+  }
+
+  try {
+    // Replacing credentials keeps them in the profile's current store unless told otherwise
+    const store = config.store && !options.store ? openSecretStore(config.store) : chooseSecretStore(options.store);
+    storeCredentials(name, config, { type, ...values }, store, secretKeysOfOthers(fullConfig.profiles, name));
+  } catch (error) {
+    logger.error('Error storing credentials:', error.message);
+    return false;
+  }
+
+  return saveConfig(fullConfig);
+}
+
+/**
+ * Moves hostname-encrypted credentials from every profile into a secret store
+ * @param {Object} [options] - Migration options
+ * @param {string} [options.store] - Secret store to use (see STORE_NAMES)
+ * @returns {Object[]} { name, store } or { name, error } per migrated profile
+ */
+function migrateLegacyCredentials(options = {}) {
+  const config = loadConfig();
+  const results = [];
+
+  for (const name of Object.keys(config.profiles).sort()) {
+    const profile = config.profiles[name];
+    if (!hasLegacyCredentials(profile)) continue;
+
+    try {
+      const store = chooseSecretStore(options.store);
+      storeCredentials(name, profile, readLegacyCredentials(profile), store, secretKeysOfOthers(config.profiles, name));
+      results.push({ name, store: store.name });
+    } catch (error) {
+      results.push({ name, error });
+    }
+  }
+
+  if (results.some(result => result.store)) {
+    saveConfig(config);
+  }
+
+  return results;
+}
+
 function set1PasswordItem(item) {
   // Verify the item is accessible before saving
-  const creds = resolve1PasswordCredentials(item);
+  const creds = resolve1PasswordCredentials(item, { fresh: true });
   if (!creds) {
     return false;
   }
 
-  const config = loadConfig();
-  config.opItem = item;
+  const fullConfig = loadConfig();
+  const name = getActiveProfile(fullConfig);
+  const config = fullConfig.profiles[name] = fullConfig.profiles[name] || {};
   // Clear stored credentials since 1Password will be used
-  delete config.encryptedToken;
-  delete config.encryptedUsername;
-  delete config.encryptedPassword;
+  clearStoredSecrets(config, secretKeysOfOthers(fullConfig.profiles, name));
+  clearOpCache();
+  CREDENTIAL_KEYS.forEach(key => delete config[key]);
+  config.opItem = item;
 
-  return saveConfig(config);
+  return saveConfig(fullConfig);
 }
 
 module.exports = {
+  initConfig,
+  hasEnvCredentials,
+  migrateConfig,
+  getActiveProfile,
+  listProfiles,
+  profileExists,
+  createProfile,
+  useProfile,
+  removeProfile,
+  renameProfile,
+  readEnvCredentials,
+  resolveCredentials,
+  resolveFallbackCredentials,
+  adoptFallbackCredentials,
+  getTokenWarningWindow,
+  getRetries,
+  getFormatTemplates,
+  getCachedBoards,
+  setCachedBoards,
   getCredentials,
+  clearCredentials,
   setCredentials,
-  set1PasswordItem
+  set1PasswordItem,
+  migrateLegacyCredentials
 };
\ No newline at end of file
@@ -0,0 +1,145 @@
+/**
+ * Helpers for working with existing drops (codes, shortlinks, display values)
+ */
+
+// Single-letter path prefixes d.pr uses for typed shortlinks (e.g. d.pr/i/AbCd)
+const SHORTLINK_PREFIXES = ['i', 'f', 'n', 'l', 'v', 'a', 'c'];
+
+/**
+ * Extracts a drop code from a bare code or a full shortlink
+ * @param {string} input - Drop code (e.g. "AbCd12") or URL (e.g. "https://d.pr/i/AbCd12")
+ * @returns {string|null} Drop code, or null if none could be found
+ */
+function parseDropCode(input) {
+  if (!input) return null;
+
+  const value = input.trim();
+  let segments;
+
+  if (/^https?:\/\//i.test(value) || value.includes('/')) {
+    let url;
+    try {
+      url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+    } catch (error) {
+      return null;
+    }
+    segments = url.pathname.split('/').filter(Boolean);
+    if (segments.length > 1 && SHORTLINK_PREFIXES.includes(segments[0])) {
+      segments = segments.slice(1);
+    }
+  } else {
+    segments = [value];
+  }
+
+  // Trailing "+" is d.pr's direct-content suffix, not part of the code
+  const code = (segments[0] || '').replace(/\+$/, '');
+  return /^[A-Za-z0-9_-]+$/.test(code) ? code : null;
+}
+
+/**
+ * Returns the best available public URL for a drop
+ * @param {Object} drop - Drop from the API
+ * @returns {string|undefined}
+ */
+function getDropUrl(drop) {
+  return drop.shortlink || drop.link || drop.url;
+}
+
+/**
+ * Formats an API timestamp (milliseconds) for display
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} "YYYY-MM-DD HH:MM" in UTC, or "-" when missing
+ */
+function formatDate(timestamp) {
+  if (!timestamp) return '-';
+  return new Date(timestamp).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+/**
+ * Formats a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size (e.g. "1.5 MB")
+ */
+function formatSize(bytes) {
+  if (bytes === undefined || bytes === null) return '-';
+
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let size = Number(bytes);
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+
+  return unit === 0 ? `${size} ${units[unit]}` : `${size.toFixed(1)} ${units[unit]}`;
+}
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parses a short duration such as "90d", "12h" or "2w"
+ * @param {string} value - Duration string (number followed by s, m, h, d or w)
+ * @returns {number|null} Duration in milliseconds, or null if invalid
+ */
+function parseDuration(value) {
+  const match = /^(\d+)\s*([smhdw])$/i.exec(String(value || '').trim());
+  if (!match) return null;
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * Formats an API timestamp as an ISO 8601 string
+ * @param {number|string} timestamp - Milliseconds since epoch or a date string
+ * @returns {string|null} ISO date, or null when missing or unparseable
+ */
+function toIsoDate(timestamp) {
+  if (!timestamp) return null;
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Converts a drop into the record printed by --json and --jsonl. These field
+ * names and types are a stable interface for scripts (documented in the README);
+ * add fields rather than renaming or removing them.
+ * @param {Object} drop - Drop from the API
+ * @param {Object} [extra] - Facts known locally that the API response may lack
+ * @param {string} [extra.source] - File path, "-" for stdin, or URL the drop was made from
+ * @param {boolean} [extra.passwordProtected] - Whether a password was set
+ * @returns {Object} { code, shortlink, type, variant, privacy, passwordProtected,
+ *   title, size, views, source, createdAt, updatedAt }; missing values are null
+ */
+function toDropRecord(drop, extra = {}) {
+  const type = drop.type ? drop.type.toLowerCase() : null;
+
+  return {
+    code: drop.code || null,
+    shortlink: getDropUrl(drop) || null,
+    type,
+    variant: drop.variant || null,
+    privacy: (drop.privacy || 'PUBLIC').toLowerCase(),
+    passwordProtected: Boolean(extra.passwordProtected || drop.password || drop.hasPassword),
+    title: drop.title || null,
+    size: typeof drop.size === 'number' ? drop.size : null,
+    views: typeof drop.views === 'number' ? drop.views : null,
+    source: extra.source || (type === 'link' && typeof drop.content === 'string' ? drop.content : null),
+    createdAt: toIsoDate(drop.createdAt),
+    updatedAt: toIsoDate(drop.updatedAt || drop.lastUpdate)
+  };
+}
+
+module.exports = {
+  parseDropCode,
+  toDropRecord,
+  parseDuration,
+  toIsoDate,
+  getDropUrl,
+  formatDate,
+  formatSize
+};
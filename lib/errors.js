@@ -1,11 +1,162 @@
+/**
+ * Error codes (as printed in --json error objects) and the exit code each one
+ * ends the process with. Scripts rely on both, so keep them stable and keep
+ * the README table in sync.
+ */
+const EXIT_CODES = {
+  COMMAND_FAILED: 1,
+  UNEXPECTED_ERROR: 1,
+  INVALID_INPUT: 2,
+  AUTH_REQUIRED: 3,
+  AUTH_FAILED: 3,
+  NOT_FOUND: 4,
+  RATE_LIMITED: 5,
+  NETWORK_ERROR: 6,
+  LOCAL_FILE_ERROR: 7,
+  PRIVACY_FAILED: 8
+};
+
+/**
+ * Base class for failures drplr reports to the user. Thrown as-is for failures
+ * that fit none of the subclasses below.
+ */
 class UploadError extends Error {
   constructor(message, statusCode = null) {
     super(message);
     this.name = 'UploadError';
     this.statusCode = statusCode;
+    this.code = 'COMMAND_FAILED';
+  }
+
+  get exitCode() {
+    return EXIT_CODES[this.code];
+  }
+}
+
+/** Credentials are missing, rejected, or can't be unlocked */
+class AuthError extends UploadError {
+  constructor(message, statusCode = null) {
+    super(message, statusCode);
+    this.name = 'AuthError';
+    this.code = 'AUTH_FAILED';
+  }
+}
+
+/** Invalid input, whether caught locally or rejected by the API */
+class ValidationError extends UploadError {
+  constructor(message, statusCode = null) {
+    super(message, statusCode);
+    this.name = 'ValidationError';
+    this.code = 'INVALID_INPUT';
+  }
+}
+
+/** The drop (or other resource) doesn't exist or isn't visible to this account */
+class NotFoundError extends UploadError {
+  constructor(message, statusCode = null) {
+    super(message, statusCode);
+    this.name = 'NotFoundError';
+    this.code = 'NOT_FOUND';
+  }
+}
+
+/** The API is throttling requests; retryAfter is in seconds when the API says */
+class RateLimitError extends UploadError {
+  constructor(message, statusCode = null, retryAfter = null) {
+    super(message, statusCode);
+    this.name = 'RateLimitError';
+    this.code = 'RATE_LIMITED';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** The API couldn't be reached or is temporarily unavailable */
+class NetworkError extends UploadError {
+  constructor(message, statusCode = null) {
+    super(message, statusCode);
+    this.name = 'NetworkError';
+    this.code = 'NETWORK_ERROR';
+  }
+}
+
+/** A local file or stdin couldn't be found or read */
+class LocalFileError extends UploadError {
+  constructor(message, statusCode = null) {
+    super(message, statusCode);
+    this.name = 'LocalFileError';
+    this.code = 'LOCAL_FILE_ERROR';
+  }
+}
+
+/**
+ * A drop meant to be private or password protected couldn't be confirmed as
+ * such. dropCode names the drop; deleted says whether it was removed, or may
+ * still be publicly accessible and needs deleting by hand.
+ */
+class PrivacyError extends UploadError {
+  constructor(message, dropCode = null, deleted = false) {
+    super(message);
+    this.name = 'PrivacyError';
+    this.code = 'PRIVACY_FAILED';
+    this.dropCode = dropCode;
+    this.deleted = deleted;
+  }
+}
+
+/**
+ * Exit code for an error: its class's code, or 1 for anything unexpected
+ * @param {Error} error - The error
+ * @returns {number}
+ */
+function getExitCode(error) {
+  return error instanceof UploadError ? error.exitCode : EXIT_CODES.UNEXPECTED_ERROR;
+}
+
+/**
+ * Error code for one failed item of a batch: the error's own code when it has
+ * a specific one (e.g. NOT_FOUND), otherwise the batch's generic code
+ * @param {Error} error - The failure
+ * @param {string} fallback - Code for untyped failures (e.g. "UPLOAD_FAILED")
+ * @returns {string}
+ */
+function getItemErrorCode(error, fallback) {
+  return error instanceof UploadError && error.code !== 'COMMAND_FAILED' ? error.code : fallback;
+}
+
+/**
+ * Builds the error for a batch with failures. It has the failures' class when
+ * they all share one (e.g. every upload was rate limited), so the exit code
+ * still says whether retrying could help.
+ * @param {string} message - Summary message
+ * @param {Error[]} errors - The individual failures
+ * @returns {UploadError}
+ */
+function summarizeErrors(message, errors) {
+  const [first] = errors;
+  const shared = first instanceof UploadError && errors.every(error => error.constructor === first.constructor);
+
+  if (!shared) {
+    return new UploadError(message);
+  }
+
+  const summary = new first.constructor(message);
+  if (first instanceof RateLimitError) {
+    summary.retryAfter = Math.max(...errors.map(error => error.retryAfter || 0)) || null;
   }
+  return summary;
 }
 
 module.exports = {
-  UploadError
-};
\ No newline at end of file
+  EXIT_CODES,
+  UploadError,
+  AuthError,
+  ValidationError,
+  NotFoundError,
+  RateLimitError,
+  NetworkError,
+  LocalFileError,
+  PrivacyError,
+  getExitCode,
+  getItemErrorCode,
+  summarizeErrors
+};
@@ -0,0 +1,275 @@
+/**
+ * File path expansion for batch uploads: directories, globs and ignore files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LocalFileError } = require('./errors');
+
+// Ignore files honoured while walking directories (gitignore syntax)
+const IGNORE_FILES = ['.gitignore', '.drplrignore'];
+
+// Directories that are never worth uploading, even with --hidden
+const ALWAYS_SKIP = ['.git'];
+
+/**
+ * Checks whether a directory entry is hidden (a dotfile or dot-directory)
+ * @param {string} name - Entry name
+ * @returns {boolean}
+ */
+function isHidden(name) {
+  return name.startsWith('.');
+}
+
+/**
+ * Converts a glob pattern into a regular expression.
+ * Supports *, **, ?, [...] character classes and {a,b} alternation.
+ * @param {string} pattern - Glob pattern (always using "/" separators)
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches zero or more directories, a bare "**" matches anything
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += '[' + pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+        i = end;
+      }
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i + 1);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        const alternatives = pattern.slice(i + 1, end).split(',');
+        source += '(?:' + alternatives.map(alt => globToRegExp(alt).source.slice(1, -1)).join('|') + ')';
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Checks whether a string contains glob metacharacters
+ * @param {string} value - Path or pattern
+ * @returns {boolean}
+ */
+function hasGlob(value) {
+  return /[*?[{]/.test(value);
+}
+
+/**
+ * Checks a relative path against a glob. Patterns without a "/" match the
+ * basename at any depth, like .gitignore patterns do.
+ * @param {string} relativePath - Path relative to the walk root, "/" separated
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean}
+ */
+function matchesGlob(relativePath, pattern) {
+  if (!pattern.includes('/')) {
+    return globToRegExp(pattern).test(path.posix.basename(relativePath));
+  }
+  return globToRegExp(pattern.replace(/^\//, '')).test(relativePath);
+}
+
+/**
+ * Parses a gitignore-style file into rules
+ * @param {string} content - Ignore file contents
+ * @returns {Object[]} Rules with regex, negate and dirOnly flags
+ */
+function parseIgnoreFile(content) {
+  return content
+    .split(/\r?\n/)
+    .map(line => line.replace(/\s+$/, ''))
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      let pattern = line;
+      const negate = pattern.startsWith('!');
+      if (negate) pattern = pattern.slice(1);
+
+      const dirOnly = pattern.endsWith('/');
+      if (dirOnly) pattern = pattern.slice(0, -1);
+
+      // A slash anywhere but the end anchors the pattern to the ignore file's directory
+      const anchored = pattern.includes('/');
+      pattern = pattern.replace(/^\//, '');
+
+      return {
+        regex: globToRegExp(anchored ? pattern : `**/${pattern}`),
+        negate,
+        dirOnly
+      };
+    });
+}
+
+/**
+ * Applies ignore rules in order; the last matching rule wins
+ * @param {Object[]} rules - Rules from parseIgnoreFile, relative to `base`
+ * @param {string} relativePath - Path relative to the rules' base directory
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean} True if the path is ignored
+ */
+function isIgnored(rules, relativePath, isDirectory) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) continue;
+    if (rule.regex.test(relativePath)) {
+      ignored = !rule.negate;
+    }
+  }
+  return ignored;
+}
+
+function loadIgnoreRules(dir) {
+  const rules = [];
+  for (const name of IGNORE_FILES) {
+    const file = path.join(dir, name);
+    if (fs.existsSync(file)) {
+      rules.push(...parseIgnoreFile(fs.readFileSync(file, 'utf8')));
+    }
+  }
+  return rules;
+}
+
+/**
+ * Recursively collects files under a directory, honouring ignore files.
+ * Hidden files and directories are skipped unless options.hidden is set.
+ * @param {string} root - Directory the walk started from
+ * @param {string} dir - Directory currently being read
+ * @param {Object[]} scopes - Ignore rules with the directory they are relative to
+ * @param {string[]} files - Accumulator for found files
+ * @param {Object} [options] - Walk options
+ * @param {boolean} [options.hidden=false] - Include hidden files and directories
+ */
+function walkDirectory(root, dir, scopes, files, options = {}) {
+  const localRules = loadIgnoreRules(dir);
+  const activeScopes = localRules.length > 0 ? [...scopes, { base: dir, rules: localRules }] : scopes;
+
+  const entries = fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    if (ALWAYS_SKIP.includes(entry.name) || IGNORE_FILES.includes(entry.name)) continue;
+    if (isHidden(entry.name) && !options.hidden) continue;
+
+    const fullPath = path.join(dir, entry.name);
+    const isDirectory = entry.isDirectory();
+    const ignored = activeScopes.some(scope =>
+      isIgnored(scope.rules, path.relative(scope.base, fullPath).split(path.sep).join('/'), isDirectory)
+    );
+    if (ignored) continue;
+
+    if (isDirectory) {
+      walkDirectory(root, fullPath, activeScopes, files, options);
+    } else if (entry.isFile()) {
+      files.push({ root, file: fullPath });
+    }
+  }
+}
+
+/**
+ * Expands a glob relative to its static (non-glob) leading directory
+ * @param {string} pattern - Glob such as "shots/*.png" or "**\/*.pdf"
+ * @param {Object} [options] - Walk options (hidden)
+ * @returns {Object[]} Matched files with the root they are relative to
+ */
+function expandGlob(pattern, options = {}) {
+  const segments = pattern.split(/[\\/]/);
+  const firstGlob = segments.findIndex(hasGlob);
+  const base = segments.slice(0, firstGlob).join('/') || '.';
+  const relativePattern = segments.slice(firstGlob).join('/');
+  const regex = globToRegExp(relativePattern);
+
+  if (!fs.existsSync(base)) return [];
+
+  const found = [];
+  walkDirectory(base, base, [], found, options);
+  return found.filter(({ file }) =>
+    regex.test(path.relative(base, file).split(path.sep).join('/'))
+  );
+}
+
+/**
+ * Expands upload arguments into a flat, de-duplicated list of files.
+ * Directories are walked recursively and globs that the shell didn't
+ * expand are expanded here. --include/--exclude apply to every file. Hidden
+ * files are only found inside directories and globs with --hidden; ones named
+ * directly are always uploaded.
+ * @param {string[]} paths - Files, directories or globs
+ * @param {Object} [options] - Filter options
+ * @param {boolean} [options.hidden=false] - Include hidden files found in directories and globs
+ * @param {string[]} [options.include] - Only keep files matching one of these globs
+ * @param {string[]} [options.exclude] - Drop files matching any of these globs
+ * @returns {string[]} Files to upload, in argument order
+ */
+function expandUploadPaths(paths, options = {}) {
+  const include = options.include || [];
+  const exclude = options.exclude || [];
+  const seen = new Set();
+  const files = [];
+
+  for (const input of paths) {
+    let found;
+
+    if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+      found = [];
+      walkDirectory(input, input, [], found, options);
+      if (found.length === 0) {
+        throw new LocalFileError(`✗ No files found in directory: ${input}`);
+      }
+    } else if (!fs.existsSync(input) && hasGlob(input)) {
+      found = expandGlob(input, options);
+      if (found.length === 0) {
+        throw new LocalFileError(`✗ No files match: ${input}`);
+      }
+    } else {
+      // Plain file paths are passed through; uploadFile reports missing files
+      found = [{ root: path.dirname(input), file: input }];
+    }
+
+    for (const { root, file } of found) {
+      const relativePath = path.relative(root, file).split(path.sep).join('/');
+      if (include.length > 0 && !include.some(pattern => matchesGlob(relativePath, pattern))) continue;
+      if (exclude.some(pattern => matchesGlob(relativePath, pattern))) continue;
+
+      const key = path.resolve(file);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      files.push(file);
+    }
+  }
+
+  return files;
+}
+
+module.exports = {
+  globToRegExp,
+  matchesGlob,
+  parseIgnoreFile,
+  isIgnored,
+  expandUploadPaths
+};
@@ -0,0 +1,107 @@
+/**
+ * --format output: presets and user templates rendered from drop records
+ * (see toDropRecord), for pasting results into docs or chat
+ */
+
+const path = require('path');
+const { ValidationError } = require('./errors');
+const { getFormatTemplates } = require('./config');
+
+/**
+ * Built-in formats. Each has a template for images (embedded via their direct
+ * URL) and one for everything else, plus an escape for text placed in it.
+ */
+const PRESETS = {
+  markdown: {
+    image: '![{{label}}]({{directUrl}})',
+    default: '[{{label}}]({{shortlink}})',
+    escape: value => value.replace(/([\\[\]])/g, '\\$1')
+  },
+  html: {
+    image: '<img src="{{directUrl}}" alt="{{label}}">',
+    default: '<a href="{{shortlink}}">{{label}}</a>',
+    escape: value => value.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`)
+  },
+  slack: {
+    image: '<{{shortlink}}|{{label}}>',
+    default: '<{{shortlink}}|{{label}}>',
+    escape: value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  },
+  bbcode: {
+    image: '[img]{{directUrl}}[/img]',
+    default: '[url={{shortlink}}]{{label}}[/url]',
+    escape: value => value.replace(/[[\]]/g, '')
+  }
+};
+
+// Values templates can use besides the drop record's own fields
+const EXTRA_FIELDS = ['label', 'directUrl'];
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z]+)\s*\}\}/g;
+
+const RECORD_FIELDS = [
+  'code', 'shortlink', 'type', 'variant', 'privacy', 'passwordProtected',
+  'title', 'size', 'views', 'source', 'createdAt', 'updatedAt'
+];
+
+/**
+ * Resolves a --format value: a preset name, a template saved under "formats"
+ * in config.json, or a literal template such as "{{shortlink}} ({{title}})"
+ * @param {string} spec - The --format value
+ * @returns {Object} { image, default, escape } (a template uses the same text for both)
+ * @throws {ValidationError} If spec names no format or uses unknown fields
+ */
+function resolveFormat(spec) {
+  if (PRESETS[spec]) {
+    return PRESETS[spec];
+  }
+
+  const saved = getFormatTemplates()[spec];
+  const template = typeof saved === 'string' ? saved : spec;
+
+  if (!template.includes('{{')) {
+    const names = [...Object.keys(PRESETS), ...Object.keys(getFormatTemplates())];
+    throw new ValidationError(`Unknown format "${spec}" (expected ${names.join(', ')}, or a template such as "{{shortlink}}")`);
+  }
+
+  const unknown = [...template.matchAll(PLACEHOLDER)]
+    .map(match => match[1])
+    .filter(field => !RECORD_FIELDS.includes(field) && !EXTRA_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown field "${unknown[0]}" in format (available: ${[...RECORD_FIELDS, ...EXTRA_FIELDS].join(', ')})`);
+  }
+
+  return { image: template, default: template, escape: value => value };
+}
+
+/**
+ * Renders a drop record with a resolved format
+ * @param {Object} format - Format from resolveFormat
+ * @param {Object} record - Drop record from toDropRecord
+ * @returns {string} Rendered text; missing values render as empty strings
+ */
+function renderRecord(format, record) {
+  const values = {
+    ...record,
+    // Titles are optional, so fall back to the file name, then the URL
+    label: record.title || (record.source && record.type !== 'link' && record.source !== '-'
+      ? path.basename(record.source)
+      : record.shortlink),
+    // d.pr serves a file's content itself when "+" is appended to its shortlink
+    directUrl: record.shortlink && record.type !== 'link' ? `${record.shortlink}+` : record.shortlink
+  };
+
+  const isImage = Boolean(record.variant && record.variant.startsWith('image/'));
+  const template = isImage ? format.image : format.default;
+
+  return template.replace(PLACEHOLDER, (match, field) => {
+    const value = values[field];
+    return value === null || value === undefined ? '' : format.escape(String(value));
+  });
+}
+
+module.exports = {
+  PRESETS,
+  resolveFormat,
+  renderRecord
+};
@@ -0,0 +1,59 @@
+/**
+ * Read-only JWT helpers. Tokens are decoded to inspect their claims, never verified;
+ * the API remains the authority on whether a token is valid.
+ */
+
+/**
+ * Decodes a JWT's payload
+ * @param {string} token - JWT in compact form (header.payload.signature)
+ * @returns {Object|null} Payload claims, or null if the token isn't a decodable JWT
+ */
+function decodeJwt(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return null;
+
+  try {
+    // 'base64url' decoding needs Node 15.7, so translate to plain base64 first
+    const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+    const payload = JSON.parse(Buffer.from(padded, 'base64').toString('utf8'));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reads a JWT's expiry time
+ * @param {string} token - JWT
+ * @returns {Date|null} When the token expires, or null if it has no exp claim
+ */
+function getTokenExpiry(token) {
+  const payload = decodeJwt(token);
+  if (!payload || typeof payload.exp !== 'number') return null;
+  return new Date(payload.exp * 1000);
+}
+
+/**
+ * Describes how far away a time is, e.g. "in 3 days" or "2 hours ago"
+ * @param {Date} date - Time to describe
+ * @param {number} [now=Date.now()] - Reference time
+ * @returns {string}
+ */
+function formatRelativeTime(date, now = Date.now()) {
+  const diff = date.getTime() - now;
+  const minutes = Math.round(Math.abs(diff) / 60000);
+
+  let amount;
+  if (minutes < 60) amount = `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  else if (minutes < 48 * 60) amount = `${Math.round(minutes / 60)} hours`;
+  else amount = `${Math.round(minutes / 1440)} days`;
+
+  return diff >= 0 ? `in ${amount}` : `${amount} ago`;
+}
+
+module.exports = {
+  decodeJwt,
+  getTokenExpiry,
+  formatRelativeTime
+};
@@ -1,8 +1,12 @@
+const { EXIT_CODES } = require('./errors');
+
 // Use a singleton pattern to ensure all modules share the same state
 const globalState = {
   options: {
     porcelain: false,
-    debug: false
+    debug: false,
+    json: false,
+    jsonl: false
   }
 };
 
@@ -15,21 +19,91 @@ function initLogger(options) {
 }
 
 /**
- * Log regular messages (suppressed in porcelain mode)
+ * Whether results are printed as JSON (--json or --jsonl)
+ * @returns {boolean}
+ */
+function isStructured() {
+  return Boolean(globalState.options.json || globalState.options.jsonl);
+}
+
+/**
+ * Log regular messages (suppressed in porcelain and JSON modes, and with
+ * --format, whose output is meant to be pasted as-is)
  * @param {...any} args - Arguments to log
  */
 function log(...args) {
-  if (!globalState.options.porcelain) {
+  if (!globalState.options.porcelain && !globalState.options.format && !isStructured()) {
     console.log(...args);
   }
 }
 
 /**
- * Log error messages (always shown, sent to stderr in porcelain mode)
+ * Log error messages (always shown, sent to stderr). In JSON modes the first
+ * line of a report becomes one { error } object and the lines after it (usage,
+ * suggestions) its "hints"; the object is printed when the process exits, with
+ * the code INVALID_INPUT if it exits with that code's exit status and
+ * COMMAND_FAILED otherwise.
  * @param {...any} args - Arguments to log
  */
 function error(...args) {
-  console.error(...args);
+  if (!isStructured()) {
+    console.error(...args);
+    return;
+  }
+
+  const message = args.join(' ').trim();
+  if (!message) return;
+
+  if (!globalState.pendingError) {
+    globalState.pendingError = {
+      message: message.replace(/^(✗\s*)?(Error:\s*)?/, ''),
+      hints: []
+    };
+    process.once('exit', flushError);
+  } else {
+    globalState.pendingError.hints.push(message);
+  }
+}
+
+function flushError(exitCode) {
+  const pending = globalState.pendingError;
+  if (!pending) return;
+
+  globalState.pendingError = null;
+  const { hints, ...details } = pending;
+  const error = {
+    code: exitCode === EXIT_CODES.INVALID_INPUT ? 'INVALID_INPUT' : 'COMMAND_FAILED',
+    ...details
+  };
+  console.error(JSON.stringify({ error: hints.length ? { ...error, hints } : error }));
+}
+
+/**
+ * Log a warning to stderr, prefixed with "Warning:" (a { warning } object in JSON modes)
+ * @param {string} message - Warning text
+ */
+function warn(message) {
+  if (isStructured()) {
+    console.error(JSON.stringify({ warning: { message } }));
+  } else {
+    console.error(`Warning: ${message}`);
+  }
+}
+
+/**
+ * Report a failed operation on stderr: the message as-is, or an
+ * { error: { code, message, ...details } } object in JSON modes
+ * @param {string} code - Machine-readable error code (e.g. "AUTH_FAILED")
+ * @param {string} message - Human-readable message
+ * @param {Object} [details] - Extra fields for the JSON object
+ */
+function failure(code, message, details = {}) {
+  if (isStructured()) {
+    flushError();
+    console.error(JSON.stringify({ error: { code, message, ...details } }));
+  } else {
+    console.error(message);
+  }
 }
 
 /**
@@ -43,11 +117,15 @@ function debug(...args) {
 }
 
 /**
- * Log output (URL/result - always shown in both modes)
- * In porcelain mode, outputs without trailing newline
+ * Log output (URL/result - shown in normal and porcelain modes)
+ * In porcelain mode, outputs without trailing newline. JSON modes print
+ * results with json() instead, so this is suppressed there.
  * @param {...any} args - Arguments to log
  */
 function output(...args) {
+  if (isStructured()) {
+    return;
+  }
   if (globalState.options.porcelain) {
     process.stdout.write(args.join(' '));
   } else {
@@ -56,11 +134,27 @@ function output(...args) {
 }
 
 /**
- * Log help/info messages (to stderr in porcelain mode, stdout otherwise)
+ * Print structured results in JSON modes: --json prints the value as one
+ * pretty-printed document, --jsonl prints one compact line per array element
+ * (or a single line for an object). Does nothing otherwise.
+ * @param {Object|Object[]} data - Result(s) to print
+ */
+function json(data) {
+  if (globalState.options.jsonl) {
+    (Array.isArray(data) ? data : [data]).forEach(record => {
+      process.stdout.write(JSON.stringify(record) + '\n');
+    });
+  } else if (globalState.options.json) {
+    process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+  }
+}
+
+/**
+ * Log help/info messages (to stderr in porcelain and JSON modes, stdout otherwise)
  * @param {...any} args - Arguments to log
  */
 function info(...args) {
-  if (globalState.options.porcelain) {
+  if (globalState.options.porcelain || isStructured()) {
     console.error(...args);
   } else {
     console.log(...args);
@@ -69,9 +163,13 @@ function info(...args) {
 
 module.exports = {
   initLogger,
+  isStructured,
   log,
   error,
+  warn,
+  failure,
   debug,
   output,
+  json,
   info
 };
\ No newline at end of file
@@ -0,0 +1,366 @@
+/**
+ * MIME type detection: magic bytes first, then file extension, then a text heuristic
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Enough bytes to cover every signature below (tar's "ustar" sits at offset 257)
+const HEAD_BYTES = 4100;
+
+const DEFAULT_MIME_TYPE = 'application/octet-stream';
+
+const EXTENSIONS = {
+  // Images
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.bmp': 'image/bmp',
+  '.ico': 'image/vnd.microsoft.icon',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.heic': 'image/heic',
+  '.heif': 'image/heif',
+  '.avif': 'image/avif',
+  '.psd': 'image/vnd.adobe.photoshop',
+  // Video
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/x-m4v',
+  '.mov': 'video/quicktime',
+  '.avi': 'video/avi',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+  '.wmv': 'video/x-ms-wmv',
+  '.flv': 'video/x-flv',
+  '.mpeg': 'video/mpeg',
+  '.mpg': 'video/mpeg',
+  '.3gp': 'video/3gpp',
+  // Audio
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.ogg': 'audio/ogg',
+  '.oga': 'audio/ogg',
+  '.opus': 'audio/opus',
+  '.flac': 'audio/flac',
+  '.mid': 'audio/midi',
+  '.midi': 'audio/midi',
+  // Documents
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+  '.odp': 'application/vnd.oasis.opendocument.presentation',
+  '.rtf': 'application/rtf',
+  '.epub': 'application/epub+zip',
+  '.key': 'application/vnd.apple.keynote',
+  '.pages': 'application/vnd.apple.pages',
+  '.numbers': 'application/vnd.apple.numbers',
+  // Text and code
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.csv': 'text/csv',
+  '.tsv': 'text/tab-separated-values',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.cjs': 'text/javascript',
+  '.ts': 'text/x-typescript',
+  '.jsx': 'text/javascript',
+  '.tsx': 'text/x-typescript',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.toml': 'application/toml',
+  '.ini': 'text/plain',
+  '.sh': 'application/x-sh',
+  '.py': 'text/x-python',
+  '.rb': 'text/x-ruby',
+  '.php': 'application/x-httpd-php',
+  '.java': 'text/x-java-source',
+  '.c': 'text/x-c',
+  '.h': 'text/x-c',
+  '.cpp': 'text/x-c++',
+  '.go': 'text/x-go',
+  '.rs': 'text/x-rust',
+  '.sql': 'application/sql',
+  '.ics': 'text/calendar',
+  '.vcf': 'text/vcard',
+  '.srt': 'application/x-subrip',
+  '.vtt': 'text/vtt',
+  // Archives
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tgz': 'application/gzip',
+  '.bz2': 'application/x-bzip2',
+  '.xz': 'application/x-xz',
+  '.7z': 'application/x-7z-compressed',
+  '.rar': 'application/vnd.rar',
+  '.tar': 'application/x-tar',
+  '.jar': 'application/java-archive',
+  '.apk': 'application/vnd.android.package-archive',
+  '.dmg': 'application/x-apple-diskimage',
+  '.iso': 'application/x-iso9660-image',
+  // Fonts and misc binaries
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.wasm': 'application/wasm',
+  '.sqlite': 'application/vnd.sqlite3',
+  '.db': 'application/vnd.sqlite3',
+  '.exe': 'application/vnd.microsoft.portable-executable'
+};
+
+// Preferred extension per type, for naming content that has no filename
+const PREFERRED_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/tiff': '.tiff',
+  'video/mpeg': '.mpeg',
+  'text/plain': '.txt',
+  'text/markdown': '.md',
+  'text/html': '.html',
+  'text/javascript': '.js',
+  'application/gzip': '.gz',
+  'application/yaml': '.yaml',
+  'audio/ogg': '.ogg',
+  'audio/midi': '.mid'
+};
+
+// ZIP is a container; these extensions say more about a ZIP file than its magic bytes
+const ZIP_CONTAINERS = ['.docx', '.xlsx', '.pptx', '.odt', '.ods', '.odp', '.epub', '.jar', '.apk', '.key', '.pages', '.numbers'];
+
+// ftyp brands (ISO base media) mapped to their MIME types
+const FTYP_BRANDS = {
+  heic: 'image/heic',
+  heix: 'image/heic',
+  heim: 'image/heic',
+  heis: 'image/heic',
+  mif1: 'image/heif',
+  msf1: 'image/heif',
+  avif: 'image/avif',
+  'qt  ': 'video/quicktime',
+  'M4A ': 'audio/mp4',
+  'M4V ': 'video/x-m4v',
+  '3gp4': 'video/3gpp',
+  '3gp5': 'video/3gpp'
+};
+
+const TEXT_APPLICATION_TYPES = [
+  'application/json',
+  'application/xml',
+  'application/yaml',
+  'application/toml',
+  'application/x-sh',
+  'application/x-httpd-php',
+  'application/sql',
+  'application/x-subrip',
+  'image/svg+xml'
+];
+
+/**
+ * Identifies binary formats from their leading "magic" bytes
+ * @param {Buffer} head - Leading bytes of the content
+ * @returns {string|null} MIME type, or null if no signature matched
+ */
+function detectFromMagic(head) {
+  const startsWith = (bytes, offset = 0) =>
+    head.length >= offset + bytes.length && bytes.every((byte, i) => head[offset + i] === byte);
+  const ascii = (offset, length) => head.toString('latin1', offset, offset + length);
+  // Short printable signatures (e.g. "BM", "MZ") are only trusted for content that isn't text
+  const binary = !isTextBuffer(head);
+
+  if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith([0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+  if (binary && ascii(0, 2) === 'BM' && head.length > 14) return 'image/bmp';
+  if (startsWith([0x49, 0x49, 0x2a, 0x00]) || startsWith([0x4d, 0x4d, 0x00, 0x2a])) return 'image/tiff';
+  if (startsWith([0x00, 0x00, 0x01, 0x00])) return 'image/vnd.microsoft.icon';
+  if (binary && ascii(0, 4) === '8BPS') return 'image/vnd.adobe.photoshop';
+
+  if (ascii(0, 4) === 'RIFF') {
+    const format = ascii(8, 4);
+    if (format === 'WEBP') return 'image/webp';
+    if (format === 'WAVE') return 'audio/wav';
+    if (format === 'AVI ') return 'video/avi';
+  }
+
+  if (ascii(4, 4) === 'ftyp') {
+    return FTYP_BRANDS[ascii(8, 4)] || 'video/mp4';
+  }
+
+  if (startsWith([0x1a, 0x45, 0xdf, 0xa3])) {
+    return head.includes('webm', 0, 'latin1') ? 'video/webm' : 'video/x-matroska';
+  }
+
+  if ((binary && ascii(0, 3) === 'ID3') || startsWith([0xff, 0xfb]) || startsWith([0xff, 0xf3]) || startsWith([0xff, 0xf2])) return 'audio/mpeg';
+  if (binary && ascii(0, 4) === 'OggS') return 'audio/ogg';
+  if (binary && ascii(0, 4) === 'fLaC') return 'audio/flac';
+  if (binary && ascii(0, 4) === 'MThd') return 'audio/midi';
+
+  if (ascii(0, 5) === '%PDF-') return 'application/pdf';
+  if (ascii(0, 5) === '{\\rtf') return 'application/rtf';
+  if (startsWith([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) return 'application/msword';
+
+  if (startsWith([0x50, 0x4b, 0x03, 0x04]) || startsWith([0x50, 0x4b, 0x05, 0x06])) return 'application/zip';
+  if (startsWith([0x1f, 0x8b])) return 'application/gzip';
+  if (binary && ascii(0, 3) === 'BZh') return 'application/x-bzip2';
+  if (startsWith([0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00])) return 'application/x-xz';
+  if (startsWith([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])) return 'application/x-7z-compressed';
+  if (ascii(0, 6) === 'Rar!\x1a\x07') return 'application/vnd.rar';
+  if (ascii(257, 5) === 'ustar') return 'application/x-tar';
+
+  if (binary && ascii(0, 4) === 'wOFF') return 'font/woff';
+  if (binary && ascii(0, 4) === 'wOF2') return 'font/woff2';
+  if (startsWith([0x00, 0x01, 0x00, 0x00, 0x00])) return 'font/ttf';
+  if (binary && ascii(0, 4) === 'OTTO') return 'font/otf';
+
+  if (startsWith([0x00, 0x61, 0x73, 0x6d])) return 'application/wasm';
+  if (ascii(0, 16) === 'SQLite format 3\x00') return 'application/vnd.sqlite3';
+  if (binary && ascii(0, 2) === 'MZ') return 'application/vnd.microsoft.portable-executable';
+
+  return null;
+}
+
+/**
+ * Looks up a MIME type by file extension
+ * @param {string} fileName - File name or path
+ * @returns {string|null} MIME type, or null for unknown extensions
+ */
+function lookupExtension(fileName) {
+  if (!fileName) return null;
+  return EXTENSIONS[path.extname(fileName).toLowerCase()] || null;
+}
+
+/**
+ * Returns a file extension for a MIME type
+ * @param {string} mimeType - MIME type
+ * @returns {string} Extension including the dot, or '' if unknown
+ */
+function getExtension(mimeType) {
+  if (PREFERRED_EXTENSIONS[mimeType]) return PREFERRED_EXTENSIONS[mimeType];
+  return Object.keys(EXTENSIONS).find(ext => EXTENSIONS[ext] === mimeType) || '';
+}
+
+/**
+ * Checks whether bytes look like text: no NUL bytes and valid UTF-8
+ * @param {Buffer} head - Leading bytes of the content
+ * @returns {boolean}
+ */
+function isTextBuffer(head) {
+  if (head.length === 0 || head.includes(0)) return false;
+
+  try {
+    // stream: true tolerates a multi-byte character cut off at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Checks whether a MIME type describes text content
+ * @param {string} mimeType - MIME type
+ * @returns {boolean}
+ */
+function isTextMimeType(mimeType) {
+  return mimeType.startsWith('text/') || TEXT_APPLICATION_TYPES.includes(mimeType);
+}
+
+/**
+ * Detects the MIME type of some content
+ * @param {Object} input - What is known about the content
+ * @param {Buffer} [input.head] - Leading bytes of the content
+ * @param {string} [input.fileName] - File name, for the extension lookup
+ * @returns {string} Best MIME type guess (application/octet-stream if unknown)
+ */
+function detectMimeType({ head, fileName } = {}) {
+  const fromExtension = lookupExtension(fileName);
+  const fromMagic = head ? detectFromMagic(head) : null;
+
+  if (fromMagic) {
+    if (fromMagic === 'application/zip' && fileName &&
+      ZIP_CONTAINERS.includes(path.extname(fileName).toLowerCase())) {
+      return fromExtension;
+    }
+    return fromMagic;
+  }
+
+  if (fromExtension) return fromExtension;
+
+  if (head && isTextBuffer(head)) {
+    const text = head.toString('utf8', 0, 512).trimStart();
+    if (/^(<\?xml[^>]*>\s*)?<svg[\s>]/i.test(text)) return 'image/svg+xml';
+    if (/^<!doctype html|^<html[\s>]/i.test(text)) return 'text/html';
+    return 'text/plain';
+  }
+
+  return DEFAULT_MIME_TYPE;
+}
+
+/**
+ * Reads the leading bytes of a file for detection
+ * @param {string} filePath - Path to the file
+ * @param {number} [bytes=HEAD_BYTES] - Maximum bytes to read
+ * @returns {Buffer} Leading bytes
+ */
+function readFileHead(filePath, bytes = HEAD_BYTES) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(bytes);
+    const read = fs.readSync(fd, buffer, 0, bytes, 0);
+    return buffer.subarray(0, read);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Detects the MIME type of a file on disk
+ * @param {string} filePath - Path to the file
+ * @returns {string} MIME type
+ */
+function detectFileMimeType(filePath) {
+  return detectMimeType({ head: readFileHead(filePath), fileName: filePath });
+}
+
+/**
+ * Checks whether a file on disk contains text (by content, not extension)
+ * @param {string} filePath - Path to the file
+ * @returns {boolean}
+ */
+function isTextFile(filePath) {
+  const head = readFileHead(filePath);
+  if (head.length === 0) return true;
+  if (detectFromMagic(head)) return false;
+  return isTextBuffer(head);
+}
+
+module.exports = {
+  HEAD_BYTES,
+  DEFAULT_MIME_TYPE,
+  detectFromMagic,
+  lookupExtension,
+  getExtension,
+  isTextBuffer,
+  isTextMimeType,
+  detectMimeType,
+  readFileHead,
+  detectFileMimeType,
+  isTextFile
+};
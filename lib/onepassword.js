@@ -0,0 +1,289 @@
+/**
+ * 1Password CLI access. Every call to `op` goes through runOp, which runs
+ * $DRPLR_OP_BIN (default "op"), so tests and unusual installs can swap in
+ * another executable.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const { UploadError, AuthError, ValidationError, LocalFileError } = require('./errors');
+const logger = require('./logger');
+
+/**
+ * Splits an op:// secret reference
+ * @param {string} ref - Reference such as "op://Private/Droplr/password"
+ * @returns {Object|null} { vault, item, field }, field being null for an item
+ *   reference ("op://vault/item"); null if ref isn't an op:// reference
+ */
+function parseReference(ref) {
+  const match = /^op:\/\/([^/]+)\/([^/]+)(?:\/(.+))?$/.exec(String(ref || ''));
+  if (!match) return null;
+  return { vault: match[1], item: match[2], field: match[3] || null };
+}
+
+function isReference(value) {
+  return parseReference(value) !== null;
+}
+
+/**
+ * Environment for op: DRPLR_OP_SERVICE_ACCOUNT_TOKEN_FILE is read into
+ * OP_SERVICE_ACCOUNT_TOKEN, which op uses instead of a signed-in account
+ * @returns {Object} Environment variables
+ */
+function opEnv() {
+  const env = { ...process.env };
+  const tokenFile = env.DRPLR_OP_SERVICE_ACCOUNT_TOKEN_FILE;
+
+  if (tokenFile && !env.OP_SERVICE_ACCOUNT_TOKEN) {
+    try {
+      env.OP_SERVICE_ACCOUNT_TOKEN = fs.readFileSync(tokenFile, 'utf8').trim();
+    } catch (error) {
+      throw new LocalFileError(`Cannot read DRPLR_OP_SERVICE_ACCOUNT_TOKEN_FILE (${tokenFile}): ${error.message}`);
+    }
+  }
+
+  return env;
+}
+
+/**
+ * Runs the 1Password CLI
+ * @param {string[]} args - Arguments for op
+ * @returns {string} stdout
+ * @throws {UploadError} If op can't be started or exits non-zero (message is op's stderr)
+ */
+function runOp(args) {
+  const bin = process.env.DRPLR_OP_BIN || 'op';
+  const result = spawnSync(bin, args, {
+    encoding: 'utf8',
+    env: opEnv(),
+    stdio: ['pipe', 'pipe', 'pipe'],
+    maxBuffer: 10 * 1024 * 1024
+  });
+
+  if (result.error) {
+    throw new UploadError(`Failed to run ${bin}: ${result.error.message}`);
+  }
+  if (result.status !== 0) {
+    throw new UploadError((result.stderr || '').trim() || `${bin} exited with code ${result.status}`);
+  }
+
+  return result.stdout;
+}
+
+/**
+ * Picks the username and password out of an `op item get` response
+ * @param {Object} data - Item JSON
+ * @returns {Object|null} { type: 'basic', username, password }, or null if either is missing
+ */
+function extractLogin(data) {
+  const fields = data.fields || [];
+  const usernameField = fields.find(f => f.purpose === 'USERNAME') ||
+    fields.find(f => f.id === 'username' || f.label === 'username' || f.label === 'email');
+  const passwordField = fields.find(f => f.purpose === 'PASSWORD') ||
+    fields.find(f => f.id === 'password');
+
+  if (usernameField?.value && passwordField?.value) {
+    return {
+      type: 'basic',
+      username: usernameField.value,
+      password: passwordField.value
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Reads login credentials from an item
+ * @param {string} item - Item name, ID, or "op://vault/item" reference
+ * @returns {Object} { type: 'basic', username, password }
+ * @throws {UploadError} If op fails or the item has no username/password
+ */
+function getLoginCredentials(item) {
+  const ref = parseReference(item);
+  if (ref && ref.field) {
+    throw new ValidationError(`${item} points at a field; use an item reference such as op://${ref.vault}/${ref.item}`);
+  }
+
+  // Service accounts can't search every vault, so a reference names the vault
+  const args = ref
+    ? ['item', 'get', ref.item, '--vault', ref.vault, '--format', 'json']
+    : ['item', 'get', item, '--format', 'json'];
+  const credentials = extractLogin(JSON.parse(runOp(args)));
+  if (!credentials) {
+    throw new AuthError('1Password item missing username or password fields');
+  }
+  return credentials;
+}
+
+/**
+ * Reads a single secret
+ * @param {string} ref - Field reference such as "op://Private/Droplr/token"
+ * @returns {string} Secret value
+ */
+function readSecret(ref) {
+  return runOp(['read', '--no-newline', ref]);
+}
+
+/**
+ * Lists login items, for picking one interactively
+ * @returns {Object[]} Items from `op item list`
+ */
+function listLoginItems() {
+  return JSON.parse(runOp(['item', 'list', '--categories', 'Login', '--format', 'json']));
+}
+
+// Per-user directory on tmpfs where available, so the cache is gone after a reboot
+function getCacheDir() {
+  if (process.env.XDG_RUNTIME_DIR) {
+    return path.join(process.env.XDG_RUNTIME_DIR, 'drplr');
+  }
+  const user = typeof process.getuid === 'function' ? process.getuid() : os.userInfo().username;
+  return path.join(os.tmpdir(), `drplr-${user}`);
+}
+
+/**
+ * Short-lived cache for 1Password lookups. Entries are encrypted with AES-256-GCM
+ * under a random key kept in a separate file, so the cache file alone reveals
+ * nothing; both live in a 0700 per-user directory.
+ * @param {Object} options - Cache options
+ * @param {number} options.ttl - Entry lifetime in milliseconds
+ * @param {string} [options.dir] - Cache directory (default: getCacheDir())
+ * @returns {Object} Cache with get(key), set(key, value) and clear()
+ */
+function createCache(options) {
+  const dir = options.dir || getCacheDir();
+  const file = path.join(dir, 'op-cache.json');
+  const keyFile = path.join(dir, 'op-cache.key');
+  const id = key => crypto.createHash('sha256').update(key).digest('hex');
+
+  // Never trust a shared or foreign directory with secrets, whether writing
+  // them or reading them back: anyone could have created it first under /tmp
+  function isPrivateDir() {
+    let stat;
+    try {
+      stat = fs.lstatSync(dir);
+    } catch (error) {
+      return false;
+    }
+    return stat.isDirectory() && (stat.mode & 0o077) === 0 &&
+      (typeof process.getuid !== 'function' || stat.uid === process.getuid());
+  }
+
+  function ensureDir() {
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    if (!isPrivateDir()) {
+      throw new UploadError(`Refusing to cache 1Password secrets in ${dir}: it must be private to you`);
+    }
+  }
+
+  // fs.rmSync({ force }) needs Node 14.14
+  function remove(target) {
+    try {
+      fs.unlinkSync(target);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  function readKey(create) {
+    if (fs.existsSync(keyFile)) return Buffer.from(fs.readFileSync(keyFile, 'utf8'), 'base64');
+    if (!create) return null;
+
+    const key = crypto.randomBytes(32);
+    fs.writeFileSync(keyFile, key.toString('base64'), { mode: 0o600 });
+    return key;
+  }
+
+  function load() {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  function save(entries) {
+    fs.writeFileSync(file, JSON.stringify(entries), { mode: 0o600 });
+  }
+
+  return {
+    get(key) {
+      if (!isPrivateDir()) return null;
+
+      const entry = load()[id(key)];
+      if (!entry || entry.expires <= Date.now()) return null;
+
+      try {
+        const [iv, tag, encrypted] = entry.value.split(':').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', readKey(false), iv);
+        decipher.setAuthTag(tag);
+        return JSON.parse(Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8'));
+      } catch (error) {
+        return null;
+      }
+    },
+
+    set(key, value) {
+      ensureDir();
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', readKey(true), iv);
+      const encrypted = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+      // Drop expired entries while we're writing anyway
+      const now = Date.now();
+      const entries = Object.fromEntries(Object.entries(load()).filter(([, entry]) => entry.expires > now));
+      entries[id(key)] = {
+        expires: now + options.ttl,
+        value: [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':')
+      };
+      save(entries);
+    },
+
+    clear() {
+      remove(file);
+      remove(keyFile);
+    }
+  };
+}
+
+/**
+ * Returns a cached value, or computes and caches it
+ * @param {Object|null} cache - Cache from createCache, or null when caching is off
+ * @param {string} key - Cache key
+ * @param {Function} lookup - Produces the value on a miss
+ * @returns {*} The value
+ */
+function cached(cache, key, lookup) {
+  if (!cache) return lookup();
+
+  const hit = cache.get(key);
+  if (hit !== null) {
+    logger.debug(`Using cached 1Password lookup for ${key}`);
+    return hit;
+  }
+
+  const value = lookup();
+  try {
+    cache.set(key, value);
+  } catch (error) {
+    logger.debug('Could not cache 1Password lookup:', error.message);
+  }
+  return value;
+}
+
+module.exports = {
+  parseReference,
+  isReference,
+  runOp,
+  extractLogin,
+  getLoginCredentials,
+  readSecret,
+  listLoginItems,
+  getCacheDir,
+  createCache,
+  cached
+};
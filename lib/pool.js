@@ -0,0 +1,78 @@
+/**
+ * Small promise pool for running API work in parallel
+ */
+
+/**
+ * Creates a limiter that spaces out calls to at most `perSecond` starts per second
+ * @param {number|null} perSecond - Maximum starts per second (falsy for no limit)
+ * @returns {Function} Async function that resolves when the caller may start
+ */
+function createRateLimiter(perSecond) {
+  const interval = perSecond ? 1000 / perSecond : 0;
+  let nextSlot = 0;
+
+  return function waitForSlot() {
+    if (!interval) return Promise.resolve();
+
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + interval;
+
+    const delay = slot - now;
+    return delay > 0 ? new Promise(resolve => setTimeout(resolve, delay)) : Promise.resolve();
+  };
+}
+
+/**
+ * Runs a worker over items with bounded concurrency.
+ * Results are returned in input order regardless of completion order.
+ * @param {Array} items - Items to process
+ * @param {Function} worker - async (item, index) => result
+ * @param {Object} [options] - Pool options
+ * @param {number} [options.concurrency=1] - Maximum workers running at once
+ * @param {number} [options.rateLimit] - Maximum worker starts per second
+ * @param {boolean} [options.failFast=false] - Stop starting new work after the first failure
+ * @returns {Promise<Object[]>} { result } or { error } per item; items never started
+ *   because of failFast get { error, skipped: true }
+ */
+async function runPool(items, worker, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || 1);
+  const waitForSlot = createRateLimiter(options.rateLimit);
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  async function runWorker() {
+    while (next < items.length) {
+      const index = next++;
+
+      await waitForSlot();
+
+      // Checked after the wait, since a failure may land while this worker waits for its slot
+      if (failed && options.failFast) {
+        results[index] = { error: new Error('Skipped after an earlier failure'), skipped: true };
+        continue;
+      }
+
+      try {
+        results[index] = { result: await worker(items[index], index) };
+      } catch (error) {
+        failed = true;
+        results[index] = { error };
+      }
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+    workers.push(runWorker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
+
+module.exports = {
+  createRateLimiter,
+  runPool
+};
@@ -0,0 +1,126 @@
+/**
+ * Upload progress reporting on stderr.
+ * Renders a redrawn bar on a TTY and periodic plain lines otherwise (e.g. CI logs).
+ */
+
+const { Transform } = require('stream');
+const { formatSize } = require('./drop-utils');
+
+const BAR_WIDTH = 24;
+const TTY_INTERVAL = 100;
+const PLAIN_INTERVAL = 5000;
+
+/**
+ * Wraps a readable stream, reporting each chunk's size as it is consumed
+ * @param {stream.Readable} source - Stream to track
+ * @param {Function} onBytes - Called with the byte count of each chunk
+ * @returns {stream.Readable} Stream to hand to the API instead of `source`
+ */
+function trackStream(source, onBytes) {
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      onBytes(chunk.length);
+      callback(null, chunk);
+    }
+  });
+
+  source.on('error', error => counter.destroy(error));
+  return source.pipe(counter);
+}
+
+function formatDuration(seconds) {
+  if (!isFinite(seconds)) return '--:--';
+  const s = Math.round(seconds);
+  const minutes = Math.floor(s / 60);
+  return `${minutes}:${String(s % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Creates a progress reporter
+ * @param {Object} options - Reporter options
+ * @param {number} [options.total] - Total bytes expected (omit when unknown)
+ * @param {string} options.label - Text shown next to the bar
+ * @param {stream.Writable} [options.stream=process.stderr] - Where to render
+ * @param {boolean} [options.tty] - Redraw a bar in place (defaults to stream.isTTY)
+ * @returns {Object} Reporter with add(bytes), log(line) and finish()
+ */
+function createProgress(options) {
+  const stream = options.stream || process.stderr;
+  const tty = options.tty !== undefined ? options.tty : Boolean(stream.isTTY);
+  const total = options.total || 0;
+  const startedAt = Date.now();
+  let sent = 0;
+  let lastRender = 0;
+  let printedPlain = false;
+  let drawn = false;
+
+  function describe() {
+    const elapsed = (Date.now() - startedAt) / 1000;
+    const rate = elapsed > 0 ? sent / elapsed : 0;
+    const percent = total > 0 ? Math.min(100, Math.floor((sent / total) * 100)) : 0;
+    const eta = rate > 0 ? (total - sent) / rate : Infinity;
+
+    // Unknown totals (e.g. stdin) can only show what has been sent so far
+    if (!total) {
+      return { percent: 0, text: `${formatSize(sent)} ${formatSize(Math.round(rate))}/s` };
+    }
+
+    return {
+      percent,
+      text: `${percent}% ${formatSize(sent)}/${formatSize(total)} ${formatSize(Math.round(rate))}/s ETA ${formatDuration(eta)}`
+    };
+  }
+
+  function clearLine() {
+    if (tty && drawn) {
+      stream.write('\r\x1b[K');
+      drawn = false;
+    }
+  }
+
+  function render(force) {
+    const now = Date.now();
+    if (!force && now - lastRender < (tty ? TTY_INTERVAL : PLAIN_INTERVAL)) return;
+    lastRender = now;
+
+    const { percent, text } = describe();
+    if (tty) {
+      const filled = Math.round((percent / 100) * BAR_WIDTH);
+      const bar = total ? `[${'#'.repeat(filled)}${'-'.repeat(BAR_WIDTH - filled)}] ` : '';
+      stream.write(`\r\x1b[K${bar}${text} ${options.label}`);
+      drawn = true;
+    } else {
+      stream.write(`${options.label}: ${text}\n`);
+      printedPlain = true;
+    }
+  }
+
+  // Plain mode waits a full interval before the first line so quick uploads stay quiet
+  if (!tty) lastRender = startedAt;
+
+  return {
+    add(bytes) {
+      sent += bytes;
+      render(false);
+    },
+
+    log(line) {
+      clearLine();
+      stream.write(`${line}\n`);
+      if (tty) render(true);
+    },
+
+    finish() {
+      if (tty) {
+        clearLine();
+      } else if (printedPlain) {
+        render(true);
+      }
+    }
+  };
+}
+
+module.exports = {
+  trackStream,
+  createProgress
+};
@@ -0,0 +1,109 @@
+/**
+ * Retries for transient API failures (dropped connections, 5xx, 429) with
+ * exponential backoff and jitter
+ */
+
+const logger = require('./logger');
+
+// Failures to reach the API at all, as reported by Node on the underlying HTTP error
+const NETWORK_ERROR_CODES = [
+  'ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ENOTFOUND', 'EAI_AGAIN',
+  'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE'
+];
+
+const BASE_DELAY = 500;
+const MAX_DELAY = 30000;
+
+// Longest Retry-After worth waiting for; beyond it the 429 is reported instead
+const MAX_RETRY_AFTER = 60;
+
+/**
+ * Reads a Retry-After header (seconds or an HTTP date)
+ * @param {Object} [headers] - Response headers
+ * @returns {number|null} Seconds to wait, or null if not given
+ */
+function getRetryAfter(headers = {}) {
+  const value = headers['retry-after'];
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Whether a failed request may succeed if sent again: the API was unreachable,
+ * answered 5xx, or rate limited us (works on raw SDK errors and parsed ones)
+ * @param {Error} error - The failure
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  const status = error.response?.status || error.statusCode;
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return NETWORK_ERROR_CODES.includes(error.httpError?.code || error.code) || error.name === 'NetworkError';
+}
+
+/**
+ * How long to wait before the next attempt: the server's Retry-After when it
+ * gave one, else exponential backoff with jitter (half fixed, half random, so
+ * parallel uploads don't retry in lockstep)
+ * @param {number} attempt - Attempts made so far (1 after the first failure)
+ * @param {Error} error - The failure
+ * @param {Function} [random=Math.random] - Source of jitter
+ * @returns {number|null} Milliseconds, or null if the server asks for too long a wait
+ */
+function getRetryDelay(attempt, error, random = Math.random) {
+  const retryAfter = error.retryAfter ?? getRetryAfter(error.response?.headers);
+  if (retryAfter !== null && retryAfter !== undefined) {
+    return retryAfter <= MAX_RETRY_AFTER ? retryAfter * 1000 : null;
+  }
+
+  const ceiling = Math.min(MAX_DELAY, BASE_DELAY * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + random() * ceiling / 2);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Calls fn until it succeeds, it fails with a non-transient error, or the
+ * retries run out (the last error is then thrown)
+ * @param {Function} fn - Called with the attempt number (0 first); returns a promise
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {string} [options.label] - What is being retried, for messages
+ * @param {Function} [options.shouldRetry=isTransientError] - Decides whether an error is worth retrying
+ * @param {Function} [options.wait] - Waits the given milliseconds (for tests)
+ * @returns {Promise<*>} fn's result
+ */
+async function withRetry(fn, options) {
+  const shouldRetry = options.shouldRetry || isTransientError;
+  const wait = options.wait || sleep;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const delay = attempt < options.retries && shouldRetry(error) ? getRetryDelay(attempt + 1, error) : null;
+      if (delay === null) {
+        throw error;
+      }
+
+      const reason = error.message || error.httpError?.code || error.code || 'unknown error';
+      logger.warn(`${options.label || 'Request'} failed (${reason}); retrying in ${(delay / 1000).toFixed(1)}s ` +
+        `(${attempt + 1}/${options.retries})`);
+      await wait(delay);
+    }
+  }
+}
+
+module.exports = {
+  NETWORK_ERROR_CODES,
+  getRetryAfter,
+  isTransientError,
+  getRetryDelay,
+  withRetry
+};
@@ -0,0 +1,351 @@
+/**
+ * Pluggable secret storage for credentials.
+ * Backends share one interface: get(key), set(key, value) and delete(key),
+ * where keys look like "<profile>/<field>" (e.g. "work/token").
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const { UploadError, AuthError, ValidationError } = require('./errors');
+
+const SERVICE = 'drplr';
+
+// scrypt cost parameters for the file backend (~32 MB, well under a second)
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+/**
+ * Checks whether an executable is on PATH
+ * @param {string} command - Executable name
+ * @returns {boolean}
+ */
+function commandExists(command) {
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  return dirs.some(dir => {
+    try {
+      fs.accessSync(path.join(dir, command), fs.constants.X_OK);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Runs a secret helper, returning stdout or throwing with its stderr
+ * @param {string} command - Executable name
+ * @param {string[]} args - Arguments
+ * @param {string} [input] - Data written to stdin
+ * @returns {Object} { status, stdout }
+ */
+function run(command, args, input) {
+  const result = spawnSync(command, args, {
+    input: input || '',
+    encoding: 'utf8',
+    env: process.env,
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+
+  if (result.error) {
+    throw new UploadError(`Failed to run ${command}: ${result.error.message}`);
+  }
+
+  return result;
+}
+
+function failed(command, result) {
+  const detail = (result.stderr || '').trim() || `exit code ${result.status}`;
+  return new UploadError(`${command} failed: ${detail}`);
+}
+
+/**
+ * Secret Service backend (GNOME Keyring, KWallet, KeePassXC) via libsecret's secret-tool
+ * @returns {Object} Secret store
+ */
+function createSecretToolStore() {
+  const attributes = key => ['service', SERVICE, 'account', key];
+
+  return {
+    name: 'secret-tool',
+
+    // secret-tool talks to the keyring over the session D-Bus, absent in e.g. plain SSH sessions
+    isAvailable() {
+      return commandExists('secret-tool') && Boolean(process.env.DBUS_SESSION_BUS_ADDRESS);
+    },
+
+    get(key) {
+      const result = run('secret-tool', ['lookup', ...attributes(key)]);
+      // secret-tool exits non-zero with no output when nothing is stored
+      if (result.status !== 0) {
+        if ((result.stderr || '').trim()) throw failed('secret-tool', result);
+        return null;
+      }
+      return result.stdout;
+    },
+
+    set(key, value) {
+      const result = run('secret-tool', ['store', `--label=${SERVICE} ${key}`, ...attributes(key)], value);
+      if (result.status !== 0) throw failed('secret-tool', result);
+    },
+
+    delete(key) {
+      run('secret-tool', ['clear', ...attributes(key)]);
+    }
+  };
+}
+
+/**
+ * pass (the standard unix password manager) backend, storing entries under drplr/
+ * @returns {Object} Secret store
+ */
+function createPassStore() {
+  const entry = key => `${SERVICE}/${key}`;
+
+  return {
+    name: 'pass',
+
+    isAvailable() {
+      const storeDir = process.env.PASSWORD_STORE_DIR || path.join(os.homedir(), '.password-store');
+      return commandExists('pass') && fs.existsSync(storeDir);
+    },
+
+    get(key) {
+      const result = run('pass', ['show', entry(key)]);
+      if (result.status !== 0) {
+        if (/not in the password store/.test(result.stderr || '')) return null;
+        throw failed('pass', result);
+      }
+      // pass appends a newline to single-line entries
+      return result.stdout.replace(/\n$/, '');
+    },
+
+    set(key, value) {
+      const result = run('pass', ['insert', '--multiline', '--force', entry(key)], value);
+      if (result.status !== 0) throw failed('pass', result);
+    },
+
+    delete(key) {
+      run('pass', ['rm', '--force', entry(key)]);
+    }
+  };
+}
+
+/**
+ * Name of the environment variable holding a secret, e.g. "work/token" -> DRPLR_SECRET_WORK_TOKEN
+ * @param {string} key - Secret key
+ * @returns {string} Variable name
+ */
+function secretEnvName(key) {
+  return `DRPLR_SECRET_${key.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+}
+
+/**
+ * Read-only backend that takes secrets from DRPLR_SECRET_* environment variables,
+ * for CI and containers where secrets are injected by the platform
+ * @param {Object} [env=process.env] - Environment to read
+ * @returns {Object} Secret store
+ */
+function createEnvStore(env = process.env) {
+  return {
+    name: 'env',
+
+    isAvailable() {
+      return true;
+    },
+
+    get(key) {
+      return env[secretEnvName(key)] || null;
+    },
+
+    // Nothing can be written; accept the value only if the variable already provides it
+    set(key, value) {
+      const name = secretEnvName(key);
+      if (!env[name] || (value !== undefined && env[name] !== value)) {
+        throw new ValidationError(`The env secret store is read-only; export ${name} instead`);
+      }
+    },
+
+    delete() {}
+  };
+}
+
+function deriveKey(passphrase, kdf) {
+  return crypto.scryptSync(passphrase, Buffer.from(kdf.salt, 'base64'), 32, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: SCRYPT_MAXMEM
+  });
+}
+
+/**
+ * Reads a passphrase from the terminal without echoing it
+ * @param {string} question - Prompt text
+ * @returns {string|null} Passphrase, or null without a terminal
+ */
+function promptPassphrase(question) {
+  if (!process.stdin.isTTY) return null;
+
+  process.stderr.write(question);
+  const result = spawnSync('sh', ['-c', 'stty -echo; IFS= read -r p; stty echo; printf %s "$p"'], {
+    stdio: ['inherit', 'pipe', 'inherit'],
+    encoding: 'utf8'
+  });
+  process.stderr.write('\n');
+
+  return result.status === 0 ? result.stdout : null;
+}
+
+/**
+ * Passphrase-protected file backend: AES-256-GCM with a key derived by scrypt
+ * @param {Object} options - Store options
+ * @param {string} options.file - Path of the encrypted secrets file
+ * @param {Function} [options.getPassphrase] - Returns the passphrase; receives
+ *   { create } when a new file is about to be written
+ * @returns {Object} Secret store
+ */
+function createFileStore(options) {
+  const { file } = options;
+  const getPassphrase = options.getPassphrase || defaultPassphrase;
+  let cachedKey = null;
+
+  function load() {
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  function keyFor(data) {
+    if (!cachedKey) {
+      const passphrase = getPassphrase({ create: !data.secrets || Object.keys(data.secrets).length === 0 });
+      if (!passphrase) {
+        throw new AuthError('A passphrase is needed to unlock stored credentials (set DRPLR_PASSPHRASE or run in a terminal)');
+      }
+      cachedKey = deriveKey(passphrase, data.kdf);
+    }
+    return cachedKey;
+  }
+
+  function decryptEntry(data, entry) {
+    const [iv, tag, encrypted] = entry.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', keyFor(data), iv);
+    decipher.setAuthTag(tag);
+
+    try {
+      return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    } catch (error) {
+      cachedKey = null;
+      throw new AuthError('Wrong passphrase for stored credentials');
+    }
+  }
+
+  function encryptEntry(data, value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', keyFor(data), iv);
+    const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+  }
+
+  function save(data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2), { mode: 0o600 });
+  }
+
+  return {
+    name: 'file',
+
+    isAvailable() {
+      return true;
+    },
+
+    get(key) {
+      const data = load();
+      if (!data || !data.secrets[key]) return null;
+      return decryptEntry(data, data.secrets[key]);
+    },
+
+    set(key, value) {
+      const data = load() || {
+        version: 1,
+        kdf: { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...SCRYPT_PARAMS },
+        secrets: {}
+      };
+
+      // Check the passphrase against an existing entry so one file never mixes keys
+      const existing = Object.values(data.secrets)[0];
+      if (existing) decryptEntry(data, existing);
+
+      data.secrets[key] = encryptEntry(data, value);
+      save(data);
+    },
+
+    delete(key) {
+      const data = load();
+      if (!data || !data.secrets[key]) return;
+      delete data.secrets[key];
+
+      // Nothing left to protect; don't leave the salt and KDF parameters lying around
+      if (Object.keys(data.secrets).length === 0) {
+        fs.unlinkSync(file);
+      } else {
+        save(data);
+      }
+    }
+  };
+}
+
+function defaultPassphrase({ create }) {
+  if (process.env.DRPLR_PASSPHRASE) return process.env.DRPLR_PASSPHRASE;
+
+  const passphrase = promptPassphrase(create ? 'New passphrase for drplr credentials: ' : 'drplr passphrase: ');
+  if (passphrase && create && promptPassphrase('Repeat passphrase: ') !== passphrase) {
+    throw new ValidationError('Passphrases do not match');
+  }
+  return passphrase;
+}
+
+const STORE_NAMES = ['secret-tool', 'pass', 'env', 'file'];
+
+/**
+ * Creates a secret store by name
+ * @param {string} name - One of STORE_NAMES
+ * @param {Object} options - Store options
+ * @param {string} options.file - Secrets file used by the file backend
+ * @returns {Object} Secret store
+ */
+function getSecretStore(name, options) {
+  switch (name) {
+    case 'secret-tool': return createSecretToolStore();
+    case 'pass': return createPassStore();
+    case 'env': return createEnvStore();
+    case 'file': return createFileStore(options);
+    default:
+      throw new ValidationError(`Unknown secret store "${name}" (choose from ${STORE_NAMES.join(', ')})`);
+  }
+}
+
+/**
+ * Picks the best available writable store: the OS keyring, then pass, then the file
+ * @param {Object} options - Store options (see getSecretStore)
+ * @returns {Object} Secret store
+ */
+function detectSecretStore(options) {
+  for (const name of ['secret-tool', 'pass']) {
+    const store = getSecretStore(name, options);
+    if (store.isAvailable()) return store;
+  }
+  return getSecretStore('file', options);
+}
+
+module.exports = {
+  STORE_NAMES,
+  secretEnvName,
+  createSecretToolStore,
+  createPassStore,
+  createEnvStore,
+  createFileStore,
+  getSecretStore,
+  detectSecretStore
+};
@@ -0,0 +1,98 @@
+/**
+ * Stream helpers for uploads that don't come from a file on disk
+ */
+
+const crypto = require('crypto');
+const { PassThrough, Transform } = require('stream');
+
+/**
+ * Reads the first bytes of a stream without losing them.
+ * Resolves once `size` bytes are buffered or the stream ends, with a
+ * replacement stream that replays those bytes followed by the rest.
+ * @param {stream.Readable} source - Stream to peek at (e.g. process.stdin)
+ * @param {number} size - Number of bytes wanted
+ * @returns {Promise<Object>} { head: Buffer, stream: stream.Readable }
+ */
+function peekStream(source, size) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let length = 0;
+
+    function cleanup() {
+      source.removeListener('data', onData);
+      source.removeListener('end', onEnd);
+      source.removeListener('error', onError);
+    }
+
+    function finish(ended) {
+      cleanup();
+      source.pause();
+
+      const head = Buffer.concat(chunks);
+      const stream = new PassThrough();
+      stream.write(head);
+
+      if (ended) {
+        stream.end();
+      } else {
+        source.on('error', error => stream.destroy(error));
+        source.pipe(stream);
+      }
+
+      resolve({ head, stream });
+    }
+
+    function onData(chunk) {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+      length += chunk.length;
+      if (length >= size) finish(false);
+    }
+
+    function onEnd() {
+      finish(true);
+    }
+
+    function onError(error) {
+      cleanup();
+      reject(error);
+    }
+
+    source.on('data', onData);
+    source.on('end', onEnd);
+    source.on('error', onError);
+  });
+}
+
+/**
+ * Hashes a stream's content as it passes through, for content that can only
+ * be read once (stdin)
+ * @param {stream.Readable} source - Stream to hash
+ * @param {string} [algorithm='sha256'] - Hash algorithm
+ * @returns {Object} { stream, digest() }; digest() gives the hex digest once
+ *   the stream has ended, or null before then
+ */
+function hashStream(source, algorithm = 'sha256') {
+  const hash = crypto.createHash(algorithm);
+  let digest = null;
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      digest = hash.digest('hex');
+      callback();
+    }
+  });
+
+  source.on('error', error => stream.destroy(error));
+  source.pipe(stream);
+
+  return { stream, digest: () => digest };
+}
+
+module.exports = {
+  peekStream,
+  hashStream
+};
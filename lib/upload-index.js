@@ -0,0 +1,111 @@
+/**
+ * Index of uploaded file content by SHA-256, kept per profile, so uploading
+ * the same bytes again can reuse the drop instead of creating another. It is
+ * off when credentials come from the environment: those may be for any
+ * account, and nothing is written to disk in that mode.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getActiveProfile, hasEnvCredentials } = require('./config');
+const { getDataDir } = require('./history');
+const logger = require('./logger');
+
+/**
+ * Path of the index file (resolved on each call, so XDG_DATA_HOME can change)
+ * @returns {string}
+ */
+function getUploadIndexFile() {
+  return path.join(getDataDir(), 'uploads.json');
+}
+
+function readIndex() {
+  try {
+    return JSON.parse(fs.readFileSync(getUploadIndexFile(), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.debug('Ignoring unreadable upload index:', error.message);
+    }
+    return {};
+  }
+}
+
+function writeIndex(index) {
+  const file = getUploadIndexFile();
+  const temp = `${file}.${process.pid}.tmp`;
+
+  try {
+    fs.mkdirSync(getDataDir(), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(temp, JSON.stringify(index, null, 2), { mode: 0o600 });
+    fs.renameSync(temp, file);
+  } catch (error) {
+    // Losing the index only costs a re-upload later, so never fail the command for it
+    logger.debug('Could not write upload index:', error.message);
+  }
+}
+
+/**
+ * Looks up the drop last uploaded with this content
+ * @param {string} hash - SHA-256 of the content
+ * @param {string} [profile] - Profile to look in (default: the active one)
+ * @returns {Object|null} { code, url, uploadedAt, privacy, passwordProtected }
+ */
+function findUpload(hash, profile = getActiveProfile()) {
+  if (hasEnvCredentials()) {
+    return null;
+  }
+
+  const uploads = readIndex()[profile] || {};
+  return uploads[hash] || null;
+}
+
+/**
+ * Records an uploaded drop as the one to reuse for its content, with the
+ * protection it was uploaded with: API responses don't always say whether a
+ * drop has a password, so reuse is decided from what was asked for
+ * @param {string} hash - SHA-256 of the content
+ * @param {Object} drop - Created drop, with the privacy and passwordProtected it was uploaded with
+ * @param {string} [profile] - Profile it was uploaded with (default: the active one)
+ */
+function recordUpload(hash, drop, profile = getActiveProfile()) {
+  if (!hash || !drop.code || hasEnvCredentials()) {
+    return;
+  }
+
+  const index = readIndex();
+  index[profile] = {
+    ...index[profile],
+    [hash]: {
+      code: drop.code,
+      url: drop.shortlink || drop.link || drop.url || null,
+      uploadedAt: new Date().toISOString(),
+      privacy: String(drop.privacy || 'PUBLIC').toUpperCase(),
+      passwordProtected: Boolean(drop.passwordProtected)
+    }
+  };
+  writeIndex(index);
+}
+
+/**
+ * Drops an entry whose drop no longer exists
+ * @param {string} hash - SHA-256 of the content
+ * @param {string} [profile] - Profile to remove it from (default: the active one)
+ */
+function forgetUpload(hash, profile = getActiveProfile()) {
+  if (hasEnvCredentials()) {
+    return;
+  }
+
+  const index = readIndex();
+  if (index[profile] && index[profile][hash]) {
+    delete index[profile][hash];
+    writeIndex(index);
+  }
+}
+
+module.exports = {
+  getUploadIndexFile,
+  findUpload,
+  recordUpload,
+  forgetUpload
+};
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+// Stand-in for the 1Password CLI, used by pointing DRPLR_OP_BIN at this file.
+// Items come from the JSON file in FAKE_OP_ITEMS: { "<title>": { vault, fields } }.
+// Each invocation's arguments are appended to FAKE_OP_LOG when it is set, and
+// FAKE_OP_SERVICE_ACCOUNT_TOKEN makes it refuse to run without that token.
+const fs = require('fs');
+
+const args = process.argv.slice(2);
+const items = JSON.parse(fs.readFileSync(process.env.FAKE_OP_ITEMS, 'utf8'));
+
+if (process.env.FAKE_OP_LOG) {
+  fs.appendFileSync(process.env.FAKE_OP_LOG, JSON.stringify(args) + '\n');
+}
+
+function fail(message) {
+  process.stderr.write(`[ERROR] ${message}\n`);
+  process.exit(1);
+}
+
+function option(name) {
+  const index = args.indexOf(name);
+  return index === -1 ? null : args[index + 1];
+}
+
+function findItem(title, vault) {
+  const item = items[title];
+  if (!item || (vault && item.vault !== vault)) fail(`"${title}" isn't an item`);
+  return item;
+}
+
+const required = process.env.FAKE_OP_SERVICE_ACCOUNT_TOKEN;
+if (required && process.env.OP_SERVICE_ACCOUNT_TOKEN !== required) {
+  fail('You are not currently signed in');
+}
+
+if (args[0] === 'item' && args[1] === 'get') {
+  const item = findItem(args[2], option('--vault'));
+  process.stdout.write(JSON.stringify({ title: args[2], fields: item.fields }));
+} else if (args[0] === 'item' && args[1] === 'list') {
+  process.stdout.write(JSON.stringify(Object.keys(items).map(title => ({ title, additional_information: '' }))));
+} else if (args[0] === 'read') {
+  const match = /^op:\/\/([^/]+)\/([^/]+)\/(.+)$/.exec(args[args.length - 1]);
+  if (!match) fail('invalid secret reference');
+  const item = findItem(match[2], match[1]);
+  const field = item.fields.find(f => [f.id, f.label, (f.purpose || '').toLowerCase()].includes(match[3]));
+  if (!field) fail(`"${match[3]}" isn't a field in "${match[2]}"`);
+  process.stdout.write(field.value + (args.includes('--no-newline') ? '' : '\n'));
+} else {
+  fail(`unknown command "${args.join(' ')}"`);
+}
@@ -4,6 +4,7 @@
  */
 
 const { spawn } = require('child_process');
+const fs = require('fs');
 const os = require('os');
 const path = require('path');
 
@@ -13,14 +14,30 @@ const CLI_TIMEOUT = 10000;
 // Use an isolated config dir so tests never trigger real auth (e.g. 1Password)
 const TEST_CONFIG_HOME = path.join(os.tmpdir(), 'drplr-test-config');
 
+// ...and an isolated data dir so nothing lands in the developer's drop history
+const TEST_DATA_HOME = path.join(os.tmpdir(), 'drplr-test-data');
+const HISTORY_FILE = path.join(TEST_DATA_HOME, 'drplr', 'history.jsonl');
+
+// Likewise drop any DRPLR_* credentials exported in the developer's shell
+const BASE_ENV = {
+  ...Object.fromEntries(Object.entries(process.env).filter(([name]) => !name.startsWith('DRPLR_'))),
+  XDG_DATA_HOME: TEST_DATA_HOME
+};
+
 function runCLI(args, options = {}) {
+  const { input, ...spawnOptions } = options;
+
   return new Promise((resolve) => {
     const child = spawn('node', ['./drplr.js', ...args], {
       cwd: path.join(__dirname, '..'),
-      env: { ...process.env, XDG_CONFIG_HOME: TEST_CONFIG_HOME },
-      ...options
+      env: { ...BASE_ENV, XDG_CONFIG_HOME: TEST_CONFIG_HOME },
+      ...spawnOptions
     });
 
+    if (input !== undefined) {
+      child.stdin.end(input);
+    }
+
     let stdout = '';
     let stderr = '';
 
@@ -80,21 +97,22 @@ describe('CLI Integration Tests', () => {
     test('should show error for missing URL in link command', async () => {
       const result = await runCLI(['link']);
       
-      expect(result.code).toBe(1);
+      expect(result.code).toBe(2);
       expect(result.stderr).toContain('Please specify a URL to shorten');
     });
 
     test('should show error for missing text in note command', async () => {
-      const result = await runCLI(['note']);
+      // Empty stdin: an open pipe would be read as note text
+      const result = await runCLI(['note'], { stdio: ['ignore', 'pipe', 'pipe'] });
       
-      expect(result.code).toBe(1);
+      expect(result.code).toBe(2);
       expect(result.stderr).toContain('Please specify text content or use --file option');
     });
 
     test('should show error for invalid link arguments', async () => {
       const result = await runCLI(['link', '--private']);
       
-      expect(result.code).toBe(1);
+      expect(result.code).toBe(2);
       expect(result.stderr).toContain('Please specify a URL to shorten');
     });
   });
@@ -113,7 +131,7 @@ describe('CLI Integration Tests', () => {
     });
 
     test('should preserve command order with global flags', async () => {
-      const result = await runCLI(['--debug', 'note']);
+      const result = await runCLI(['--debug', 'note'], { stdio: ['ignore', 'pipe', 'pipe'] });
       expect(result.stderr).toContain('Please specify text content or use --file option');
     });
   });
@@ -151,18 +169,62 @@ describe('CLI Integration Tests', () => {
       }
     });
 
+    test('should recognize list command', async () => {
+      const result = await runCLI(['list']);
+
+      // Without auth configured the list fails at the auth check
+      if (result.code !== 0) {
+        expect(result.stderr).toContain('No authentication configured');
+      }
+    });
+
+    test('should reject invalid list options', async () => {
+      const result = await runCLI(['list', '--sort', 'size']);
+
+      expect(result.code).toBe(2);
+      expect(result.stderr).toContain('Invalid sort "size"');
+    });
+
+    test('should show error for missing code in info command', async () => {
+      const result = await runCLI(['info']);
+
+      expect(result.code).toBe(2);
+      expect(result.stderr).toContain('Please specify a drop code or URL');
+    });
+
+    test('should show error for update without changes', async () => {
+      const result = await runCLI(['update', 'AbCd12']);
+
+      expect(result.code).toBe(2);
+      expect(result.stderr).toContain('Nothing to update');
+    });
+
+    test('should show error for delete without targets', async () => {
+      const result = await runCLI(['delete']);
+
+      expect(result.code).toBe(2);
+      expect(result.stderr).toContain('Please specify drop codes');
+    });
+
+    test('should reject invalid delete age filter', async () => {
+      const result = await runCLI(['delete', '--older-than', 'soon']);
+
+      expect(result.code).toBe(2);
+      expect(result.stderr).toContain('Invalid --older-than value');
+    });
+
     test('should recognize auth command', async () => {
       const result = await runCLI(['auth']);
       
-      expect(result.code).toBe(1);
-      expect(result.stderr).toContain('Usage: drplr auth [token|login|1password]');
+      expect(result.code).toBe(2);
+      expect(result.stderr).toContain('Usage: drplr auth [token|login|1password|migrate|status|logout]');
     });
 
     test('should recognize config command (alias for auth)', async () => {
       const result = await runCLI(['config']);
       
-      expect(result.code).toBe(1);
-      expect(result.stderr).toContain('Usage: drplr auth [token|login|1password]');
+      expect(result.code).toBe(2);
+      expect(result.stderr).toContain('Usage: drplr auth [token|login|1password|migrate|status|logout]');
     });
   });
 
@@ -181,6 +243,279 @@ describe('CLI Integration Tests', () => {
       expect(result.code).not.toBe(0);
       expect(result.stderr).toMatch(/File not found|No authentication configured/);
     });
+
+    test('should read note text piped to stdin', async () => {
+      const result = await runCLI(['note', '--code', '--lang', 'diff'], { input: '+added line\n' });
+
+      expect(result.code).not.toBe(0);
+      expect(result.stderr).not.toContain('Please specify text content');
+      expect(result.stderr).toContain('No authentication configured');
+    });
+
+    test('should reject blank note text on stdin', async () => {
+      const result = await runCLI(['note'], { input: '  \n' });
+
+      expect(result.code).toBe(2);
+      expect(result.stderr).toContain('Please specify text content or use --file option');
+    });
+
+    test('should require a terminal for --edit', async () => {
+      const result = await runCLI(['note', '--edit'], { input: '' });
+
+      expect(result.code).toBe(2);
+      expect(result.stderr).toContain('--edit needs an interactive terminal');
+    });
+  });
+
+  describe('Batch Uploads', () => {
+    test('should accept multiple files', async () => {
+      const result = await runCLI(['missing-a.txt', 'missing-b.txt']);
+
+      expect(result.code).not.toBe(0);
+      expect(result.stderr).toMatch(/uploads failed|No authentication configured/);
+      expect(result.stderr).not.toContain('Please specify a file');
+    });
+
+    test('should reject stdin combined with files', async () => {
+      const result = await runCLI(['-', 'other.txt']);
+
+      expect(result.code).toBe(2);
+      expect(result.stderr).toContain('cannot be combined with other files');
+    });
+
+    test('should reject invalid concurrency', async () => {
+      const result = await runCLI(['a.txt', 'b.txt', '--concurrency', '0']);
+
+      expect(result.code).toBe(2);
+      expect(result.stderr).toContain('--concurrency must be a positive number');
+    });
+  });
+
+  describe('Profiles', () => {
+    test('should require a name for --profile', async () => {
+      const result = await runCLI(['--profile']);
+
+      expect(result.code).toBe(2);
+      expect(result.stderr).toContain('--profile requires a profile name');
+    });
+
+    test('should reject unknown profiles', async () => {
+      const result = await runCLI(['--profile', 'no-such-profile', 'list']);
+
+      expect(result.code).toBe(2);
+      expect(result.stderr).toContain('Profile "no-such-profile" does not exist');
+    });
+
+    test('should honour DRPLR_PROFILE', async () => {
+      const result = await runCLI(['list'], {
+        env: { ...BASE_ENV, XDG_CONFIG_HOME: TEST_CONFIG_HOME, DRPLR_PROFILE: 'no-such-profile' }
+      });
+
+      expect(result.code).toBe(2);
+      expect(result.stderr).toContain('Profile "no-such-profile" does not exist');
+    });
+
+    test('should show usage for unknown profile subcommands', async () => {
+      const result = await runCLI(['profile']);
+
+      expect(result.code).toBe(2);
+      expect(result.stderr).toContain('Usage: drplr profile');
+    });
+  });
+
+  describe('Auth Status', () => {
+    test('should fail auth status without credentials', async () => {
+      const result = await runCLI(['auth', 'status']);
+
+      expect(result.code).toBe(3);
+      expect(result.stdout).toContain('Verified: ✗ No authentication configured');
+    });
+
+    test('should print auth status as JSON', async () => {
+      const result = await runCLI(['auth', 'status', '--json']);
+      const status = JSON.parse(result.stdout);
+
+      expect(result.code).toBe(3);
+      expect(status).toMatchObject({ method: null, verified: false, error: 'No authentication configured' });
+    });
+
+    test('should print the logout result as JSON', async () => {
+      const result = await runCLI(['auth', 'logout', '--json']);
+
+      expect(result.code).toBe(0);
+      expect(result.stderr).toBe('');
+      expect(JSON.parse(result.stdout)).toEqual({ profile: 'default', removed: false, environment: null });
+    });
+
+    test('should require credentials for whoami', async () => {
+      const result = await runCLI(['whoami']);
+
+      expect(result.code).toBe(3);
+      expect(result.stderr).toContain('No authentication configured');
+    });
+  });
+
+  describe('JSON Output', () => {
+    test('should print usage errors as a JSON object on stderr', async () => {
+      const result = await runCLI(['--json', 'link']);
+      const { error } = JSON.parse(result.stderr);
+
+      expect(result.code).toBe(2);
+      expect(result.stdout).toBe('');
+      expect(error).toMatchObject({ code: 'INVALID_INPUT', message: 'Please specify a URL to shorten' });
+      expect(error.hints).toContain('Usage: drplr link <url> [options]');
+    });
+
+    test('should print missing credentials with an error code', async () => {
+      const result = await runCLI(['list', '--jsonl']);
+      const { error } = JSON.parse(result.stderr);
+
+      expect(result.code).toBe(3);
+      expect(error.code).toBe('AUTH_REQUIRED');
+      expect(error.message).toBe('No authentication configured');
+    });
+
+    test('should report failed items only in the result array and the final error', async () => {
+      const result = await runCLI(['update', '!!', '??', '--private', '--json'], {
+        env: { ...BASE_ENV, XDG_CONFIG_HOME: TEST_CONFIG_HOME, DRPLR_TOKEN: 'token' }
+      });
+
+      expect(JSON.parse(result.stdout).map(item => item.error.code)).toEqual(['INVALID_INPUT', 'INVALID_INPUT']);
+      expect(JSON.parse(result.stderr).error.message).toBe('2 of 2 drop updates failed');
+    });
+
+    test('should print profiles as JSON', async () => {
+      const result = await runCLI(['profile', 'list', '--json']);
+
+      expect(result.code).toBe(0);
+      expect(Array.isArray(JSON.parse(result.stdout))).toBe(true);
+    });
+  });
+
+  describe('Exit Codes', () => {
+    test('should exit with 7 for a missing file', async () => {
+      const result = await runCLI(['--json', 'no-such-file.png'], {
+        env: { ...BASE_ENV, XDG_CONFIG_HOME: TEST_CONFIG_HOME, DRPLR_TOKEN: 'token' }
+      });
+
+      expect(result.code).toBe(7);
+      expect(JSON.parse(result.stderr).error.code).toBe('LOCAL_FILE_ERROR');
+    });
+
+    test('should exit with 2 for an invalid drop code', async () => {
+      const result = await runCLI(['info', 'not a code'], {
+        env: { ...BASE_ENV, XDG_CONFIG_HOME: TEST_CONFIG_HOME, DRPLR_TOKEN: 'token' }
+      });
+
+      expect(result.code).toBe(2);
+      expect(result.stderr).toContain('Invalid drop code or URL');
+    });
+  });
+
+  describe('Format Output', () => {
+    test('should reject unknown formats before doing anything', async () => {
+      const result = await runCLI(['link', 'https://example.com', '--format', 'latex']);
+
+      expect(result.code).toBe(2);
+      expect(result.stderr).toContain('Unknown format "latex"');
+    });
+
+    test('should not combine --format with --json', async () => {
+      const result = await runCLI(['link', 'https://example.com', '--format', 'markdown', '--json']);
+
+      expect(result.code).toBe(2);
+      expect(result.stderr).toContain('--format cannot be combined with --json or --jsonl');
+    });
+
+    test('should reject --format for commands that don\'t create drops', async () => {
+      const result = await runCLI(['history', '--format', 'markdown']);
+
+      expect(result.code).toBe(2);
+      expect(result.stdout).toBe('');
+      expect(result.stderr).toContain('--format only applies to uploads, links and notes, not "history"');
+    });
+  });
+
+  describe('Environment Authentication', () => {
+    test('should report incomplete credentials without writing config', async () => {
+      const configHome = fs.mkdtempSync(path.join(os.tmpdir(), 'drplr-env-auth-'));
+      const result = await runCLI(['list'], {
+        env: { ...BASE_ENV, XDG_CONFIG_HOME: configHome, DRPLR_USERNAME: 'ci-bot' }
+      });
+
+      expect(result.code).toBe(3);
+      expect(result.stderr).toContain('DRPLR_USERNAME is set but neither DRPLR_PASSWORD nor DRPLR_PASSWORD_FILE is');
+      expect(fs.readdirSync(configHome)).toEqual([]);
+      fs.rmSync(configHome, { recursive: true, force: true });
+    });
+
+    test('should mention environment variables in auth guidance', async () => {
+      const result = await runCLI(['list']);
+
+      expect(result.stderr).toContain('DRPLR_TOKEN');
+    });
+  });
+
+  describe('History', () => {
+    const entry = (code, title, type, daysAgo) => JSON.stringify({
+      code,
+      url: `https://d.pr/${code}`,
+      type,
+      title,
+      source: null,
+      hash: null,
+      profile: 'default',
+      createdAt: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString()
+    });
+
+    beforeEach(() => {
+      fs.mkdirSync(path.dirname(HISTORY_FILE), { recursive: true });
+      fs.writeFileSync(HISTORY_FILE, [
+        entry('Old111', 'Quarterly report', 'file', 200),
+        entry('Lnk222', 'Docs', 'link', 2),
+        entry('New333', 'Invoice', 'file', 1)
+      ].join('\n') + '\n');
+    });
+
+    afterAll(() => {
+      fs.rmSync(TEST_DATA_HOME, { recursive: true, force: true });
+    });
+
+    test('should list recorded drops newest first without credentials', async () => {
+      const result = await runCLI(['history']);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout.indexOf('New333')).toBeLessThan(result.stdout.indexOf('Old111'));
+    });
+
+    test('should search and filter the history', async () => {
+      const result = await runCLI(['history', 'report', '--json']);
+      const typed = await runCLI(['history', '--type', 'link', '--porcelain']);
+
+      expect(JSON.parse(result.stdout)).toEqual([expect.objectContaining({ number: 3, code: 'Old111' })]);
+      expect(typed.stdout.trim()).toBe('https://d.pr/Lnk222');
+    });
+
+    test('should fail for entries that are not in the history', async () => {
+      const result = await runCLI(['history', 'copy', '42']);
+
+      expect(result.code).toBe(4);
+      expect(result.stderr).toContain('No drop "42" in the local history');
+    });
+
+    test('should prune old entries', async () => {
+      const result = await runCLI(['history', 'prune', '--older-than', '90d', '--json']);
+
+      expect(JSON.parse(result.stdout)).toEqual({ removed: 1, kept: 2 });
+      expect(fs.readFileSync(HISTORY_FILE, 'utf8')).not.toContain('Old111');
+    });
+
+    test('should require a rule for prune', async () => {
+      const result = await runCLI(['history', 'prune']);
+
+      expect(result.code).toBe(2);
+      expect(result.stderr).toContain('Specify --older-than, --keep or both');
+    });
   });
 
   describe('Flag Combinations', () => {
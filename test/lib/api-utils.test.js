@@ -0,0 +1,165 @@
+jest.mock('../../lib/config', () => ({
+  getRetries: jest.fn(() => 2),
+  getActiveProfile: jest.fn(() => 'default')
+}));
+
+jest.mock('../../lib/client', () => ({
+  createAnonymousClient: jest.fn()
+}));
+
+const { createDrop, handlePrivateDropCreation } = require('../../lib/api-utils');
+const { PrivacyError, getExitCode } = require('../../lib/errors');
+const { createAnonymousClient } = require('../../lib/client');
+const logger = require('../../lib/logger');
+
+// Shaped like droplr-api's ClientError
+const httpError = status =>
+  Object.assign(new Error('HTTP error'), { statusCode: status, response: { status, headers: {}, data: {} } });
+
+function mockClient({ created = {}, fetched = {}, deleteResult } = {}) {
+  return {
+    drops: {
+      create: jest.fn().mockResolvedValue({ code: 'AbCd12', shortlink: 'https://d.pr/AbCd12', ...created }),
+      update: jest.fn().mockResolvedValue({}),
+      get: jest.fn().mockResolvedValue({ code: 'AbCd12', ...fetched }),
+      delete: deleteResult || jest.fn().mockResolvedValue(null),
+      list: jest.fn().mockResolvedValue({ results: [] })
+    }
+  };
+}
+
+describe('api-utils', () => {
+  beforeEach(() => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createDrop', () => {
+    test('should ask for privacy in the creation request itself', async () => {
+      const client = mockClient();
+
+      await createDrop(client, () => ({ type: 'LINK' }), () => false, { privacy: 'PRIVATE' });
+
+      expect(client.drops.create).toHaveBeenCalledWith({ type: 'LINK' }, { params: { privacy: 'PRIVATE' } });
+    });
+
+    test('should send nothing extra for public drops', async () => {
+      const client = mockClient();
+
+      await createDrop(client, () => ({ type: 'LINK' }), () => false);
+
+      expect(client.drops.create).toHaveBeenCalledWith({ type: 'LINK' }, {});
+    });
+  });
+
+  describe('handlePrivateDropCreation', () => {
+    test('should confirm a drop created private without updating it', async () => {
+      const client = mockClient({ fetched: { privacy: 'PRIVATE' } });
+
+      const result = await handlePrivateDropCreation(client, { code: 'AbCd12', privacy: 'PRIVATE' }, { privacy: 'PRIVATE' });
+
+      expect(client.drops.update).not.toHaveBeenCalled();
+      expect(client.drops.get).toHaveBeenCalledWith('AbCd12');
+      expect(result.privacy).toBe('PRIVATE');
+    });
+
+    test('should make a drop private when the API created it public', async () => {
+      const client = mockClient({ fetched: { privacy: 'PRIVATE' } });
+
+      await handlePrivateDropCreation(client, { code: 'AbCd12', privacy: 'PUBLIC' }, { privacy: 'PRIVATE' });
+
+      expect(client.drops.update).toHaveBeenCalledWith('AbCd12', { privacy: 'PRIVATE' });
+      expect(client.drops.delete).not.toHaveBeenCalled();
+    });
+
+    test('should delete a drop that is still public and fail with a privacy error', async () => {
+      const client = mockClient({ fetched: { privacy: 'PUBLIC' } });
+
+      const error = await handlePrivateDropCreation(client, { code: 'AbCd12', privacy: 'PUBLIC' }, { privacy: 'PRIVATE' })
+        .catch(e => e);
+
+      expect(error).toBeInstanceOf(PrivacyError);
+      expect(error).toMatchObject({ dropCode: 'AbCd12', deleted: true });
+      expect(getExitCode(error)).toBe(8);
+      expect(client.drops.delete).toHaveBeenCalledWith('AbCd12', { retry: false });
+    });
+
+    test('should delete a drop whose password is reported missing', async () => {
+      const client = mockClient({ fetched: { privacy: 'PUBLIC', hasPassword: false } });
+
+      await expect(handlePrivateDropCreation(client, { code: 'AbCd12' }, { password: 'secret' }))
+        .rejects.toMatchObject({ code: 'PRIVACY_FAILED', deleted: true });
+    });
+
+    test('should confirm an unreported password by being refused without it', async () => {
+      const client = mockClient({ fetched: { privacy: 'PRIVATE' } });
+      const anonymous = mockClient();
+      anonymous.drops.get.mockRejectedValue(httpError(401));
+      createAnonymousClient.mockReturnValue(anonymous);
+
+      const result = await handlePrivateDropCreation(client, { code: 'AbCd12' }, { password: 'secret' });
+
+      expect(anonymous.drops.get).toHaveBeenCalledWith('AbCd12');
+      expect(client.drops.delete).not.toHaveBeenCalled();
+      expect(result.code).toBe('AbCd12');
+    });
+
+    test('should delete a drop that opens without its unreported password', async () => {
+      const client = mockClient({ fetched: { privacy: 'PRIVATE' } });
+      createAnonymousClient.mockReturnValue(mockClient());
+
+      const error = await handlePrivateDropCreation(client, { code: 'AbCd12' }, { password: 'secret' })
+        .catch(e => e);
+
+      expect(error).toMatchObject({ code: 'PRIVACY_FAILED', deleted: true });
+      expect(error.message).toContain('AbCd12 was not password protected');
+    });
+
+    test('should treat an inconclusive password check as unverified', async () => {
+      const client = mockClient({ fetched: { privacy: 'PRIVATE' } });
+      const anonymous = mockClient();
+      anonymous.drops.get.mockRejectedValue(httpError(404));
+      createAnonymousClient.mockReturnValue(anonymous);
+
+      const error = await handlePrivateDropCreation(client, { code: 'AbCd12' }, { password: 'secret' })
+        .catch(e => e);
+
+      expect(error).toMatchObject({ code: 'PRIVACY_FAILED', deleted: true });
+      expect(error.message).toContain('Could not confirm the password protection of AbCd12');
+    });
+
+    test('should retry deletion and name the drop when it stays exposed', async () => {
+      const deleteResult = jest.fn().mockRejectedValue(httpError(503));
+      const client = mockClient({ fetched: { privacy: 'PUBLIC' }, deleteResult });
+
+      const error = await handlePrivateDropCreation(client, { code: 'AbCd12', shortlink: 'https://d.pr/AbCd12' }, { privacy: 'PRIVATE' })
+        .catch(e => e);
+
+      expect(error).toMatchObject({ code: 'PRIVACY_FAILED', dropCode: 'AbCd12', deleted: false });
+      expect(error.message).toContain('https://d.pr/AbCd12 may be publicly accessible');
+      expect(deleteResult).toHaveBeenCalledTimes(3);
+    });
+
+    test('should delete the drop and report the update failure when protecting it fails', async () => {
+      const client = mockClient();
+      client.drops.update.mockRejectedValue(httpError(422));
+
+      await expect(handlePrivateDropCreation(client, { code: 'AbCd12' }, { privacy: 'PRIVATE' }))
+        .rejects.toMatchObject({ code: 'INVALID_INPUT' });
+      expect(client.drops.delete).toHaveBeenCalled();
+    });
+
+    test('should leave public drops unverified', async () => {
+      const client = mockClient();
+
+      await handlePrivateDropCreation(client, { code: 'AbCd12' }, { title: 'Notes' });
+
+      expect(client.drops.update).toHaveBeenCalledWith('AbCd12', { title: 'Notes' });
+      expect(client.drops.get).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -2,7 +2,13 @@ const {
   parseCommonArgs, 
   parseUploadArgs, 
   parseLinkArgs, 
-  parseNoteArgs 
+  parseNoteArgs,
+  parseListArgs,
+  parseInfoArgs,
+  parseUpdateArgs,
+  parseDeleteArgs,
+  parseStatsArgs,
+  parseHistoryArgs
 } = require('../../lib/arg-parser');
 
 describe('arg-parser', () => {
@@ -14,7 +20,8 @@ describe('arg-parser', () => {
       expect(result.options).toEqual({
         privacy: 'PRIVATE',
         password: 'secret123',
-        title: 'My Title'
+        title: 'My Title',
+        board: null
       });
       expect(result.remainingArgs).toEqual([]);
     });
@@ -50,10 +57,18 @@ describe('arg-parser', () => {
       expect(result.options).toEqual({
         privacy: 'PUBLIC',
         password: null,
-        title: null
+        title: null,
+        board: null
       });
       expect(result.remainingArgs).toEqual(['file.txt']);
     });
+
+    test('should parse a board by ID or name', () => {
+      const result = parseCommonArgs(['file.txt', '--board', 'Client Deliverables']);
+
+      expect(result.options.board).toBe('Client Deliverables');
+      expect(result.remainingArgs).toEqual(['file.txt']);
+    });
   });
 
   describe('parseUploadArgs', () => {
@@ -81,6 +96,69 @@ describe('arg-parser', () => {
       expect(result.filePath).toBe('actual-file.txt');
       expect(result.options.password).toBe('secret');
     });
+
+    test('should collect multiple file paths', () => {
+      const args = ['a.png', 'b.png', '--private', 'shots/'];
+      const result = parseUploadArgs(args);
+
+      expect(result.filePaths).toEqual(['a.png', 'b.png', 'shots/']);
+      expect(result.filePath).toBe('a.png');
+    });
+
+    test('should parse repeatable include and exclude globs', () => {
+      const args = ['shots/', '--include', '*.png', '--include', '*.jpg', '--exclude', 'drafts/**'];
+      const result = parseUploadArgs(args);
+
+      expect(result.filePaths).toEqual(['shots/']);
+      expect(result.options.include).toEqual(['*.png', '*.jpg']);
+      expect(result.options.exclude).toEqual(['drafts/**']);
+    });
+
+    test('should parse concurrency options', () => {
+      const args = ['a.png', 'b.png', '--concurrency', '4', '--rate-limit', '2.5', '--fail-fast'];
+      const result = parseUploadArgs(args);
+
+      expect(result.options.concurrency).toBe(4);
+      expect(result.options.rateLimit).toBe(2.5);
+      expect(result.options.failFast).toBe(true);
+    });
+
+    test('should default to sequential uploads', () => {
+      const result = parseUploadArgs(['a.png']);
+
+      expect(result.options.concurrency).toBe(1);
+      expect(result.options.rateLimit).toBeNull();
+      expect(result.options.failFast).toBe(false);
+    });
+
+    test('should treat "-" as a stdin upload', () => {
+      const result = parseUploadArgs(['-', '--name', 'dump.sql.gz']);
+
+      expect(result.filePaths).toEqual(['-']);
+      expect(result.options.name).toBe('dump.sql.gz');
+    });
+
+    test('should parse a MIME type override', () => {
+      const result = parseUploadArgs(['export', '--mime', 'text/csv']);
+
+      expect(result.options.mime).toBe('text/csv');
+    });
+
+    test('should parse --force-new', () => {
+      expect(parseUploadArgs(['a.png']).options.forceNew).toBe(false);
+      expect(parseUploadArgs(['a.png', '--force-new']).options.forceNew).toBe(true);
+    });
+
+    test('should parse --hidden', () => {
+      expect(parseUploadArgs(['shots/']).options.hidden).toBe(false);
+      expect(parseUploadArgs(['shots/', '--hidden']).options.hidden).toBe(true);
+    });
+
+    test('should parse progress switches', () => {
+      expect(parseUploadArgs(['a.bin']).options.progress).toBeNull();
+      expect(parseUploadArgs(['a.bin', '--progress']).options.progress).toBe(true);
+      expect(parseUploadArgs(['a.bin', '--no-progress']).options.progress).toBe(false);
+    });
   });
 
   describe('parseLinkArgs', () => {
@@ -131,6 +209,14 @@ describe('arg-parser', () => {
       expect(result.options.privacy).toBe('PRIVATE');
     });
 
+    test('should parse --edit', () => {
+      const result = parseNoteArgs(['--edit', '--code', '--lang', 'diff']);
+
+      expect(result.options.edit).toBe(true);
+      expect(result.options.isCode).toBe(true);
+      expect(result.text).toBe('');
+    });
+
     test('should parse code snippet', () => {
       const args = ['--code', 'console.log("hello")', '--lang', 'javascript', '--title', 'JS Code'];
       const result = parseNoteArgs(args);
@@ -151,8 +237,10 @@ describe('arg-parser', () => {
         privacy: 'PRIVATE',
         password: 'secret',
         title: 'Python Script',
+        board: null,
         lang: 'python',
-        isCode: true
+        isCode: true,
+        edit: false
       });
     });
 
@@ -172,4 +260,127 @@ describe('arg-parser', () => {
       expect(result.filePath).toBe('file.txt');
     });
   });
+
+  describe('parseListArgs', () => {
+    test('should set default values', () => {
+      const result = parseListArgs([]);
+
+      expect(result.options).toEqual({
+        type: null,
+        privacy: null,
+        limit: 20,
+        page: 1,
+        all: false,
+        sort: 'created',
+        order: 'desc'
+      });
+    });
+
+    test('should parse filters and pagination', () => {
+      const args = ['--type', 'link', '--private', '--limit', '5', '--page', '3'];
+      const result = parseListArgs(args);
+
+      expect(result.options.type).toBe('link');
+      expect(result.options.privacy).toBe('PRIVATE');
+      expect(result.options.limit).toBe(5);
+      expect(result.options.page).toBe(3);
+    });
+
+    test('should parse sorting and --all', () => {
+      const result = parseListArgs(['--public', '--all', '--sort', 'views', '--asc']);
+
+      expect(result.options.privacy).toBe('PUBLIC');
+      expect(result.options.all).toBe(true);
+      expect(result.options.sort).toBe('views');
+      expect(result.options.order).toBe('asc');
+    });
+  });
+
+  describe('parseInfoArgs', () => {
+    test('should pick the first non-flag as the target', () => {
+      const result = parseInfoArgs(['--verbose', 'https://d.pr/i/AbCd12', 'extra']);
+
+      expect(result.target).toBe('https://d.pr/i/AbCd12');
+    });
+  });
+
+  describe('parseUpdateArgs', () => {
+    test('should not change privacy unless asked', () => {
+      const result = parseUpdateArgs(['AbCd12', '--title', 'New']);
+
+      expect(result.targets).toEqual(['AbCd12']);
+      expect(result.options).toEqual({
+        privacy: null,
+        password: null,
+        removePassword: false,
+        title: 'New'
+      });
+    });
+
+    test('should collect multiple codes and flags', () => {
+      const args = ['AbCd12', '--public', 'https://d.pr/i/XyZ9', '--remove-password'];
+      const result = parseUpdateArgs(args);
+
+      expect(result.targets).toEqual(['AbCd12', 'https://d.pr/i/XyZ9']);
+      expect(result.options.privacy).toBe('PUBLIC');
+      expect(result.options.removePassword).toBe(true);
+    });
+  });
+
+  describe('parseDeleteArgs', () => {
+    test('should collect codes and treat "-" as stdin', () => {
+      const result = parseDeleteArgs(['AbCd12', '-', '--yes']);
+
+      expect(result.targets).toEqual(['AbCd12', '-']);
+      expect(result.options.yes).toBe(true);
+    });
+
+    test('should parse bulk filters', () => {
+      const args = ['--older-than', '30d', '--type', 'file', '--title-match', '^tmp'];
+      const result = parseDeleteArgs(args);
+
+      expect(result.targets).toEqual([]);
+      expect(result.options).toEqual({
+        olderThan: '30d',
+        type: 'file',
+        titleMatch: '^tmp',
+        yes: false
+      });
+    });
+  });
+
+  describe('parseStatsArgs', () => {
+    test('should parse a drop with a window', () => {
+      const result = parseStatsArgs(['AbCd12', '--since', '7d', '--csv']);
+
+      expect(result.target).toBe('AbCd12');
+      expect(result.options.since).toBe('7d');
+      expect(result.options.csv).toBe(true);
+    });
+
+    test('should parse summary options with defaults', () => {
+      expect(parseStatsArgs(['--summary', '--type', 'link'])).toEqual({
+        target: '',
+        options: { summary: true, since: null, type: 'link', top: 10, csv: false }
+      });
+    });
+  });
+
+  describe('parseHistoryArgs', () => {
+    test('should parse a search with filters', () => {
+      const result = parseHistoryArgs(['quarterly', 'report', '--type', 'file', '--limit', '5']);
+
+      expect(result.subcommand).toBeNull();
+      expect(result.query).toBe('quarterly report');
+      expect(result.options).toMatchObject({ type: 'file', limit: 5 });
+    });
+
+    test('should parse open, copy and prune', () => {
+      expect(parseHistoryArgs(['open', '3'])).toMatchObject({ subcommand: 'open', target: '3', query: '' });
+      expect(parseHistoryArgs(['prune', '--older-than', '90d', '--keep', '100'])).toMatchObject({
+        subcommand: 'prune',
+        options: { olderThan: '90d', keep: 100 }
+      });
+    });
+  });
 });
\ No newline at end of file
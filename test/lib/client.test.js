@@ -0,0 +1,113 @@
+const { Readable } = require('stream');
+
+jest.mock('../../lib/config', () => ({
+  getActiveProfile: jest.fn(() => 'default'),
+  resolveFallbackCredentials: jest.fn(),
+  adoptFallbackCredentials: jest.fn(() => true)
+}));
+
+const makeToken = payload =>
+  `eyJhbGciOiJIUzI1NiJ9.${Buffer.from(JSON.stringify(payload)).toString('base64url')}.signature`;
+
+const unauthorized = () => Object.assign(new Error('Unauthorized'), { statusCode: 401 });
+
+// Stand-in for Droplr.Client: authorizes like the SDK and rejects the dead token
+function fakeClient(auth) {
+  const client = {
+    options: { auth },
+    calls: [],
+    async _request(method, path, config) {
+      this.options.auth.authorize(config);
+      this.calls.push({ method, path, authorization: config.headers.authorization, auth: config.auth });
+      if (config.headers.authorization === 'Bearer dead') throw unauthorized();
+      return { data: { path } };
+    }
+  };
+  return client;
+}
+
+describe('client', () => {
+  let withTokenFallback;
+  let config;
+  let logger;
+  let Droplr;
+
+  beforeEach(() => {
+    // The client remembers an adopted fallback for the rest of the run
+    jest.resetModules();
+    ({ withTokenFallback } = require('../../lib/client'));
+    config = require('../../lib/config');
+    logger = require('../../lib/logger');
+    Droplr = require('droplr-api');
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    config.resolveFallbackCredentials.mockReturnValue({
+      credentials: { type: 'basic', username: 'me', password: 'secret' },
+      source: 'the saved login (file secret store)'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should pass requests through while the token works', async () => {
+    const client = withTokenFallback(fakeClient(new Droplr.JwtAuth('good')), 'good');
+
+    await expect(client._request('get', 'drops', {})).resolves.toEqual({ data: { path: 'drops' } });
+    expect(client.calls).toHaveLength(1);
+    expect(config.resolveFallbackCredentials).not.toHaveBeenCalled();
+  });
+
+  test('should retry a rejected request once with the fallback and adopt it', async () => {
+    const client = withTokenFallback(fakeClient(new Droplr.JwtAuth('dead')), 'dead');
+
+    await expect(client._request('get', 'drops', {})).resolves.toEqual({ data: { path: 'drops' } });
+    expect(client.calls).toHaveLength(2);
+    expect(client.calls[1]).toEqual({
+      method: 'get',
+      path: 'drops',
+      authorization: undefined,
+      auth: { username: 'me', password: 'secret' }
+    });
+    expect(config.adoptFallbackCredentials).toHaveBeenCalledTimes(1);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('was rejected'));
+  });
+
+  test('should surface the 401 when there is no fallback', async () => {
+    config.resolveFallbackCredentials.mockReturnValue(null);
+    const client = withTokenFallback(fakeClient(new Droplr.JwtAuth('dead')), 'dead');
+
+    await expect(client._request('get', 'drops', {})).rejects.toMatchObject({ statusCode: 401 });
+    expect(client.calls).toHaveLength(1);
+    expect(config.adoptFallbackCredentials).not.toHaveBeenCalled();
+  });
+
+  test('should not adopt a fallback that is rejected too', async () => {
+    const client = fakeClient(new Droplr.JwtAuth('dead'));
+    client._request = jest.fn(async () => { throw unauthorized(); });
+    withTokenFallback(client, 'dead');
+
+    await expect(client._request('get', 'drops', {})).rejects.toMatchObject({ statusCode: 401 });
+    expect(config.adoptFallbackCredentials).not.toHaveBeenCalled();
+  });
+
+  test('should check the token before sending a stream it cannot resend', async () => {
+    const client = withTokenFallback(fakeClient(new Droplr.JwtAuth('dead')), 'dead');
+    const body = Readable.from(['file contents']);
+
+    await client._request('post', 'files', { data: body });
+    expect(client.calls.map(call => call.path)).toEqual(['account', 'files']);
+    expect(client.calls[1].auth).toEqual({ username: 'me', password: 'secret' });
+  });
+
+  test('should skip a token whose exp claim has passed', async () => {
+    const expired = makeToken({ exp: Math.floor(Date.now() / 1000) - 60 });
+    const client = withTokenFallback(fakeClient(new Droplr.JwtAuth(expired)), expired);
+
+    await client._request('get', 'drops', {});
+    expect(client.calls).toHaveLength(1);
+    expect(client.calls[0].auth).toEqual({ username: 'me', password: 'secret' });
+    expect(config.adoptFallbackCredentials).toHaveBeenCalledTimes(1);
+  });
+});
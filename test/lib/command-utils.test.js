@@ -0,0 +1,136 @@
+const fs = require('fs');
+const { editInEditor, warnAboutTokenExpiry, handleCommandError } = require('../../lib/command-utils');
+const { RateLimitError } = require('../../lib/errors');
+const logger = require('../../lib/logger');
+
+// Editor stand-in: appends its first script argument to the file it is given
+const fakeEditor = text => `node -e "require('fs').appendFileSync(process.argv[1], '${text}')"`;
+
+describe('command-utils', () => {
+  describe('editInEditor', () => {
+    const originalEnv = { VISUAL: process.env.VISUAL, EDITOR: process.env.EDITOR };
+
+    afterEach(() => {
+      for (const [key, value] of Object.entries(originalEnv)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    });
+
+    test('should return what the editor saved', () => {
+      delete process.env.VISUAL;
+      process.env.EDITOR = fakeEditor(' world');
+
+      expect(editInEditor('hello')).toBe('hello world');
+    });
+
+    test('should prefer $VISUAL over $EDITOR', () => {
+      process.env.VISUAL = fakeEditor('visual');
+      process.env.EDITOR = fakeEditor('editor');
+
+      expect(editInEditor()).toBe('visual');
+    });
+
+    test('should remove the temporary directory and any backup files left in it', () => {
+      const mkdtemp = jest.spyOn(fs, 'mkdtempSync');
+      delete process.env.VISUAL;
+      process.env.EDITOR = `node -e "require('fs').writeFileSync(process.argv[1] + '~', 'backup')"`;
+
+      editInEditor('draft');
+
+      expect(fs.existsSync(mkdtemp.mock.results[0].value)).toBe(false);
+      mkdtemp.mockRestore();
+    });
+
+    test('should fail when the editor exits with an error', () => {
+      delete process.env.VISUAL;
+      process.env.EDITOR = 'node -e "process.exit(3)"';
+
+      expect(() => editInEditor('draft')).toThrow('exited with an error');
+    });
+  });
+
+  describe('warnAboutTokenExpiry', () => {
+    const now = Date.parse('2026-03-01T00:00:00Z');
+    const day = 24 * 60 * 60 * 1000;
+    const tokenExpiringAt = time =>
+      `eyJhbGciOiJIUzI1NiJ9.${Buffer.from(JSON.stringify({ exp: time / 1000 })).toString('base64url')}.signature`;
+    const jwt = (time, fallback = null) => ({ credentials: { type: 'jwt', token: tokenExpiringAt(time) }, fallback });
+
+    beforeEach(() => {
+      process.env.DRPLR_TOKEN_WARNING = '3d';
+      jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      delete process.env.DRPLR_TOKEN_WARNING;
+      jest.restoreAllMocks();
+    });
+
+    test('should warn when the token expires within the window', () => {
+      warnAboutTokenExpiry(jwt(now + 2 * day), now);
+
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('expires in 2 days'));
+    });
+
+    test('should stay quiet outside the window or when disabled', () => {
+      warnAboutTokenExpiry(jwt(now + 5 * day), now);
+      process.env.DRPLR_TOKEN_WARNING = 'off';
+      warnAboutTokenExpiry(jwt(now + day), now);
+
+      expect(logger.warn).not.toHaveBeenCalled();
+    });
+
+    test('should warn about an expired token without a fallback', () => {
+      warnAboutTokenExpiry(jwt(now - day), now);
+
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('expired 24 hours ago'));
+    });
+
+    test('should leave an expired token with a fallback to the client', () => {
+      warnAboutTokenExpiry(jwt(now - day, '1Password item "Droplr"'), now);
+
+      expect(logger.warn).not.toHaveBeenCalled();
+    });
+
+    test('should ignore login credentials', () => {
+      warnAboutTokenExpiry({ credentials: { type: 'basic', username: 'me', password: 'pw' }, fallback: null }, now);
+
+      expect(logger.warn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleCommandError', () => {
+    let exit;
+
+    beforeEach(() => {
+      exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+      jest.spyOn(logger, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should exit with the code for the error type', () => {
+      handleCommandError(new RateLimitError('Upload failed: Too Many Requests', 429, 20), 'Upload');
+
+      expect(exit).toHaveBeenCalledWith(5);
+      expect(logger.error).toHaveBeenCalledWith('Droplr is rate limiting requests; try again in 20s');
+    });
+
+    test('should classify raw API errors by status', () => {
+      handleCommandError(Object.assign(new Error('Unauthorized'), { response: { status: 401 } }), 'Drop listing');
+
+      expect(exit).toHaveBeenCalledWith(3);
+      expect(logger.error).toHaveBeenCalledWith('Try refreshing your authentication:');
+    });
+
+    test('should exit with 1 for unexpected errors', () => {
+      handleCommandError(new TypeError('boom'), 'Upload');
+
+      expect(exit).toHaveBeenCalledWith(1);
+      expect(logger.error).toHaveBeenCalledWith('✗ Upload failed:', 'boom');
+    });
+  });
+});
@@ -1,21 +1,50 @@
 const { parseUploadArgs, parseLinkArgs, parseNoteArgs } = require('../../../lib/arg-parser');
-const { handleUploadCommand } = require('../../../lib/commands/upload');
+const fs = require('fs');
+const { handleUploadCommand, uploadFile } = require('../../../lib/commands/upload');
 const { handleLinkCommand } = require('../../../lib/commands/link');
 const { handleNoteCommand } = require('../../../lib/commands/note');
+const { handleListCommand } = require('../../../lib/commands/list');
+const { summarizeAccount } = require('../../../lib/commands/whoami');
+const { findBoard, resolveBoard, handleBoardCommand } = require('../../../lib/commands/board');
+const { getDropStatistics, getStatsSummary, summarizeReferrers, toCsv } = require('../../../lib/commands/stats');
+const { getCachedBoards, setCachedBoards } = require('../../../lib/config');
+const { createClient } = require('../../../lib/client');
+const { findUpload, recordUpload, forgetUpload } = require('../../../lib/upload-index');
 
 // Mock all the dependencies at the module level
 jest.mock('../../../lib/client', () => ({
   createClient: jest.fn()
 }));
 
+jest.mock('../../../lib/config', () => ({
+  getCachedBoards: jest.fn(() => []),
+  setCachedBoards: jest.fn(),
+  getRetries: jest.fn(() => 0),
+  getFormatTemplates: jest.fn(() => ({}))
+}));
+
+jest.mock('../../../lib/history', () => ({
+  hashFile: jest.fn(async () => 'c0ffee'),
+  hashContent: jest.fn(() => 'c0ffee'),
+  recordDrop: jest.fn()
+}));
+
+jest.mock('../../../lib/upload-index', () => ({
+  findUpload: jest.fn(() => null),
+  recordUpload: jest.fn(),
+  forgetUpload: jest.fn()
+}));
+
 jest.mock('../../../lib/command-utils', () => ({
   requireAuthentication: jest.fn()
 }));
 
 jest.mock('../../../lib/logger', () => ({
+  isStructured: jest.fn(() => false),
   log: jest.fn(),
   error: jest.fn(),
   output: jest.fn(),
+  json: jest.fn(),
   debug: jest.fn()
 }));
 
@@ -44,6 +73,18 @@ describe('Simplified Command Tests', () => {
       expect(typeof command).toBe('function');
       expect(command.constructor.name).toBe('AsyncFunction');
     });
+
+    test('handleBoardCommand should return async function', () => {
+      const command = handleBoardCommand(['show', 'Client Deliverables'], {});
+      expect(typeof command).toBe('function');
+      expect(command.constructor.name).toBe('AsyncFunction');
+    });
+
+    test('handleListCommand should return async function', () => {
+      const command = handleListCommand(['--type', 'link'], {});
+      expect(typeof command).toBe('function');
+      expect(command.constructor.name).toBe('AsyncFunction');
+    });
   });
 
   describe('Argument Parsing Integration', () => {
@@ -74,7 +115,7 @@ describe('Simplified Command Tests', () => {
       });
       
       expect(() => handleUploadCommand(['--private'], {})).toThrow('process.exit');
-      expect(mockExit).toHaveBeenCalledWith(1);
+      expect(mockExit).toHaveBeenCalledWith(2);
       
       mockExit.mockRestore();
     });
@@ -85,7 +126,7 @@ describe('Simplified Command Tests', () => {
       });
       
       expect(() => handleLinkCommand(['--private'], {})).toThrow('process.exit');
-      expect(mockExit).toHaveBeenCalledWith(1);
+      expect(mockExit).toHaveBeenCalledWith(2);
       
       mockExit.mockRestore();
     });
@@ -94,11 +135,292 @@ describe('Simplified Command Tests', () => {
       const mockExit = jest.spyOn(process, 'exit').mockImplementation(() => {
         throw new Error('process.exit');
       });
+      // Without a terminal, stdin would be read as the note text instead
+      const { isTTY } = process.stdin;
+      process.stdin.isTTY = true;
       
       expect(() => handleNoteCommand([], {})).toThrow('process.exit');
-      expect(mockExit).toHaveBeenCalledWith(1);
+      expect(mockExit).toHaveBeenCalledWith(2);
       
+      process.stdin.isTTY = isTTY;
       mockExit.mockRestore();
     });
+
+    test('handleBoardCommand should exit for a missing board name', () => {
+      const mockExit = jest.spyOn(process, 'exit').mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+
+      expect(() => handleBoardCommand(['create'], {})).toThrow('process.exit');
+      expect(() => handleBoardCommand(['archive'], {})).toThrow('process.exit');
+      expect(mockExit).toHaveBeenCalledWith(2);
+
+      mockExit.mockRestore();
+    });
+
+    test('handleListCommand should exit for invalid type', () => {
+      const mockExit = jest.spyOn(process, 'exit').mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+
+      expect(() => handleListCommand(['--type', 'image'], {})).toThrow('process.exit');
+      expect(mockExit).toHaveBeenCalledWith(2);
+
+      mockExit.mockRestore();
+    });
+  });
+
+  describe('Boards', () => {
+    const boards = [
+      { id: '101', name: 'Client Deliverables' },
+      { id: '102', name: 'Drafts' },
+      { id: '103', name: 'drafts' }
+    ];
+
+    test('findBoard should match IDs and names case-insensitively', () => {
+      expect(findBoard(boards, '102')).toBe(boards[1]);
+      expect(findBoard(boards, 'client deliverables')).toBe(boards[0]);
+      expect(findBoard(boards, 'Archive')).toBeNull();
+    });
+
+    test('findBoard should refuse names shared by several boards', () => {
+      expect(() => findBoard(boards, 'Drafts')).toThrow('use an ID instead (102, 103)');
+    });
+
+    test('resolveBoard should use cached boards without listing them', async () => {
+      const client = { boards: { list: jest.fn(), get: jest.fn().mockResolvedValue({ id: '101', name: 'Client Deliverables' }) } };
+      getCachedBoards.mockReturnValueOnce([{ id: '101', name: 'Client Deliverables' }]);
+
+      await expect(resolveBoard(client, 'Client Deliverables')).resolves.toEqual({ id: '101', name: 'Client Deliverables' });
+      expect(client.boards.get).toHaveBeenCalledWith('101');
+      expect(client.boards.list).not.toHaveBeenCalled();
+    });
+
+    test('resolveBoard should list boards again when a cached name has gone stale', async () => {
+      const notFound = Object.assign(new Error('Not found'), { statusCode: 404, response: { status: 404, headers: {}, data: {} } });
+      const client = {
+        boards: {
+          get: jest.fn().mockRejectedValue(notFound),
+          list: jest.fn().mockResolvedValue({ results: [{ id: '105', name: 'Client Deliverables' }] })
+        }
+      };
+      getCachedBoards.mockReturnValueOnce([{ id: '101', name: 'Client Deliverables' }]);
+
+      await expect(resolveBoard(client, 'Client Deliverables')).resolves.toMatchObject({ id: '105' });
+      expect(client.boards.list).toHaveBeenCalled();
+    });
+
+    test('resolveBoard should list every page of boards', async () => {
+      const list = jest.fn()
+        .mockResolvedValueOnce({ hasMore: 'true', results: [{ id: '101', name: 'Client Deliverables' }] })
+        .mockResolvedValueOnce({ hasMore: 'false', results: [{ id: '106', name: 'Archive' }] });
+
+      await expect(resolveBoard({ boards: { list } }, 'Archive')).resolves.toMatchObject({ id: '106' });
+      expect(list).toHaveBeenNthCalledWith(2, { amount: 100, offset: 1 });
+      expect(setCachedBoards).toHaveBeenCalledWith([
+        { id: '101', name: 'Client Deliverables', privacy: null },
+        { id: '106', name: 'Archive', privacy: null }
+      ]);
+    });
+
+    test('resolveBoard should list boards and cache them when the cache misses', async () => {
+      const client = { boards: { list: jest.fn().mockResolvedValue({ results: [{ id: '104', name: 'New Client' }] }) } };
+
+      await expect(resolveBoard(client, 'New Client')).resolves.toEqual({ id: '104', name: 'New Client', privacy: null });
+      expect(setCachedBoards).toHaveBeenCalledWith([{ id: '104', name: 'New Client', privacy: null }]);
+      await expect(resolveBoard(client, 'Gone')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    });
+  });
+
+  describe('Statistics', () => {
+    const drops = [
+      { code: 'Link01', type: 'LINK', views: 40, createdAt: Date.now() - 60 * 1000 },
+      { code: 'Img001', type: 'IMAGE', views: 75, size: 2048, createdAt: Date.now() - 2 * 60 * 1000 },
+      { code: 'Old001', type: 'NOTE', views: 500, size: 10, createdAt: Date.now() - 30 * 24 * 60 * 60 * 1000 }
+    ];
+
+    test('getStatsSummary should total drops by type and rank them by views', async () => {
+      createClient.mockReturnValue({ drops: { list: jest.fn().mockResolvedValue({ results: drops }) } });
+
+      const { summary } = await getStatsSummary({}, { top: 2 });
+
+      expect(summary).toMatchObject({ drops: 3, views: 615, size: 2058 });
+      expect(summary.byType).toEqual({
+        file: { drops: 1, views: 75, size: 2048 },
+        link: { drops: 1, views: 40, size: 0 },
+        note: { drops: 1, views: 500, size: 10 }
+      });
+      expect(summary.top.map(drop => drop.code)).toEqual(['Old001', 'Img001']);
+    });
+
+    test('getStatsSummary should count views in the window from each drop\'s hit log', async () => {
+      const now = Date.now();
+      const hits = {
+        Link01: [{ createdAt: now - 1000 }],
+        Old001: [{ createdAt: now - 1000 }, { createdAt: now - 2000 }, { createdAt: now - 20 * 24 * 60 * 60 * 1000 }]
+      };
+      const listHits = jest.fn(code => Promise.resolve({ hasMore: 'false', results: hits[code] }));
+      createClient.mockReturnValue({
+        drops: {
+          list: jest.fn().mockResolvedValue({
+            results: [...drops, { code: 'Idle01', type: 'LINK', views: 9, lastAccess: now - 8 * 24 * 60 * 60 * 1000 }]
+          }),
+          listHits
+        }
+      });
+
+      const { summary } = await getStatsSummary({}, { sinceMs: 7 * 24 * 60 * 60 * 1000 });
+
+      expect(summary).toMatchObject({ drops: 4, views: 624, viewsSince: 3 });
+      expect(summary.byType.link).toEqual({ drops: 2, views: 49, viewsSince: 1, size: 0 });
+      expect(summary.byType.file).toMatchObject({ views: 75, viewsSince: 0 });
+      expect(summary.top.map(drop => [drop.code, drop.viewsSince])).toEqual(
+        [['Old001', 2], ['Link01', 1], ['Img001', 0], ['Idle01', 0]]);
+      // A drop last viewed before the window has nothing to count
+      expect(listHits).not.toHaveBeenCalledWith('Idle01', expect.anything());
+    });
+
+    test('getDropStatistics should count views in the window from the hit log', async () => {
+      const now = Date.now();
+      createClient.mockReturnValue({
+        drops: {
+          get: jest.fn().mockResolvedValue({ code: 'Link01', type: 'LINK', views: 12 }),
+          getStats: jest.fn().mockResolvedValue({ downloads: 0 }),
+          getReferrers: jest.fn().mockResolvedValue([{ referrer: 'https://news.example', count: 8 }]),
+          listHits: jest.fn().mockResolvedValue({
+            hasMore: 'false',
+            results: [{ createdAt: now - 1000 }, { createdAt: now - 2000 }, { createdAt: now - 10 * 24 * 60 * 60 * 1000 }]
+          })
+        }
+      });
+
+      const stats = await getDropStatistics('https://d.pr/l/Link01', {}, { sinceMs: 7 * 24 * 60 * 60 * 1000 });
+
+      expect(stats).toMatchObject({ code: 'Link01', views: 12, downloads: 0, viewsSince: 2 });
+      expect(stats.lastAccess).toBe(new Date(now - 1000).toISOString());
+      expect(stats.referrers).toEqual([{ referrer: 'https://news.example', views: 8 }]);
+    });
+
+    test('summarizeReferrers should normalize and sort referrers', () => {
+      expect(summarizeReferrers([{ url: 'https://a.example', count: 2 }, { referrer: 'https://b.example', hits: 9 }, {}]))
+        .toEqual([
+          { referrer: 'https://b.example', views: 9 },
+          { referrer: 'https://a.example', views: 2 },
+          { referrer: '(direct)', views: 0 }
+        ]);
+    });
+
+    test('toCsv should quote fields that need it', () => {
+      const csv = toCsv([{ code: 'AbCd12', title: 'Launch, "final"', views: 3 }]).split('\n');
+
+      expect(csv[0]).toBe('code,shortlink,title,type,views,viewsSince,downloads,size,createdAt,lastAccess');
+      expect(csv[1]).toBe('AbCd12,,"Launch, ""final""",,3,,,,,');
+    });
+  });
+
+  describe('Deduplication', () => {
+    const notFound = Object.assign(new Error('Not found'), { statusCode: 404, response: { status: 404, headers: {}, data: {} } });
+    let drops;
+
+    beforeEach(() => {
+      fs.existsSync.mockReturnValue(true);
+      findUpload.mockReturnValue({ code: 'AbCd12', url: 'https://d.pr/AbCd12', privacy: 'PUBLIC', passwordProtected: false });
+      drops = {
+        get: jest.fn().mockResolvedValue({ code: 'AbCd12', type: 'IMAGE', privacy: 'PUBLIC' }),
+        create: jest.fn().mockResolvedValue({ code: 'New999', shortlink: 'https://d.pr/New999' }),
+        list: jest.fn().mockResolvedValue({ results: [] })
+      };
+      createClient.mockReturnValue({ drops });
+    });
+
+    afterEach(() => {
+      fs.existsSync.mockReturnValue(false);
+      findUpload.mockReturnValue(null);
+      jest.clearAllMocks();
+    });
+
+    test('uploadFile should reuse a drop with the same content once the API confirms it', async () => {
+      const result = await uploadFile('shot.png', {}, { mime: 'image/png' });
+
+      expect(findUpload).toHaveBeenCalledWith('c0ffee');
+      expect(drops.get).toHaveBeenCalledWith('AbCd12');
+      expect(result).toMatchObject({ code: 'AbCd12', shortlink: 'https://d.pr/AbCd12', deduplicated: true });
+      expect(drops.create).not.toHaveBeenCalled();
+    });
+
+    test('uploadFile should upload again when the previous drop is gone', async () => {
+      drops.get.mockRejectedValue(notFound);
+
+      const result = await uploadFile('shot.png', {}, { mime: 'image/png' });
+
+      expect(forgetUpload).toHaveBeenCalledWith('c0ffee');
+      expect(result.code).toBe('New999');
+      expect(recordUpload).toHaveBeenCalledWith('c0ffee',
+        expect.objectContaining({ code: 'New999', privacy: 'PUBLIC', passwordProtected: false }));
+    });
+
+    test('uploadFile should not reuse a drop with different privacy', async () => {
+      drops.create.mockResolvedValue({ code: 'New999', privacy: 'PRIVATE' });
+      drops.get.mockResolvedValue({ code: 'New999', privacy: 'PRIVATE' });
+
+      const result = await uploadFile('shot.png', {}, { mime: 'image/png', privacy: 'PRIVATE' });
+
+      expect(result.deduplicated).toBeUndefined();
+      expect(drops.get).not.toHaveBeenCalledWith('AbCd12');
+      expect(drops.create).toHaveBeenCalled();
+    });
+
+    test('uploadFile should not reuse a password-protected drop the API reports as unprotected', async () => {
+      findUpload.mockReturnValue({ code: 'AbCd12', url: 'https://d.pr/AbCd12', privacy: 'PUBLIC', passwordProtected: true });
+
+      const result = await uploadFile('shot.png', {}, { mime: 'image/png' });
+
+      expect(result.code).toBe('New999');
+      expect(drops.get).not.toHaveBeenCalled();
+    });
+
+    test('uploadFile should not reuse an entry that doesn\'t record its protection', async () => {
+      findUpload.mockReturnValue({ code: 'AbCd12', url: 'https://d.pr/AbCd12' });
+
+      const result = await uploadFile('shot.png', {}, { mime: 'image/png' });
+
+      expect(result.code).toBe('New999');
+    });
+
+    test('uploadFile should skip the lookup with --force-new', async () => {
+      await uploadFile('shot.png', {}, { mime: 'image/png', forceNew: true });
+
+      expect(findUpload).not.toHaveBeenCalled();
+      expect(drops.create).toHaveBeenCalled();
+    });
+  });
+
+  describe('Account Summary', () => {
+    test('summarizeAccount should pick email, plan and team', () => {
+      const account = {
+        id: 42,
+        email: 'me@example.com',
+        subscription: { plan: 'Pro' },
+        teams: [{ name: 'Acme' }]
+      };
+
+      expect(summarizeAccount(account)).toEqual({
+        id: 42,
+        email: 'me@example.com',
+        name: null,
+        plan: 'Pro',
+        team: 'Acme'
+      });
+    });
+
+    test('summarizeAccount should tolerate sparse accounts', () => {
+      expect(summarizeAccount({ username: 'me' })).toEqual({
+        id: null,
+        email: 'me',
+        name: null,
+        plan: null,
+        team: null
+      });
+    });
   });
-});
\ No newline at end of file
+});
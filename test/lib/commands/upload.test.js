@@ -156,7 +156,7 @@ describe('upload command', () => {
 
       await uploadFile('script.js', { type: 'jwt' }, {});
       expect(mockClient.drops.create).toHaveBeenCalledWith(expect.objectContaining({
-        variant: 'application/octet-stream'
+        variant: 'text/javascript'
       }));
     });
 
@@ -0,0 +1,506 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// config.js resolves its directory at load time, so point it at a temp dir first
+const configHome = fs.mkdtempSync(path.join(os.tmpdir(), 'drplr-config-'));
+const configFile = path.join(configHome, 'drplr', 'config.json');
+const originalEnv = { ...process.env };
+process.env.XDG_CONFIG_HOME = configHome;
+
+const config = require('../../lib/config');
+
+function writeConfig(data) {
+  fs.mkdirSync(path.dirname(configFile), { recursive: true });
+  fs.writeFileSync(configFile, JSON.stringify(data));
+}
+
+function readConfig() {
+  return JSON.parse(fs.readFileSync(configFile, 'utf8'));
+}
+
+// Mirrors the old hostname-derived encryption that legacy configs were written with
+function legacyEncrypt(text) {
+  const key = crypto.createHash('sha256').update(os.hostname() + os.platform() + os.arch()).digest();
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+  return iv.toString('hex') + ':' + cipher.update(text, 'utf8', 'hex') + cipher.final('hex');
+}
+
+describe('config', () => {
+  beforeEach(() => {
+    fs.rmSync(path.join(configHome, 'drplr'), { recursive: true, force: true });
+    ['DRPLR_PROFILE', 'DRPLR_TOKEN', 'DRPLR_TOKEN_FILE', 'DRPLR_USERNAME', 'DRPLR_PASSWORD', 'DRPLR_PASSWORD_FILE']
+      .forEach(name => delete process.env[name]);
+    process.env.DRPLR_SECRET_STORE = 'file';
+    process.env.DRPLR_PASSPHRASE = 'test passphrase';
+    config.initConfig({});
+  });
+
+  afterAll(() => {
+    process.env = { ...originalEnv };
+    fs.rmSync(configHome, { recursive: true, force: true });
+  });
+
+  describe('migrateConfig', () => {
+    test('should move flat credentials into a default profile', () => {
+      const data = { encryptedToken: 'abc', opItem: 'Droplr', unrelated: true };
+
+      expect(config.migrateConfig(data)).toBe(true);
+      expect(data).toEqual({
+        unrelated: true,
+        profiles: { default: { encryptedToken: 'abc', opItem: 'Droplr' } },
+        currentProfile: 'default'
+      });
+    });
+
+    test('should leave profile configs alone', () => {
+      const data = { profiles: { work: {} }, currentProfile: 'work' };
+
+      expect(config.migrateConfig(data)).toBe(false);
+      expect(data).toEqual({ profiles: { work: {} }, currentProfile: 'work' });
+    });
+
+    test('should rewrite an old config file on first load', () => {
+      writeConfig({ encryptedToken: 'abc' });
+
+      expect(config.listProfiles()).toEqual([{ name: 'default', current: true, auth: 'token', store: 'legacy', fallback: null }]);
+      expect(readConfig().profiles.default.encryptedToken).toBe('abc');
+    });
+  });
+
+  describe('active profile', () => {
+    beforeEach(() => {
+      writeConfig({ profiles: { default: {}, work: {}, personal: {} }, currentProfile: 'work' });
+    });
+
+    test('should use the selected profile by default', () => {
+      expect(config.getActiveProfile()).toBe('work');
+    });
+
+    test('should let DRPLR_PROFILE override the selection', () => {
+      process.env.DRPLR_PROFILE = 'personal';
+
+      expect(config.getActiveProfile()).toBe('personal');
+    });
+
+    test('should let --profile override DRPLR_PROFILE', () => {
+      process.env.DRPLR_PROFILE = 'personal';
+      config.initConfig({ profile: 'default' });
+
+      expect(config.getActiveProfile()).toBe('default');
+    });
+  });
+
+  describe('credentials', () => {
+    test('should keep credentials separate per profile', () => {
+      config.initConfig({ profile: 'work' });
+      config.setCredentials('jwt', { token: 'work-token' });
+      config.initConfig({ profile: 'personal' });
+      config.setCredentials('basic', { username: 'me', password: 'secret' });
+
+      config.initConfig({ profile: 'work' });
+      expect(config.getCredentials()).toEqual({ type: 'jwt', token: 'work-token' });
+      config.initConfig({ profile: 'personal' });
+      expect(config.getCredentials()).toEqual({ type: 'basic', username: 'me', password: 'secret' });
+      config.initConfig({ profile: 'default' });
+      expect(config.getCredentials()).toEqual({ type: 'anonymous' });
+    });
+
+    test('should keep secrets out of config.json', () => {
+      config.setCredentials('jwt', { token: 'eyJ.secret' });
+
+      expect(fs.readFileSync(configFile, 'utf8')).not.toContain('eyJ.secret');
+      expect(readConfig().profiles.default).toEqual({ store: 'file', type: 'jwt', secretKey: 'default' });
+    });
+
+    test('should read secrets from the env store', () => {
+      process.env.DRPLR_SECRET_CI_TOKEN = 'eyJ.env';
+      config.initConfig({ profile: 'ci' });
+
+      expect(config.setCredentials('jwt', {}, { store: 'env' })).toBe(true);
+      expect(config.getCredentials()).toEqual({ type: 'jwt', token: 'eyJ.env' });
+
+      delete process.env.DRPLR_SECRET_CI_TOKEN;
+    });
+
+    test('should still find secrets after a profile rename', () => {
+      config.initConfig({ profile: 'work' });
+      config.setCredentials('jwt', { token: 'work-token' });
+      config.renameProfile('work', 'company');
+
+      config.initConfig({ profile: 'company' });
+      expect(config.getCredentials()).toEqual({ type: 'jwt', token: 'work-token' });
+    });
+
+    test('should give a profile recreated under a renamed profile\'s old name its own secrets', () => {
+      config.initConfig({ profile: 'work' });
+      config.setCredentials('jwt', { token: 'old-token' });
+      config.renameProfile('work', 'oldwork');
+
+      config.createProfile('work');
+      config.initConfig({ profile: 'work' });
+      config.setCredentials('jwt', { token: 'new-token' });
+      expect(readConfig().profiles.work.secretKey).not.toBe(readConfig().profiles.oldwork.secretKey);
+
+      config.removeProfile('work');
+      config.initConfig({ profile: 'oldwork' });
+      expect(config.getCredentials()).toEqual({ type: 'jwt', token: 'old-token' });
+    });
+  });
+
+  describe('fallback credentials', () => {
+    const secretsFile = path.join(configHome, 'drplr', 'secrets.json');
+
+    test('should keep a login as the fallback when a token replaces it', () => {
+      config.setCredentials('basic', { username: 'me', password: 'secret' });
+      config.setCredentials('jwt', { token: 'eyJ.browser' });
+
+      expect(config.getCredentials()).toEqual({ type: 'jwt', token: 'eyJ.browser' });
+      expect(config.resolveCredentials().fallback).toBe('the saved login (file secret store)');
+      expect(config.resolveFallbackCredentials()).toEqual({
+        credentials: { type: 'basic', username: 'me', password: 'secret' },
+        source: 'the saved login (file secret store)'
+      });
+    });
+
+    test('should keep the fallback when the token is replaced again', () => {
+      config.setCredentials('basic', { username: 'me', password: 'secret' });
+      config.setCredentials('jwt', { token: 'eyJ.first' });
+      config.setCredentials('jwt', { token: 'eyJ.second' });
+
+      expect(config.getCredentials()).toEqual({ type: 'jwt', token: 'eyJ.second' });
+      expect(config.resolveFallbackCredentials().credentials.username).toBe('me');
+    });
+
+    test('should drop the fallback when a login replaces the token', () => {
+      config.setCredentials('basic', { username: 'me', password: 'secret' });
+      config.setCredentials('jwt', { token: 'eyJ.browser' });
+      config.setCredentials('basic', { username: 'new', password: 'pw' });
+
+      expect(readConfig().profiles.default).toEqual({ store: 'file', type: 'basic', secretKey: 'default' });
+      expect(config.getCredentials()).toEqual({ type: 'basic', username: 'new', password: 'pw' });
+      expect(config.resolveFallbackCredentials()).toBeNull();
+    });
+
+    test('should switch the profile to the fallback and delete the token', () => {
+      config.setCredentials('basic', { username: 'me', password: 'secret' });
+      config.setCredentials('jwt', { token: 'eyJ.browser' });
+
+      expect(config.adoptFallbackCredentials()).toBe(true);
+      expect(readConfig().profiles.default).toEqual({ store: 'file', type: 'basic', secretKey: 'default' });
+      expect(config.getCredentials()).toEqual({ type: 'basic', username: 'me', password: 'secret' });
+      expect(Object.keys(JSON.parse(fs.readFileSync(secretsFile, 'utf8')).secrets))
+        .toEqual(['default/username', 'default/password']);
+    });
+
+    test('should remove fallback secrets on logout', () => {
+      config.setCredentials('basic', { username: 'me', password: 'secret' });
+      config.setCredentials('jwt', { token: 'eyJ.browser' });
+
+      expect(config.clearCredentials()).toBe(true);
+      expect(fs.existsSync(secretsFile)).toBe(false);
+    });
+
+    test('should not fall back when credentials come from the environment', () => {
+      config.setCredentials('basic', { username: 'me', password: 'secret' });
+      config.setCredentials('jwt', { token: 'eyJ.browser' });
+      process.env.DRPLR_TOKEN = 'eyJ.env';
+
+      expect(config.resolveFallbackCredentials()).toBeNull();
+    });
+  });
+
+  describe('board cache', () => {
+    test('should keep boards per profile and forget them with the credentials', () => {
+      writeConfig({ profiles: { default: {}, work: {} }, currentProfile: 'default' });
+      config.setCachedBoards([{ id: '101', name: 'Drafts', privacy: 'public' }]);
+
+      expect(config.getCachedBoards()).toEqual([{ id: '101', name: 'Drafts' }]);
+      config.initConfig({ profile: 'work' });
+      expect(config.getCachedBoards()).toEqual([]);
+
+      config.initConfig({});
+      config.setCredentials('jwt', { token: 'other-account' });
+      expect(config.getCachedBoards()).toEqual([]);
+    });
+
+    test('should neither read nor write the cache with credentials from the environment', () => {
+      writeConfig({ profiles: { default: { boards: [{ id: '101', name: 'Drafts' }] } }, currentProfile: 'default' });
+      process.env.DRPLR_TOKEN = 'ci-token';
+
+      expect(config.getCachedBoards()).toEqual([]);
+      expect(config.setCachedBoards([{ id: '202', name: 'CI' }])).toBe(false);
+      expect(readConfig().profiles.default.boards).toEqual([{ id: '101', name: 'Drafts' }]);
+    });
+
+    test('should not create a profile just to cache boards', () => {
+      expect(config.setCachedBoards([{ id: '101', name: 'Drafts' }])).toBe(false);
+      expect(fs.existsSync(configFile)).toBe(false);
+    });
+  });
+
+  describe('getRetries', () => {
+    afterEach(() => {
+      delete process.env.DRPLR_RETRIES;
+    });
+
+    test('should default to three', () => {
+      expect(config.getRetries()).toBe(3);
+    });
+
+    test('should prefer --retries, then DRPLR_RETRIES, then config.json', () => {
+      writeConfig({ profiles: { default: {} }, currentProfile: 'default', retries: 5 });
+      expect(config.getRetries()).toBe(5);
+
+      process.env.DRPLR_RETRIES = '1';
+      expect(config.getRetries()).toBe(1);
+
+      config.initConfig({ retries: 0 });
+      expect(config.getRetries()).toBe(0);
+    });
+
+    test('should ignore invalid values', () => {
+      process.env.DRPLR_RETRIES = 'lots';
+      expect(config.getRetries()).toBe(3);
+    });
+  });
+
+  describe('getTokenWarningWindow', () => {
+    const day = 24 * 60 * 60 * 1000;
+
+    afterEach(() => {
+      delete process.env.DRPLR_TOKEN_WARNING;
+    });
+
+    test('should default to three days', () => {
+      expect(config.getTokenWarningWindow()).toBe(3 * day);
+    });
+
+    test('should read the window from config.json', () => {
+      writeConfig({ profiles: { default: {} }, currentProfile: 'default', tokenWarning: '12h' });
+
+      expect(config.getTokenWarningWindow()).toBe(day / 2);
+    });
+
+    test('should let DRPLR_TOKEN_WARNING override config.json', () => {
+      writeConfig({ profiles: { default: {} }, currentProfile: 'default', tokenWarning: '12h' });
+      process.env.DRPLR_TOKEN_WARNING = '1w';
+
+      expect(config.getTokenWarningWindow()).toBe(7 * day);
+    });
+
+    test('should be disabled by 0 or off', () => {
+      process.env.DRPLR_TOKEN_WARNING = 'off';
+      expect(config.getTokenWarningWindow()).toBe(0);
+      process.env.DRPLR_TOKEN_WARNING = '0';
+      expect(config.getTokenWarningWindow()).toBe(0);
+    });
+
+    test('should ignore an invalid window', () => {
+      process.env.DRPLR_TOKEN_WARNING = 'soon';
+
+      expect(config.getTokenWarningWindow()).toBe(3 * day);
+    });
+  });
+
+  describe('1Password', () => {
+    const opLog = path.join(configHome, 'op-calls.log');
+    const opCalls = () => (fs.existsSync(opLog) ? fs.readFileSync(opLog, 'utf8').trim().split('\n').length : 0);
+
+    beforeEach(() => {
+      const items = path.join(configHome, 'op-items.json');
+      fs.writeFileSync(items, JSON.stringify({
+        Droplr: {
+          vault: 'Private',
+          fields: [
+            { id: 'username', purpose: 'USERNAME', value: 'me' },
+            { id: 'password', purpose: 'PASSWORD', value: 'secret' },
+            { id: 'jwt', label: 'jwt', value: 'eyJ.from.op' }
+          ]
+        }
+      }));
+      fs.rmSync(opLog, { force: true });
+      process.env.DRPLR_OP_BIN = path.join(__dirname, '..', 'fixtures', 'fake-op.js');
+      process.env.FAKE_OP_ITEMS = items;
+      process.env.FAKE_OP_LOG = opLog;
+      process.env.XDG_RUNTIME_DIR = path.join(configHome, 'run');
+    });
+
+    afterEach(() => {
+      config.clearCredentials();
+      ['DRPLR_OP_BIN', 'FAKE_OP_ITEMS', 'FAKE_OP_LOG', 'XDG_RUNTIME_DIR', 'DRPLR_OP_CACHE'].forEach(name => delete process.env[name]);
+    });
+
+    test('should run op on every lookup by default', () => {
+      expect(config.set1PasswordItem('Droplr')).toBe(true);
+      config.getCredentials();
+      config.getCredentials();
+
+      expect(opCalls()).toBe(3);
+    });
+
+    test('should cache lookups when DRPLR_OP_CACHE is set', () => {
+      process.env.DRPLR_OP_CACHE = '5m';
+      expect(config.set1PasswordItem('Droplr')).toBe(true);
+
+      expect(config.getCredentials()).toEqual({ type: 'basic', username: 'me', password: 'secret' });
+      expect(config.getCredentials()).toEqual({ type: 'basic', username: 'me', password: 'secret' });
+      expect(opCalls()).toBe(2);
+    });
+
+    test('should clear the cache on logout', () => {
+      process.env.DRPLR_OP_CACHE = '5m';
+      config.set1PasswordItem('Droplr');
+      config.getCredentials();
+
+      config.clearCredentials();
+      expect(fs.existsSync(path.join(configHome, 'run', 'drplr', 'op-cache.json'))).toBe(false);
+    });
+
+    test('should keep op:// references instead of secrets', () => {
+      expect(config.setCredentials('jwt', { token: 'op://Private/Droplr/jwt' })).toBe(true);
+
+      expect(readConfig().profiles.default).toEqual({ type: 'jwt', opRefs: { token: 'op://Private/Droplr/jwt' } });
+      expect(config.getCredentials()).toEqual({ type: 'jwt', token: 'eyJ.from.op' });
+      expect(config.listProfiles()[0]).toMatchObject({ auth: 'token', store: '1password' });
+    });
+
+    test('should read a login from references', () => {
+      config.setCredentials('basic', { username: 'op://Private/Droplr/username', password: 'op://Private/Droplr/password' });
+
+      expect(config.getCredentials()).toEqual({ type: 'basic', username: 'me', password: 'secret' });
+    });
+
+    test('should reject references that do not resolve or mix with plain values', () => {
+      expect(config.setCredentials('jwt', { token: 'op://Private/Droplr/missing' })).toBe(false);
+      expect(config.setCredentials('basic', { username: 'me', password: 'op://Private/Droplr/password' })).toBe(false);
+      expect(config.listProfiles()[0].auth).toBeNull();
+    });
+  });
+
+  describe('clearCredentials', () => {
+    test('should remove stored secrets and the 1Password reference', () => {
+      config.setCredentials('jwt', { token: 'eyJ.secret' });
+
+      expect(config.clearCredentials()).toBe(true);
+      expect(readConfig().profiles.default).toEqual({});
+      expect(fs.existsSync(path.join(configHome, 'drplr', 'secrets.json'))).toBe(false);
+      expect(config.getCredentials()).toEqual({ type: 'anonymous' });
+    });
+
+    test('should report when there is nothing to remove', () => {
+      writeConfig({ profiles: { default: {} }, currentProfile: 'default' });
+
+      expect(config.clearCredentials()).toBe(false);
+    });
+  });
+
+  describe('readEnvCredentials', () => {
+    test('should return null without DRPLR_* credentials', () => {
+      expect(config.readEnvCredentials({ HOME: '/home/ci' })).toBeNull();
+    });
+
+    test('should prefer DRPLR_TOKEN over the other variables', () => {
+      const result = config.readEnvCredentials({
+        DRPLR_TOKEN: 'eyJ.env',
+        DRPLR_USERNAME: 'me',
+        DRPLR_PASSWORD: 'pw'
+      });
+
+      expect(result).toEqual({ credentials: { type: 'jwt', token: 'eyJ.env' }, source: 'DRPLR_TOKEN' });
+    });
+
+    test('should read mounted secret files without the trailing newline', () => {
+      const tokenFile = path.join(configHome, 'token');
+      const passwordFile = path.join(configHome, 'password');
+      fs.writeFileSync(tokenFile, 'eyJ.file\n');
+      fs.writeFileSync(passwordFile, 'pw\n');
+
+      expect(config.readEnvCredentials({ DRPLR_TOKEN_FILE: tokenFile }).credentials)
+        .toEqual({ type: 'jwt', token: 'eyJ.file' });
+      expect(config.readEnvCredentials({ DRPLR_USERNAME: 'me', DRPLR_PASSWORD_FILE: passwordFile }))
+        .toEqual({
+          credentials: { type: 'basic', username: 'me', password: 'pw' },
+          source: 'DRPLR_USERNAME and DRPLR_PASSWORD_FILE'
+        });
+    });
+
+    test('should reject incomplete or unreadable settings', () => {
+      expect(() => config.readEnvCredentials({ DRPLR_USERNAME: 'me' })).toThrow('neither DRPLR_PASSWORD');
+      expect(() => config.readEnvCredentials({ DRPLR_PASSWORD: 'pw' })).toThrow('DRPLR_USERNAME is not');
+      expect(() => config.readEnvCredentials({ DRPLR_TOKEN_FILE: path.join(configHome, 'missing') }))
+        .toThrow('Cannot read DRPLR_TOKEN_FILE');
+    });
+
+    test('should take precedence over stored credentials without touching config.json', () => {
+      process.env.DRPLR_TOKEN = 'eyJ.env';
+
+      expect(config.getCredentials()).toEqual({ type: 'jwt', token: 'eyJ.env' });
+      expect(config.resolveCredentials()).toMatchObject({ method: 'token', source: 'DRPLR_TOKEN', profile: null });
+      expect(fs.existsSync(configFile)).toBe(false);
+
+      delete process.env.DRPLR_TOKEN;
+    });
+  });
+
+  describe('migrateLegacyCredentials', () => {
+    test('should move legacy credentials into the secret store', () => {
+      writeConfig({
+        profiles: {
+          default: { encryptedToken: legacyEncrypt('old-token') },
+          work: { encryptedUsername: legacyEncrypt('me'), encryptedPassword: legacyEncrypt('pw') },
+          sso: { opItem: 'Droplr' }
+        },
+        currentProfile: 'default'
+      });
+
+      expect(config.migrateLegacyCredentials()).toEqual([
+        { name: 'default', store: 'file' },
+        { name: 'work', store: 'file' }
+      ]);
+
+      const saved = readConfig();
+      expect(JSON.stringify(saved)).not.toContain('encrypted');
+      expect(saved.profiles.sso).toEqual({ opItem: 'Droplr' });
+      expect(config.getCredentials()).toEqual({ type: 'jwt', token: 'old-token' });
+    });
+
+    test('should report credentials the legacy key no longer opens', () => {
+      writeConfig({ profiles: { default: { encryptedToken: '00:00' } }, currentProfile: 'default' });
+
+      const [result] = config.migrateLegacyCredentials();
+
+      expect(result.name).toBe('default');
+      expect(result.error.message).toContain('Failed to decrypt');
+      expect(readConfig().profiles.default.encryptedToken).toBe('00:00');
+    });
+  });
+
+  describe('profile management', () => {
+    beforeEach(() => {
+      writeConfig({ profiles: { default: {}, work: {} }, currentProfile: 'work' });
+    });
+
+    test('should create and switch profiles', () => {
+      config.createProfile('personal');
+      config.useProfile('personal');
+
+      expect(config.profileExists('personal')).toBe(true);
+      expect(readConfig().currentProfile).toBe('personal');
+    });
+
+    test('should follow the selection when renaming', () => {
+      config.renameProfile('work', 'company');
+
+      expect(readConfig()).toEqual({ profiles: { default: {}, company: {} }, currentProfile: 'company' });
+    });
+
+    test('should fall back to default when removing the selected profile', () => {
+      config.removeProfile('work');
+
+      expect(readConfig()).toEqual({ profiles: { default: {} }, currentProfile: 'default' });
+    });
+  });
+});
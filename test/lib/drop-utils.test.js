@@ -0,0 +1,115 @@
+const {
+  parseDropCode,
+  parseDuration,
+  getDropUrl,
+  formatDate,
+  formatSize,
+  toDropRecord
+} = require('../../lib/drop-utils');
+
+describe('drop-utils', () => {
+  describe('parseDropCode', () => {
+    test('should accept a bare drop code', () => {
+      expect(parseDropCode('AbCd12')).toBe('AbCd12');
+    });
+
+    test('should extract the code from typed shortlinks', () => {
+      expect(parseDropCode('https://d.pr/i/AbCd12')).toBe('AbCd12');
+      expect(parseDropCode('https://d.pr/n/XyZ9')).toBe('XyZ9');
+    });
+
+    test('should extract the code from untyped shortlinks', () => {
+      expect(parseDropCode('https://d.pr/AbCd12')).toBe('AbCd12');
+      expect(parseDropCode('d.pr/f/AbCd12')).toBe('AbCd12');
+    });
+
+    test('should strip the direct-content suffix', () => {
+      expect(parseDropCode('https://d.pr/i/AbCd12+')).toBe('AbCd12');
+    });
+
+    test('should reject invalid input', () => {
+      expect(parseDropCode('')).toBeNull();
+      expect(parseDropCode('not a code')).toBeNull();
+      expect(parseDropCode('https://d.pr/')).toBeNull();
+    });
+  });
+
+  describe('parseDuration', () => {
+    test('should parse durations into milliseconds', () => {
+      expect(parseDuration('90s')).toBe(90 * 1000);
+      expect(parseDuration('12h')).toBe(12 * 60 * 60 * 1000);
+      expect(parseDuration('30d')).toBe(30 * 24 * 60 * 60 * 1000);
+      expect(parseDuration('2w')).toBe(14 * 24 * 60 * 60 * 1000);
+    });
+
+    test('should reject invalid durations', () => {
+      expect(parseDuration('30')).toBeNull();
+      expect(parseDuration('d30')).toBeNull();
+      expect(parseDuration(null)).toBeNull();
+    });
+  });
+
+  describe('getDropUrl', () => {
+    test('should prefer the shortlink', () => {
+      expect(getDropUrl({ shortlink: 'https://d.pr/a', url: 'https://x' })).toBe('https://d.pr/a');
+      expect(getDropUrl({ url: 'https://x' })).toBe('https://x');
+    });
+  });
+
+  describe('formatDate', () => {
+    test('should format timestamps in UTC', () => {
+      expect(formatDate(Date.UTC(2024, 0, 15, 9, 30))).toBe('2024-01-15 09:30');
+    });
+
+    test('should show a dash for missing dates', () => {
+      expect(formatDate(undefined)).toBe('-');
+    });
+  });
+
+  describe('formatSize', () => {
+    test('should format byte counts', () => {
+      expect(formatSize(512)).toBe('512 B');
+      expect(formatSize(1536)).toBe('1.5 KB');
+      expect(formatSize(5 * 1024 * 1024)).toBe('5.0 MB');
+    });
+  });
+
+  describe('toDropRecord', () => {
+    test('should map an API drop to the documented fields', () => {
+      const record = toDropRecord({
+        code: 'abc123',
+        shortlink: 'https://d.pr/i/abc123',
+        type: 'FILE',
+        variant: 'image/png',
+        privacy: 'PRIVATE',
+        title: 'shot.png',
+        size: 2048,
+        views: 3,
+        createdAt: Date.UTC(2024, 0, 15, 9, 30)
+      }, { source: 'shot.png', passwordProtected: true });
+
+      expect(record).toEqual({
+        code: 'abc123',
+        shortlink: 'https://d.pr/i/abc123',
+        type: 'file',
+        variant: 'image/png',
+        privacy: 'private',
+        passwordProtected: true,
+        title: 'shot.png',
+        size: 2048,
+        views: 3,
+        source: 'shot.png',
+        createdAt: '2024-01-15T09:30:00.000Z',
+        updatedAt: null
+      });
+    });
+
+    test('should use a link\'s content as its source', () => {
+      const record = toDropRecord({ code: 'x', type: 'LINK', content: 'https://example.com' });
+
+      expect(record.source).toBe('https://example.com');
+      expect(record.passwordProtected).toBe(false);
+      expect(record.shortlink).toBeNull();
+    });
+  });
+});
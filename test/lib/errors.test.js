@@ -0,0 +1,108 @@
+const {
+  UploadError,
+  AuthError,
+  ValidationError,
+  NotFoundError,
+  RateLimitError,
+  NetworkError,
+  LocalFileError,
+  PrivacyError,
+  getExitCode,
+  getItemErrorCode,
+  summarizeErrors
+} = require('../../lib/errors');
+const { parseApiError } = require('../../lib/api-utils');
+
+// Shaped like droplr-api's ClientError
+function apiError(status, data = {}, headers = {}) {
+  return Object.assign(new Error(), {
+    statusCode: status,
+    response: { status, statusText: 'Status Text', data, headers }
+  });
+}
+
+describe('errors', () => {
+  describe('exit codes', () => {
+    test('should give each error type its own documented exit code', () => {
+      const codes = [
+        new UploadError('x'),
+        new ValidationError('x'),
+        new AuthError('x'),
+        new NotFoundError('x'),
+        new RateLimitError('x'),
+        new NetworkError('x'),
+        new LocalFileError('x'),
+        new PrivacyError('x', 'AbCd12')
+      ].map(getExitCode);
+
+      expect(codes).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+      expect(getExitCode(new TypeError('x'))).toBe(1);
+    });
+
+    test('should keep subclasses recognisable as UploadErrors', () => {
+      expect(new AuthError('x')).toBeInstanceOf(UploadError);
+      expect(new AuthError('x').code).toBe('AUTH_FAILED');
+    });
+  });
+
+  describe('parseApiError', () => {
+    test('should type errors by HTTP status', () => {
+      expect(parseApiError(apiError(401), 'Upload')).toBeInstanceOf(AuthError);
+      expect(parseApiError(apiError(403), 'Upload')).toBeInstanceOf(AuthError);
+      expect(parseApiError(apiError(404), 'Drop lookup')).toBeInstanceOf(NotFoundError);
+      expect(parseApiError(apiError(422), 'Upload')).toBeInstanceOf(ValidationError);
+      expect(parseApiError(apiError(503), 'Upload')).toBeInstanceOf(NetworkError);
+      expect(parseApiError(apiError(500), 'Upload').constructor).toBe(UploadError);
+    });
+
+    test('should recognise auth and validation failures by response shape', () => {
+      expect(parseApiError(apiError(400, 'No such user'), 'Upload')).toBeInstanceOf(AuthError);
+      expect(parseApiError(apiError(200, { errors: [{ field: 'title', messages: ['too long'] }] }), 'Upload'))
+        .toBeInstanceOf(ValidationError);
+    });
+
+    test('should read Retry-After for rate limits', () => {
+      const error = parseApiError(apiError(429, {}, { 'retry-after': '30' }), 'Upload');
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error.retryAfter).toBe(30);
+    });
+
+    test('should report unreachable APIs as network errors', () => {
+      const error = parseApiError(
+        Object.assign(new Error(), { response: {}, httpError: { code: 'ECONNREFUSED', message: 'connect ECONNREFUSED' } }),
+        'Upload'
+      );
+
+      expect(error).toBeInstanceOf(NetworkError);
+      expect(error.message).toBe('Upload failed: could not reach the Droplr API (ECONNREFUSED)');
+    });
+
+    test('should pass our own errors through', () => {
+      const error = new LocalFileError('File not found');
+      expect(parseApiError(error, 'Upload')).toBe(error);
+    });
+  });
+
+  describe('batches', () => {
+    test('should keep the failures\' type when they share one', () => {
+      const summary = summarizeErrors('2 of 2 uploads failed', [
+        new RateLimitError('a', 429, 10),
+        new RateLimitError('b', 429, 30)
+      ]);
+
+      expect(summary).toBeInstanceOf(RateLimitError);
+      expect(summary.retryAfter).toBe(30);
+    });
+
+    test('should fall back to a plain UploadError for mixed failures', () => {
+      const summary = summarizeErrors('2 of 2 uploads failed', [new NotFoundError('a'), new NetworkError('b')]);
+      expect(summary.constructor).toBe(UploadError);
+    });
+
+    test('should label untyped item failures with the batch code', () => {
+      expect(getItemErrorCode(new NotFoundError('x'), 'DELETE_FAILED')).toBe('NOT_FOUND');
+      expect(getItemErrorCode(new UploadError('x'), 'DELETE_FAILED')).toBe('DELETE_FAILED');
+    });
+  });
+});
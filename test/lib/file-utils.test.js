@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  globToRegExp,
+  matchesGlob,
+  parseIgnoreFile,
+  isIgnored,
+  expandUploadPaths
+} = require('../../lib/file-utils');
+
+describe('file-utils', () => {
+  describe('globToRegExp', () => {
+    test('should match single-segment wildcards', () => {
+      expect(globToRegExp('*.png').test('shot.png')).toBe(true);
+      expect(globToRegExp('*.png').test('dir/shot.png')).toBe(false);
+      expect(globToRegExp('shot?.png').test('shot1.png')).toBe(true);
+    });
+
+    test('should match across directories with **', () => {
+      expect(globToRegExp('**/*.png').test('shot.png')).toBe(true);
+      expect(globToRegExp('**/*.png').test('a/b/shot.png')).toBe(true);
+      expect(globToRegExp('drafts/**').test('drafts/a/b.png')).toBe(true);
+    });
+
+    test('should support braces and character classes', () => {
+      expect(globToRegExp('*.{png,jpg}').test('a.jpg')).toBe(true);
+      expect(globToRegExp('*.{png,jpg}').test('a.gif')).toBe(false);
+      expect(globToRegExp('v[0-9].txt').test('v3.txt')).toBe(true);
+    });
+  });
+
+  describe('matchesGlob', () => {
+    test('should match basenames for patterns without a slash', () => {
+      expect(matchesGlob('a/b/shot.png', '*.png')).toBe(true);
+      expect(matchesGlob('a/b/shot.png', 'a/*.png')).toBe(false);
+    });
+  });
+
+  describe('ignore rules', () => {
+    test('should apply the last matching rule', () => {
+      const rules = parseIgnoreFile('# comment\n*.log\n!keep.log\nbuild/\n/root-only.txt\n');
+
+      expect(isIgnored(rules, 'debug.log', false)).toBe(true);
+      expect(isIgnored(rules, 'nested/keep.log', false)).toBe(false);
+      expect(isIgnored(rules, 'build', true)).toBe(true);
+      expect(isIgnored(rules, 'build', false)).toBe(false);
+      expect(isIgnored(rules, 'root-only.txt', false)).toBe(true);
+      expect(isIgnored(rules, 'sub/root-only.txt', false)).toBe(false);
+    });
+  });
+
+  describe('expandUploadPaths', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'drplr-files-'));
+      const write = (file, content = 'x') => {
+        fs.mkdirSync(path.dirname(path.join(tmpDir, file)), { recursive: true });
+        fs.writeFileSync(path.join(tmpDir, file), content);
+      };
+      write('a.png');
+      write('b.txt');
+      write('nested/c.png');
+      write('nested/skip.log');
+      write('nested/.gitignore', '*.log\n');
+      write('.git/config');
+      write('.env', 'SECRET=1');
+      write('nested/.cache/d.png');
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should expand directories recursively and honour ignore files', () => {
+      const files = expandUploadPaths([tmpDir]).map(f => path.relative(tmpDir, f));
+
+      expect(files).toEqual(['a.png', 'b.txt', path.join('nested', 'c.png')]);
+    });
+
+    test('should skip hidden files unless asked to include them', () => {
+      const relative = files => files.map(f => path.relative(tmpDir, f));
+
+      expect(relative(expandUploadPaths([path.join(tmpDir, '**', '*.png')])))
+        .toEqual(['a.png', path.join('nested', 'c.png')]);
+      expect(relative(expandUploadPaths([tmpDir], { hidden: true })))
+        .toEqual(['.env', 'a.png', 'b.txt', path.join('nested', '.cache', 'd.png'), path.join('nested', 'c.png')]);
+      expect(relative(expandUploadPaths([path.join(tmpDir, '.env')]))).toEqual(['.env']);
+    });
+
+    test('should apply include and exclude globs', () => {
+      const files = expandUploadPaths([tmpDir], { include: ['*.png'], exclude: ['nested/**'] })
+        .map(f => path.relative(tmpDir, f));
+
+      expect(files).toEqual(['a.png']);
+    });
+
+    test('should expand unexpanded globs and de-duplicate', () => {
+      const pattern = path.join(tmpDir, '**', '*.png');
+      const files = expandUploadPaths([pattern, path.join(tmpDir, 'a.png')])
+        .map(f => path.relative(tmpDir, f));
+
+      expect(files).toEqual(['a.png', path.join('nested', 'c.png')]);
+    });
+
+    test('should pass plain file paths through unchanged', () => {
+      expect(expandUploadPaths(['missing.txt'])).toEqual(['missing.txt']);
+    });
+  });
+});
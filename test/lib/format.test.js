@@ -0,0 +1,79 @@
+jest.mock('../../lib/config', () => ({
+  getFormatTemplates: jest.fn(() => ({ wiki: '* {{title}}: {{shortlink}}' }))
+}));
+
+const { resolveFormat, renderRecord } = require('../../lib/format');
+
+const image = {
+  code: 'AbCd12',
+  shortlink: 'https://d.pr/i/AbCd12',
+  type: 'file',
+  variant: 'image/png',
+  privacy: 'public',
+  passwordProtected: false,
+  title: 'Login [new]',
+  size: 2048,
+  views: 0,
+  source: 'shots/login.png',
+  createdAt: '2024-01-15T09:30:00.000Z',
+  updatedAt: null
+};
+
+const link = {
+  ...image,
+  code: 'XyZ789',
+  shortlink: 'https://d.pr/l/XyZ789',
+  type: 'link',
+  variant: null,
+  title: null,
+  source: 'https://example.com/a?b=1&c=2'
+};
+
+describe('format', () => {
+  describe('presets', () => {
+    test('should embed images and link everything else in markdown', () => {
+      const markdown = resolveFormat('markdown');
+
+      expect(renderRecord(markdown, image)).toBe('![Login \\[new\\]](https://d.pr/i/AbCd12+)');
+      expect(renderRecord(markdown, link)).toBe('[https://d.pr/l/XyZ789](https://d.pr/l/XyZ789)');
+    });
+
+    test('should escape html', () => {
+      const html = resolveFormat('html');
+
+      expect(renderRecord(html, image)).toBe('<img src="https://d.pr/i/AbCd12+" alt="Login [new]">');
+      expect(renderRecord(html, { ...link, title: 'Q&A <draft>' }))
+        .toBe('<a href="https://d.pr/l/XyZ789">Q&#38;A &#60;draft&#62;</a>');
+    });
+
+    test('should render slack and bbcode', () => {
+      expect(renderRecord(resolveFormat('slack'), image)).toBe('<https://d.pr/i/AbCd12|Login [new]>');
+      expect(renderRecord(resolveFormat('bbcode'), image)).toBe('[img]https://d.pr/i/AbCd12+[/img]');
+      expect(renderRecord(resolveFormat('bbcode'), { ...image, variant: 'application/pdf' }))
+        .toBe('[url=https://d.pr/i/AbCd12]Login new[/url]');
+    });
+
+    test('should fall back to the file name for untitled uploads', () => {
+      expect(renderRecord(resolveFormat('markdown'), { ...image, title: null }))
+        .toBe('![login.png](https://d.pr/i/AbCd12+)');
+    });
+  });
+
+  describe('templates', () => {
+    test('should fill in placeholders, leaving missing values empty', () => {
+      const format = resolveFormat('{{shortlink}} ({{title}}, {{ size }} bytes)');
+
+      expect(renderRecord(format, image)).toBe('https://d.pr/i/AbCd12 (Login [new], 2048 bytes)');
+      expect(renderRecord(format, link)).toBe('https://d.pr/l/XyZ789 (, 2048 bytes)');
+    });
+
+    test('should use templates saved in config by name', () => {
+      expect(renderRecord(resolveFormat('wiki'), image)).toBe('* Login [new]: https://d.pr/i/AbCd12');
+    });
+
+    test('should reject unknown formats and fields', () => {
+      expect(() => resolveFormat('latex')).toThrow('Unknown format "latex" (expected markdown, html, slack, bbcode, wiki');
+      expect(() => resolveFormat('{{url}}')).toThrow('Unknown field "url"');
+    });
+  });
+});
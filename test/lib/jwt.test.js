@@ -0,0 +1,43 @@
+const { decodeJwt, getTokenExpiry, formatRelativeTime } = require('../../lib/jwt');
+
+const makeToken = payload =>
+  `eyJhbGciOiJIUzI1NiJ9.${Buffer.from(JSON.stringify(payload)).toString('base64url')}.signature`;
+
+describe('jwt', () => {
+  describe('decodeJwt', () => {
+    test('should decode the payload without verifying it', () => {
+      expect(decodeJwt(makeToken({ sub: 'me', exp: 1700000000 }))).toEqual({ sub: 'me', exp: 1700000000 });
+    });
+
+    test('should decode URL-safe, unpadded payloads', () => {
+      expect(decodeJwt('eyJhbGciOiJIUzI1NiJ9.eyJuYW1lIjoiw7w_fn4ifQ.signature')).toEqual({ name: 'ü?~~' });
+      expect(decodeJwt('eyJhbGciOiJIUzI1NiJ9.eyJuYW1lIjoifn5-In0.signature')).toEqual({ name: '~~~' });
+    });
+
+    test('should return null for anything that is not a JWT', () => {
+      expect(decodeJwt('not-a-token')).toBeNull();
+      expect(decodeJwt('a.b.c')).toBeNull();
+      expect(decodeJwt(undefined)).toBeNull();
+    });
+  });
+
+  describe('getTokenExpiry', () => {
+    test('should convert the exp claim to a date', () => {
+      expect(getTokenExpiry(makeToken({ exp: 1700000000 }))).toEqual(new Date(1700000000 * 1000));
+    });
+
+    test('should return null without an exp claim', () => {
+      expect(getTokenExpiry(makeToken({ sub: 'me' }))).toBeNull();
+    });
+  });
+
+  describe('formatRelativeTime', () => {
+    const now = Date.UTC(2026, 0, 1);
+
+    test('should describe future and past times', () => {
+      expect(formatRelativeTime(new Date(now + 5 * 60000), now)).toBe('in 5 minutes');
+      expect(formatRelativeTime(new Date(now - 3 * 3600000), now)).toBe('3 hours ago');
+      expect(formatRelativeTime(new Date(now + 10 * 86400000), now)).toBe('in 10 days');
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  detectFromMagic,
+  lookupExtension,
+  getExtension,
+  isTextBuffer,
+  isTextMimeType,
+  detectMimeType,
+  isTextFile
+} = require('../../lib/mime');
+
+const bytes = (...values) => Buffer.from(values);
+
+describe('mime', () => {
+  describe('detectFromMagic', () => {
+    test('should recognise common binary signatures', () => {
+      expect(detectFromMagic(bytes(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a))).toBe('image/png');
+      expect(detectFromMagic(bytes(0xff, 0xd8, 0xff, 0xe0))).toBe('image/jpeg');
+      expect(detectFromMagic(Buffer.from('%PDF-1.7'))).toBe('application/pdf');
+      expect(detectFromMagic(bytes(0x1f, 0x8b, 0x08))).toBe('application/gzip');
+      expect(detectFromMagic(bytes(0x50, 0x4b, 0x03, 0x04))).toBe('application/zip');
+      expect(detectFromMagic(bytes(0x1a, 0x45, 0xdf, 0xa3, ...Buffer.from('....webm')))).toBe('video/webm');
+    });
+
+    test('should read ftyp brands', () => {
+      const ftyp = brand => Buffer.concat([bytes(0, 0, 0, 0x18), Buffer.from(`ftyp${brand}`)]);
+
+      expect(detectFromMagic(ftyp('heic'))).toBe('image/heic');
+      expect(detectFromMagic(ftyp('qt  '))).toBe('video/quicktime');
+      expect(detectFromMagic(ftyp('isom'))).toBe('video/mp4');
+    });
+
+    test('should not mistake text for short printable signatures', () => {
+      expect(detectFromMagic(Buffer.from('BMW service notes'))).toBeNull();
+      expect(detectFromMagic(Buffer.from('MZ was here'))).toBeNull();
+    });
+  });
+
+  describe('extensions', () => {
+    test('should cover formats beyond the basics', () => {
+      expect(lookupExtension('logo.svg')).toBe('image/svg+xml');
+      expect(lookupExtension('IMG_0001.HEIC')).toBe('image/heic');
+      expect(lookupExtension('data.csv')).toBe('text/csv');
+      expect(lookupExtension('clip.webm')).toBe('video/webm');
+      expect(lookupExtension('unknown.xyz')).toBeNull();
+    });
+
+    test('should map types back to extensions', () => {
+      expect(getExtension('image/jpeg')).toBe('.jpg');
+      expect(getExtension('application/gzip')).toBe('.gz');
+      expect(getExtension('application/x-unknown')).toBe('');
+    });
+  });
+
+  describe('detectMimeType', () => {
+    test('should prefer magic bytes over a misleading extension', () => {
+      const png = bytes(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a);
+      expect(detectMimeType({ head: png, fileName: 'photo.jpg' })).toBe('image/png');
+    });
+
+    test('should keep specific types for ZIP-based documents', () => {
+      const zip = bytes(0x50, 0x4b, 0x03, 0x04);
+      expect(detectMimeType({ head: zip, fileName: 'report.docx' }))
+        .toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    });
+
+    test('should fall back to the extension, then content', () => {
+      expect(detectMimeType({ head: Buffer.from('a,b\n1,2'), fileName: 'data.csv' })).toBe('text/csv');
+      expect(detectMimeType({ head: Buffer.from('<svg viewBox="0 0 1 1"></svg>') })).toBe('image/svg+xml');
+      expect(detectMimeType({ head: Buffer.from('just text') })).toBe('text/plain');
+      expect(detectMimeType({ head: bytes(0, 1, 2, 3) })).toBe('application/octet-stream');
+    });
+  });
+
+  describe('text detection', () => {
+    test('should reject NUL bytes and invalid UTF-8', () => {
+      expect(isTextBuffer(Buffer.from('héllo'))).toBe(true);
+      expect(isTextBuffer(bytes(0x68, 0x00, 0x69))).toBe(false);
+      expect(isTextBuffer(bytes(0xc3, 0x28))).toBe(false);
+    });
+
+    test('should tolerate a character cut off at the end of the sample', () => {
+      expect(isTextBuffer(Buffer.from('héllo').subarray(0, 2))).toBe(true);
+    });
+
+    test('should classify text MIME types', () => {
+      expect(isTextMimeType('text/csv')).toBe(true);
+      expect(isTextMimeType('application/json')).toBe(true);
+      expect(isTextMimeType('image/png')).toBe(false);
+    });
+
+    test('should check files on disk by content', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drplr-mime-'));
+      const textFile = path.join(dir, 'notes.bin');
+      const binaryFile = path.join(dir, 'notes.txt');
+      fs.writeFileSync(textFile, 'plain words');
+      fs.writeFileSync(binaryFile, bytes(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0));
+
+      expect(isTextFile(textFile)).toBe(true);
+      expect(isTextFile(binaryFile)).toBe(false);
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+});
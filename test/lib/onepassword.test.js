@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseReference,
+  getLoginCredentials,
+  readSecret,
+  listLoginItems,
+  createCache,
+  cached
+} = require('../../lib/onepassword');
+
+const FAKE_OP = path.join(__dirname, '..', 'fixtures', 'fake-op.js');
+
+const ITEMS = {
+  Droplr: {
+    vault: 'Private',
+    fields: [
+      { id: 'username', purpose: 'USERNAME', value: 'me@example.com' },
+      { id: 'password', purpose: 'PASSWORD', value: 'hunter2' },
+      { id: 'jwt', label: 'jwt', value: 'eyJ.from.op' }
+    ]
+  },
+  Notes: { vault: 'Private', fields: [{ id: 'notesPlain', value: 'nothing useful' }] }
+};
+
+describe('onepassword', () => {
+  let dir;
+  const originalEnv = { ...process.env };
+  const calls = () => fs.readFileSync(process.env.FAKE_OP_LOG, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drplr-op-'));
+    fs.writeFileSync(path.join(dir, 'items.json'), JSON.stringify(ITEMS));
+    process.env.DRPLR_OP_BIN = FAKE_OP;
+    process.env.FAKE_OP_ITEMS = path.join(dir, 'items.json');
+    process.env.FAKE_OP_LOG = path.join(dir, 'calls.log');
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('parseReference', () => {
+    test('should split item and field references', () => {
+      expect(parseReference('op://Private/Droplr')).toEqual({ vault: 'Private', item: 'Droplr', field: null });
+      expect(parseReference('op://Private/Droplr/password')).toEqual({ vault: 'Private', item: 'Droplr', field: 'password' });
+    });
+
+    test('should return null for plain values', () => {
+      expect(parseReference('Droplr')).toBeNull();
+      expect(parseReference('eyJhbGciOiJIUzI1NiIs')).toBeNull();
+    });
+  });
+
+  describe('getLoginCredentials', () => {
+    test('should read username and password from an item', () => {
+      expect(getLoginCredentials('Droplr')).toEqual({ type: 'basic', username: 'me@example.com', password: 'hunter2' });
+    });
+
+    test('should look an item reference up in its vault', () => {
+      expect(getLoginCredentials('op://Private/Droplr').username).toBe('me@example.com');
+      expect(calls()[0]).toEqual(['item', 'get', 'Droplr', '--vault', 'Private', '--format', 'json']);
+    });
+
+    test('should reject field references and items without a login', () => {
+      expect(() => getLoginCredentials('op://Private/Droplr/password')).toThrow('points at a field');
+      expect(() => getLoginCredentials('Notes')).toThrow('missing username or password');
+    });
+
+    test("should report op's error message", () => {
+      expect(() => getLoginCredentials('Missing')).toThrow('"Missing" isn\'t an item');
+    });
+  });
+
+  describe('readSecret', () => {
+    test('should read a field reference', () => {
+      expect(readSecret('op://Private/Droplr/jwt')).toBe('eyJ.from.op');
+    });
+  });
+
+  describe('listLoginItems', () => {
+    test('should list items', () => {
+      expect(listLoginItems().map(item => item.title)).toEqual(['Droplr', 'Notes']);
+    });
+  });
+
+  describe('service accounts', () => {
+    test('should pass a service account token read from a file to op', () => {
+      process.env.FAKE_OP_SERVICE_ACCOUNT_TOKEN = 'ops_secret';
+      delete process.env.OP_SERVICE_ACCOUNT_TOKEN;
+      expect(() => readSecret('op://Private/Droplr/jwt')).toThrow('not currently signed in');
+
+      fs.writeFileSync(path.join(dir, 'sa-token'), 'ops_secret\n');
+      process.env.DRPLR_OP_SERVICE_ACCOUNT_TOKEN_FILE = path.join(dir, 'sa-token');
+      expect(readSecret('op://Private/Droplr/jwt')).toBe('eyJ.from.op');
+    });
+  });
+
+  describe('cache', () => {
+    test('should serve repeated lookups without running op', () => {
+      const cache = createCache({ ttl: 60000, dir: path.join(dir, 'cache') });
+
+      cached(cache, 'item:Droplr', () => getLoginCredentials('Droplr'));
+      const second = cached(cache, 'item:Droplr', () => getLoginCredentials('Droplr'));
+
+      expect(second.password).toBe('hunter2');
+      expect(calls()).toHaveLength(1);
+    });
+
+    test('should keep secrets out of the cache file and make it private', () => {
+      const cacheDir = path.join(dir, 'cache');
+      createCache({ ttl: 60000, dir: cacheDir }).set('item:Droplr', { password: 'hunter2' });
+
+      const file = path.join(cacheDir, 'op-cache.json');
+      expect(fs.readFileSync(file, 'utf8')).not.toContain('hunter2');
+      expect(fs.readFileSync(file, 'utf8')).not.toContain('Droplr');
+      expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+      expect(fs.statSync(cacheDir).mode & 0o777).toBe(0o700);
+    });
+
+    test('should expire entries after the TTL', () => {
+      const cache = createCache({ ttl: -1, dir: path.join(dir, 'cache') });
+      cache.set('item:Droplr', { password: 'hunter2' });
+
+      expect(cache.get('item:Droplr')).toBeNull();
+    });
+
+    test('should forget everything when cleared', () => {
+      const cache = createCache({ ttl: 60000, dir: path.join(dir, 'cache') });
+      cache.set('item:Droplr', { password: 'hunter2' });
+      cache.clear();
+
+      expect(cache.get('item:Droplr')).toBeNull();
+    });
+
+    test('should refuse a directory other users can read', () => {
+      const shared = path.join(dir, 'shared');
+      fs.mkdirSync(shared, { mode: 0o755 });
+      fs.chmodSync(shared, 0o755);
+
+      expect(() => createCache({ ttl: 60000, dir: shared }).set('key', 'value')).toThrow('must be private');
+    });
+
+    test('should not read entries from a directory that is no longer private', () => {
+      const cacheDir = path.join(dir, 'cache');
+      const cache = createCache({ ttl: 60000, dir: cacheDir });
+      cache.set('item:Droplr', { password: 'hunter2' });
+      fs.chmodSync(cacheDir, 0o777);
+
+      expect(cache.get('item:Droplr')).toBeNull();
+    });
+
+    test('should clear a cache that was never written', () => {
+      expect(() => createCache({ ttl: 60000, dir: path.join(dir, 'missing') }).clear()).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const { createRateLimiter, runPool } = require('../../lib/pool');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('pool', () => {
+  describe('runPool', () => {
+    test('should return results in input order', async () => {
+      const results = await runPool([30, 5, 15], async ms => {
+        await delay(ms);
+        return ms;
+      }, { concurrency: 3 });
+
+      expect(results.map(r => r.result)).toEqual([30, 5, 15]);
+    });
+
+    test('should never exceed the concurrency limit', async () => {
+      let running = 0;
+      let peak = 0;
+
+      await runPool([1, 2, 3, 4, 5, 6], async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await delay(5);
+        running--;
+      }, { concurrency: 2 });
+
+      expect(peak).toBe(2);
+    });
+
+    test('should continue after errors by default', async () => {
+      const results = await runPool(['a', 'b', 'c'], async item => {
+        if (item === 'b') throw new Error('boom');
+        return item;
+      });
+
+      expect(results[0].result).toBe('a');
+      expect(results[1].error.message).toBe('boom');
+      expect(results[2].result).toBe('c');
+    });
+
+    test('should skip remaining items with failFast', async () => {
+      const started = [];
+      const results = await runPool(['a', 'b', 'c'], async item => {
+        started.push(item);
+        if (item === 'a') throw new Error('boom');
+        return item;
+      }, { failFast: true });
+
+      expect(started).toEqual(['a']);
+      expect(results[1].skipped).toBe(true);
+      expect(results[2].skipped).toBe(true);
+    });
+  });
+
+  describe('createRateLimiter', () => {
+    test('should space out starts', async () => {
+      const waitForSlot = createRateLimiter(20);
+      const start = Date.now();
+
+      await waitForSlot();
+      await waitForSlot();
+      await waitForSlot();
+
+      // Three starts at 20/s need at least two 50ms gaps
+      expect(Date.now() - start).toBeGreaterThanOrEqual(90);
+    });
+
+    test('should not wait without a limit', async () => {
+      const waitForSlot = createRateLimiter(null);
+      const start = Date.now();
+
+      await waitForSlot();
+      await waitForSlot();
+
+      expect(Date.now() - start).toBeLessThan(20);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const { Readable } = require('stream');
+const { trackStream, createProgress } = require('../../lib/progress');
+
+function fakeStream() {
+  return {
+    output: '',
+    write(text) {
+      this.output += text;
+    }
+  };
+}
+
+describe('progress', () => {
+  describe('trackStream', () => {
+    test('should report bytes as the stream is consumed', async () => {
+      const seen = [];
+      const tracked = trackStream(Readable.from([Buffer.from('abc'), Buffer.from('de')]), bytes => seen.push(bytes));
+
+      let data = '';
+      for await (const chunk of tracked) {
+        data += chunk.toString();
+      }
+
+      expect(data).toBe('abcde');
+      expect(seen).toEqual([3, 2]);
+    });
+
+    test('should forward source errors', async () => {
+      const source = new Readable({ read() {} });
+      const tracked = trackStream(source, () => {});
+      const failure = new Promise(resolve => tracked.on('error', resolve));
+
+      source.destroy(new Error('disk gone'));
+
+      expect((await failure).message).toBe('disk gone');
+    });
+  });
+
+  describe('createProgress', () => {
+    test('should draw a bar in place on a TTY', () => {
+      const stream = fakeStream();
+      const progress = createProgress({ total: 100, label: 'file.bin', stream, tty: true });
+
+      progress.add(50);
+
+      expect(stream.output).toContain('\r');
+      expect(stream.output).toContain('50%');
+      expect(stream.output).toContain('file.bin');
+    });
+
+    test('should print per-file lines above the bar and clear it on finish', () => {
+      const stream = fakeStream();
+      const progress = createProgress({ total: 10, label: '2 files', stream, tty: true });
+
+      progress.log('✓ a.png');
+      progress.finish();
+
+      expect(stream.output).toContain('✓ a.png\n');
+      expect(stream.output.endsWith('\r\x1b[K')).toBe(true);
+    });
+
+    test('should stay quiet for quick uploads when not a TTY', () => {
+      const stream = fakeStream();
+      const progress = createProgress({ total: 100, label: 'file.bin', stream, tty: false });
+
+      progress.add(100);
+      progress.finish();
+
+      expect(stream.output).toBe('');
+    });
+  });
+});
@@ -0,0 +1,189 @@
+const { Readable } = require('stream');
+
+jest.mock('../../lib/config', () => ({
+  getRetries: jest.fn(() => 2),
+  getActiveProfile: jest.fn(() => 'default')
+}));
+
+const { getRetryDelay, isTransientError, withRetry } = require('../../lib/retry');
+const { withRetries } = require('../../lib/client');
+const { createDrop } = require('../../lib/api-utils');
+const { NetworkError, NotFoundError, RateLimitError } = require('../../lib/errors');
+const logger = require('../../lib/logger');
+
+// Shaped like droplr-api's ClientError
+const httpError = (status, headers = {}) =>
+  Object.assign(new Error('HTTP error'), { statusCode: status, response: { status, headers, data: {} } });
+const dropped = () => Object.assign(new Error(), { response: {}, httpError: { code: 'ECONNRESET' } });
+const noWait = () => Promise.resolve();
+
+describe('retry', () => {
+  beforeEach(() => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('isTransientError', () => {
+    test('should retry dropped connections, 5xx and 429', () => {
+      expect(isTransientError(dropped())).toBe(true);
+      expect(isTransientError(httpError(503))).toBe(true);
+      expect(isTransientError(httpError(429))).toBe(true);
+      expect(isTransientError(new NetworkError('Upload failed: could not reach the Droplr API'))).toBe(true);
+    });
+
+    test('should not retry client errors', () => {
+      expect(isTransientError(httpError(401))).toBe(false);
+      expect(isTransientError(httpError(422))).toBe(false);
+      expect(isTransientError(new NotFoundError('gone', 404))).toBe(false);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    test('should back off exponentially with jitter', () => {
+      expect(getRetryDelay(1, dropped(), () => 0)).toBe(250);
+      expect(getRetryDelay(1, dropped(), () => 1)).toBe(500);
+      expect(getRetryDelay(3, dropped(), () => 1)).toBe(2000);
+      expect(getRetryDelay(20, dropped(), () => 1)).toBe(30000);
+    });
+
+    test('should honour Retry-After', () => {
+      expect(getRetryDelay(1, httpError(429, { 'retry-after': '7' }))).toBe(7000);
+      expect(getRetryDelay(1, new RateLimitError('slow down', 429, 3))).toBe(3000);
+    });
+
+    test('should give up when Retry-After is too long to wait', () => {
+      expect(getRetryDelay(1, httpError(429, { 'retry-after': '3600' }))).toBeNull();
+    });
+  });
+
+  describe('withRetry', () => {
+    test('should retry transient failures until one succeeds', async () => {
+      const fn = jest.fn()
+        .mockRejectedValueOnce(dropped())
+        .mockRejectedValueOnce(httpError(502))
+        .mockResolvedValue('ok');
+
+      await expect(withRetry(fn, { retries: 3, wait: noWait })).resolves.toBe('ok');
+      expect(fn.mock.calls.map(([attempt]) => attempt)).toEqual([0, 1, 2]);
+      expect(logger.warn).toHaveBeenCalledTimes(2);
+    });
+
+    test('should stop when the retries run out', async () => {
+      const fn = jest.fn().mockRejectedValue(httpError(503));
+
+      await expect(withRetry(fn, { retries: 2, wait: noWait })).rejects.toMatchObject({ statusCode: 503 });
+      expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    test('should not retry other failures', async () => {
+      const fn = jest.fn().mockRejectedValue(httpError(400));
+
+      await expect(withRetry(fn, { retries: 3, wait: noWait })).rejects.toMatchObject({ statusCode: 400 });
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('client', () => {
+    // Waits are real here, so keep the first backoff short
+    beforeEach(() => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+    });
+
+    test('should retry idempotent requests', async () => {
+      const request = jest.fn().mockRejectedValueOnce(dropped()).mockResolvedValue({ data: 'drop' });
+      const client = withRetries({ _request: request }, 2);
+
+      await expect(client._request('get', 'drops/abc', {})).resolves.toEqual({ data: 'drop' });
+      expect(request).toHaveBeenCalledTimes(2);
+    });
+
+    test('should never resend creations, streamed bodies or opted-out requests', async () => {
+      const request = jest.fn().mockRejectedValue(dropped());
+      const client = withRetries({ _request: request }, 2);
+
+      await expect(client._request('post', 'links', { data: 'https://example.com' })).rejects.toBeDefined();
+      await expect(client._request('put', 'files', { data: Readable.from(['x']) })).rejects.toBeDefined();
+      await expect(client._request('get', 'drops', { retry: false })).rejects.toBeDefined();
+      expect(request).toHaveBeenCalledTimes(3);
+    });
+
+    test('should treat a 404 on a retried delete as deleted', async () => {
+      const request = jest.fn().mockRejectedValueOnce(dropped()).mockRejectedValueOnce(httpError(404));
+      const client = withRetries({ _request: request }, 2);
+
+      await expect(client._request('delete', 'drops/abc', {})).resolves.toEqual({ data: null, headers: {} });
+    });
+  });
+
+  describe('createDrop', () => {
+    const drop = { code: 'AbCd12', type: 'LINK', content: 'https://example.com', createdAt: Date.now() };
+
+    beforeEach(() => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+    });
+
+    test('should return the drop a failed attempt created instead of creating it again', async () => {
+      const client = {
+        drops: {
+          create: jest.fn().mockRejectedValue(dropped()),
+          list: jest.fn().mockResolvedValueOnce({ results: [] }).mockResolvedValue({ results: [drop] })
+        }
+      };
+
+      const result = await createDrop(client, () => ({ type: 'LINK' }), d => d.content === 'https://example.com');
+
+      expect(result).toBe(drop);
+      expect(client.drops.create).toHaveBeenCalledTimes(1);
+    });
+
+    test('should never return an identical drop that existed before the first attempt', async () => {
+      const earlier = { ...drop, code: 'Old111', createdAt: Date.now() - 60 * 1000 };
+      const client = {
+        drops: {
+          create: jest.fn().mockRejectedValueOnce(httpError(503)).mockResolvedValue(drop),
+          list: jest.fn().mockResolvedValue({ results: [earlier] })
+        }
+      };
+
+      await expect(createDrop(client, () => ({ type: 'LINK' }), () => true)).resolves.toBe(drop);
+      expect(client.drops.create).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not match anything when the drops before the first attempt are unknown', async () => {
+      const client = {
+        drops: {
+          create: jest.fn().mockRejectedValueOnce(httpError(503)).mockResolvedValue(drop),
+          list: jest.fn().mockRejectedValueOnce(httpError(500)).mockResolvedValue({ results: [drop] })
+        }
+      };
+
+      await expect(createDrop(client, () => ({ type: 'LINK' }), () => true)).resolves.toBe(drop);
+      expect(client.drops.create).toHaveBeenCalledTimes(2);
+    });
+
+    test('should build fresh content for each attempt', async () => {
+      const client = {
+        drops: {
+          create: jest.fn().mockRejectedValueOnce(httpError(503)).mockResolvedValue(drop),
+          list: jest.fn().mockResolvedValue({ results: [] })
+        }
+      };
+      const buildDrop = jest.fn(() => ({ type: 'LINK' }));
+
+      await expect(createDrop(client, buildDrop, () => false)).resolves.toBe(drop);
+      expect(buildDrop).toHaveBeenCalledTimes(2);
+      expect(client.drops.list).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not retry content that cannot be re-read', async () => {
+      const client = { drops: { create: jest.fn().mockRejectedValue(dropped()), list: jest.fn() } };
+
+      await expect(createDrop(client, () => ({ type: 'FILE' }), () => false, { retries: 0 })).rejects.toBeDefined();
+      expect(client.drops.create).toHaveBeenCalledTimes(1);
+      expect(client.drops.list).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  secretEnvName,
+  createSecretToolStore,
+  createPassStore,
+  createEnvStore,
+  createFileStore,
+  detectSecretStore
+} = require('../../lib/secret-store');
+
+// Local stand-ins for secret-tool and pass that keep secrets in a JSON file
+const SECRET_TOOL_STANDIN = `#!/usr/bin/env node
+const fs = require('fs');
+const file = process.env.FAKE_KEYRING;
+const db = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+const [command, ...rest] = process.argv.slice(2);
+const key = rest.filter(arg => !arg.startsWith('--')).join('|');
+if (command === 'store') db[key] = fs.readFileSync(0, 'utf8');
+if (command === 'clear') delete db[key];
+if (command === 'lookup') {
+  if (!(key in db)) process.exit(1);
+  process.stdout.write(db[key]);
+}
+fs.writeFileSync(file, JSON.stringify(db));
+`;
+
+const PASS_STANDIN = `#!/usr/bin/env node
+const fs = require('fs');
+const file = process.env.FAKE_KEYRING;
+const db = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+const args = process.argv.slice(2);
+const [command] = args;
+const entry = args[args.length - 1];
+if (command === 'insert') db[entry] = fs.readFileSync(0, 'utf8');
+if (command === 'rm') delete db[entry];
+if (command === 'show') {
+  if (!(entry in db)) {
+    process.stderr.write('Error: ' + entry + ' is not in the password store.\\n');
+    process.exit(1);
+  }
+  process.stdout.write(db[entry] + '\\n');
+}
+fs.writeFileSync(file, JSON.stringify(db));
+`;
+
+describe('secret-store', () => {
+  let dir;
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drplr-secrets-'));
+    const bin = path.join(dir, 'bin');
+    fs.mkdirSync(bin);
+    fs.writeFileSync(path.join(bin, 'secret-tool'), SECRET_TOOL_STANDIN, { mode: 0o755 });
+    fs.writeFileSync(path.join(bin, 'pass'), PASS_STANDIN, { mode: 0o755 });
+    fs.mkdirSync(path.join(dir, 'password-store'));
+
+    process.env.PATH = `${bin}${path.delimiter}${originalEnv.PATH}`;
+    process.env.FAKE_KEYRING = path.join(dir, 'keyring.json');
+    process.env.PASSWORD_STORE_DIR = path.join(dir, 'password-store');
+    process.env.DBUS_SESSION_BUS_ADDRESS = 'unix:path=/dev/null';
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe.each([
+    ['secret-tool', createSecretToolStore],
+    ['pass', createPassStore]
+  ])('%s backend', (name, createStore) => {
+    test('should store, read and clear secrets', () => {
+      const store = createStore();
+
+      expect(store.isAvailable()).toBe(true);
+      expect(store.get('work/token')).toBeNull();
+
+      store.set('work/token', 'eyJ.secret');
+      expect(store.get('work/token')).toBe('eyJ.secret');
+
+      store.delete('work/token');
+      expect(store.get('work/token')).toBeNull();
+    });
+  });
+
+  test('should skip secret-tool without a session bus', () => {
+    delete process.env.DBUS_SESSION_BUS_ADDRESS;
+
+    expect(createSecretToolStore().isAvailable()).toBe(false);
+    expect(detectSecretStore({ file: path.join(dir, 'secrets.json') }).name).toBe('pass');
+  });
+
+  describe('env backend', () => {
+    test('should read DRPLR_SECRET_* variables', () => {
+      const store = createEnvStore({ DRPLR_SECRET_WORK_TOKEN: 'eyJ.env' });
+
+      expect(secretEnvName('work/token')).toBe('DRPLR_SECRET_WORK_TOKEN');
+      expect(store.get('work/token')).toBe('eyJ.env');
+      expect(store.get('work/username')).toBeNull();
+    });
+
+    test('should refuse writes the environment does not already provide', () => {
+      const store = createEnvStore({ DRPLR_SECRET_WORK_TOKEN: 'eyJ.env' });
+
+      expect(() => store.set('work/token', 'eyJ.env')).not.toThrow();
+      expect(() => store.set('work/token')).not.toThrow();
+      expect(() => store.set('work/token', 'other')).toThrow('export DRPLR_SECRET_WORK_TOKEN');
+    });
+  });
+
+  describe('file backend', () => {
+    test('should encrypt secrets with the passphrase', () => {
+      const file = path.join(dir, 'secrets.json');
+      const store = createFileStore({ file, getPassphrase: () => 'correct horse' });
+
+      store.set('default/token', 'eyJ.file');
+
+      const raw = fs.readFileSync(file, 'utf8');
+      expect(raw).not.toContain('eyJ.file');
+      expect(JSON.parse(raw).kdf.name).toBe('scrypt');
+
+      const reopened = createFileStore({ file, getPassphrase: () => 'correct horse' });
+      expect(reopened.get('default/token')).toBe('eyJ.file');
+    });
+
+    test('should reject a wrong passphrase', () => {
+      const file = path.join(dir, 'secrets.json');
+      createFileStore({ file, getPassphrase: () => 'correct horse' }).set('default/token', 'eyJ.file');
+
+      const store = createFileStore({ file, getPassphrase: () => 'battery staple' });
+      expect(() => store.get('default/token')).toThrow('Wrong passphrase');
+      expect(() => store.set('default/username', 'me')).toThrow('Wrong passphrase');
+    });
+
+    test('should require a passphrase', () => {
+      const store = createFileStore({ file: path.join(dir, 'secrets.json'), getPassphrase: () => null });
+
+      expect(() => store.set('default/token', 'eyJ.file')).toThrow('A passphrase is needed');
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const { Readable } = require('stream');
+const crypto = require('crypto');
+const { peekStream, hashStream } = require('../../lib/stream-utils');
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString();
+}
+
+describe('stream-utils', () => {
+  describe('peekStream', () => {
+    test('should return the head and replay it in the stream', async () => {
+      const source = Readable.from([Buffer.from('hello '), Buffer.from('world'), Buffer.from('!')]);
+      const { head, stream } = await peekStream(source, 8);
+
+      expect(head.toString()).toBe('hello world');
+      expect(await readAll(stream)).toBe('hello world!');
+    });
+
+    test('should handle streams shorter than the peek size', async () => {
+      const { head, stream } = await peekStream(Readable.from([Buffer.from('tiny')]), 100);
+
+      expect(head.toString()).toBe('tiny');
+      expect(await readAll(stream)).toBe('tiny');
+    });
+
+    test('should return an empty head for empty streams', async () => {
+      const { head } = await peekStream(Readable.from([]), 10);
+
+      expect(head.length).toBe(0);
+    });
+  });
+
+  describe('hashStream', () => {
+    test('should pass content through and hash it once it has been read', async () => {
+      const { stream, digest } = hashStream(Readable.from([Buffer.from('hello '), Buffer.from('world')]));
+
+      expect(digest()).toBeNull();
+      expect(await readAll(stream)).toBe('hello world');
+      expect(digest()).toBe(crypto.createHash('sha256').update('hello world').digest('hex'));
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../lib/config', () => ({
+  getActiveProfile: jest.fn(() => 'default'),
+  hasEnvCredentials: jest.fn(() => false)
+}));
+
+const { hasEnvCredentials } = require('../../lib/config');
+const { getUploadIndexFile, findUpload, recordUpload, forgetUpload } = require('../../lib/upload-index');
+
+describe('upload-index', () => {
+  const originalEnv = { ...process.env };
+  let dataHome;
+
+  beforeEach(() => {
+    dataHome = fs.mkdtempSync(path.join(os.tmpdir(), 'drplr-data-'));
+    process.env.XDG_DATA_HOME = dataHome;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    fs.rmSync(dataHome, { recursive: true, force: true });
+  });
+
+  test('should find nothing before anything is uploaded', () => {
+    expect(findUpload('c0ffee')).toBeNull();
+  });
+
+  test('should remember the latest drop for some content', () => {
+    recordUpload('c0ffee', { code: 'AbCd12', shortlink: 'https://d.pr/AbCd12' });
+    recordUpload('c0ffee', { code: 'XyZ789', shortlink: 'https://d.pr/XyZ789' });
+
+    expect(getUploadIndexFile()).toBe(path.join(dataHome, 'drplr', 'uploads.json'));
+    expect(findUpload('c0ffee')).toMatchObject({ code: 'XyZ789', url: 'https://d.pr/XyZ789' });
+  });
+
+  test('should record the protection an upload was made with', () => {
+    recordUpload('c0ffee', { code: 'AbCd12', privacy: 'private', passwordProtected: true });
+    recordUpload('d00d', { code: 'XyZ789' });
+
+    expect(findUpload('c0ffee')).toMatchObject({ privacy: 'PRIVATE', passwordProtected: true });
+    expect(findUpload('d00d')).toMatchObject({ privacy: 'PUBLIC', passwordProtected: false });
+  });
+
+  test('should keep each profile\'s uploads apart', () => {
+    recordUpload('c0ffee', { code: 'AbCd12' }, 'work');
+
+    expect(findUpload('c0ffee', 'work').code).toBe('AbCd12');
+    expect(findUpload('c0ffee')).toBeNull();
+  });
+
+  test('should forget drops that no longer exist', () => {
+    recordUpload('c0ffee', { code: 'AbCd12' });
+    forgetUpload('c0ffee');
+
+    expect(findUpload('c0ffee')).toBeNull();
+  });
+
+  test('should be off when credentials come from the environment', () => {
+    recordUpload('c0ffee', { code: 'AbCd12' });
+    hasEnvCredentials.mockReturnValue(true);
+
+    try {
+      expect(findUpload('c0ffee')).toBeNull();
+      recordUpload('d00d', { code: 'XyZ789' });
+      forgetUpload('c0ffee');
+    } finally {
+      hasEnvCredentials.mockReturnValue(false);
+    }
+
+    expect(findUpload('c0ffee').code).toBe('AbCd12');
+    expect(findUpload('d00d')).toBeNull();
+  });
+
+  test('should not write the index when credentials come from the environment', () => {
+    hasEnvCredentials.mockReturnValue(true);
+
+    try {
+      recordUpload('c0ffee', { code: 'AbCd12' });
+    } finally {
+      hasEnvCredentials.mockReturnValue(false);
+    }
+
+    expect(fs.existsSync(getUploadIndexFile())).toBe(false);
+  });
+
+  test('should treat an unreadable index as empty', () => {
+    fs.mkdirSync(path.dirname(getUploadIndexFile()), { recursive: true });
+    fs.writeFileSync(getUploadIndexFile(), '{ not json');
+
+    expect(findUpload('c0ffee')).toBeNull();
+    recordUpload('c0ffee', { code: 'AbCd12' });
+    expect(findUpload('c0ffee').code).toBe('AbCd12');
+  });
+});